@@ -2,13 +2,25 @@
 pragma solidity 0.8.19;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
 
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/utils/structs/BitMaps.sol";
 
-contract AdvancedNft is ERC721("Advanced NFT", "ADV"), Ownable {
+contract AdvancedNft is
+  ERC721("Advanced NFT", "ADV"),
+  EIP712("Advanced NFT", "1"),
+  ERC2981,
+  AccessControl,
+  Ownable2Step,
+  Pausable
+{
   uint256 private immutable _cap;
 
   using Counters for Counters.Counter;
@@ -21,47 +33,215 @@ contract AdvancedNft is ERC721("Advanced NFT", "ADV"), Ownable {
     SoldOut
   }
 
+  enum TransferLockMode {
+    None,
+    Time,
+    Blocks,
+    UntilLifted
+  }
+
+  enum CommitStatus {
+    None,
+    Waiting,
+    Revealable,
+    Expired,
+    Revealed
+  }
+
   struct TokenIdCommit {
     bytes32 commit;
     uint64 blockNumber;
     bool revealed;
   }
 
+  struct AllowlistRound {
+    bytes32 merkleRoot;
+    uint256 ticketsCount;
+  }
+
+  struct DutchAuction {
+    uint128 startPrice;
+    uint128 floorPrice;
+    // Seconds it takes for the price to decay from start to floor, zero when disabled
+    uint64 duration;
+  }
+
+  struct Contributor {
+    uint256 shares;
+    // Revenue per share already accounted for in `owed`
+    uint256 revenueDebt;
+    uint256 owed;
+    uint256 released;
+  }
+
   event StageTransition(uint256 indexed from, uint256 indexed to);
   event TokenIdCommitted(address indexed sender, bytes32 indexed dataHash, uint64 indexed blockNumber);
-  event ContributorAdded(address indexed contributor);
+  event TicketUsed(address indexed minter, uint256 indexed round, uint256 indexed ticket, uint256 quantity, uint256 remaining);
+  event AllowlistRoundAdded(uint256 indexed round, bytes32 merkleRoot, uint256 ticketsCount);
+  event AllowlistRootUpdated(uint256 indexed round, bytes32 merkleRoot, uint256 ticketsCount);
+  event ContributorAdded(address indexed contributor, uint256 shares);
+  event ContributorSharesUpdated(address indexed contributor, uint256 shares);
+  event ContributorRemoved(address indexed contributor);
+  event PaymentReleased(address indexed contributor, uint256 amount);
+  event MetadataRevealed(string baseURI);
+  event DefaultRoyaltyUpdated(address indexed receiver, uint96 basisPoints);
+  event TokenRoyaltyUpdated(uint256 indexed tokenId, address indexed receiver, uint96 basisPoints);
+  event TokenRoyaltyReset(uint256 indexed tokenId);
+  event PresalePriceUpdated(uint256 price);
+  event PublicSalePriceUpdated(uint256 price);
+  event DutchAuctionUpdated(uint256 startPrice, uint256 floorPrice, uint256 duration);
+  event VoucherSignerUpdated(address indexed signer);
+  event WalletLimitsUpdated(uint256 presaleLimit, uint256 publicSaleLimit);
+  event RevealWindowUpdated(uint256 canRevealAfterBlocks, uint256 canRevealUntilBlocks);
+  event EscrowModeUpdated(bool enabled);
+  event EscrowDeposited(address indexed minter, uint256 amount);
+  event EscrowConsumed(address indexed minter, uint256 amount);
+  event CommitCancelled(address indexed minter, uint256 refund);
+  event TransferLockUpdated(TransferLockMode mode, uint256 duration);
+  event TransferLockLifted();
+  event RedemptionsOpenUpdated(bool open);
+  event Redeemed(address indexed redeemer, uint256 indexed tokenId, address operator);
 
   error FunctionInvalidAtThisStage();
   error IdAndSaltDoesNotMatchCommitted();
+  error TokenIdsNotProvided();
+  error TokenIdOutOfRange(uint256 cap);
+  error TokenIdAlreadyMinted(uint256 tokenId);
   error MustCommitIdBefore();
   error AfterCommitTimeoutForBlocks(uint256 remainingBlocks);
+  error CommitExpired(uint256 expiredAfterBlock);
+  error InvalidRevealWindow();
+  error DepositNotAccepted();
+  error NoEscrowedDeposit();
+  error CommitNotCancellable(uint256 cancellableAfterBlock);
+  error AmountExceedsUnescrowedBalance(uint256 unescrowedBalance);
+  error UnknownAllowlistRound();
+  error MerkleRootNotProvided();
   error TicketNotProvided();
+  error TicketOutOfRange(uint256 ticketsCount);
+  error TicketsCountBelowUsed(uint256 usedTickets);
   error ProofNotProvided();
   error InvalidProof();
   error TicketAlreadyUsed();
+  error AllowanceExceeded(uint256 remaining);
+  error WalletLimitExceeded(uint256 remaining);
   error InvalidContributorAddress();
   error OnlyAllowedForContributors();
-  error ValueMustBeMintPrice();
-  error MulticallSupportsOnlyTransferFrom();
+  error SharesMustBePositive();
+  error ContributorAlreadyAdded();
+  error AmountExceedsReleasable(uint256 releasable);
+  error MetadataAlreadyRevealed();
+  error BaseURINotProvided();
+  error InvalidRoyaltyReceiver();
+  error RoyaltyTooHigh(uint256 maxBasisPoints);
+  error ValueBelowMintPrice(uint256 price);
+  error InvalidDutchAuction();
+  error MulticallFunctionNotSupported(bytes4 selector);
   error CallsMustBePresent();
+  error VoucherExpired();
+  error InvalidVoucherSignature();
+  error InvalidTransferLock();
+  error TransferLocked(uint256 unlockPoint);
+  error TokensAlreadyMinted();
+  error NotTokenOwnerOrApproved();
+  error RedemptionsClosed();
 
   Stages public stage;
 
-  bytes32 public immutable merkleRoot;
-  uint256 public constant MINT_PRICE = 1 * 10**18;
+  // @dev Allowlist rounds are numbered from 1, each with its own tickets
+  mapping(uint256 round => AllowlistRound allowlist) public allowlistRounds;
+  uint256 public allowlistRoundsCount;
+
+  // @dev Hash of the ordered art, published before minting so the order can be verified after reveal
+  bytes32 public immutable provenanceHash;
+
+  uint256 public presalePrice;
+  uint256 public publicSalePrice = 1 ether;
+  DutchAuction public dutchAuction;
+  uint256 public publicSaleStartedAt;
+
+  // @dev Signs EIP-712 allowlist vouchers, vouchers are not accepted while unset
+  address public voucherSigner;
 
+  // @dev Max tokens a wallet can mint in each sale, zero for no limit
+  uint256 public maxPresaleMintsPerWallet;
+  uint256 public maxPublicMintsPerWallet;
+
+  mapping(address minter => uint256 count) public presaleMints;
+  mapping(address minter => uint256 count) public publicMints;
+
+  // @dev In escrow mode public sale commits deposit the mint price, which the reveal consumes.
+  //      Deposits are kept apart from mint revenue until then.
+  bool public escrowEnabled;
+  mapping(address minter => uint256 amount) public escrowDeposits;
+  uint256 public totalEscrowed;
+
+  // @dev Committed token IDs can be revealed from `CAN_REVEAL_AFTER_BLOCKS` up to and including
+  //      `CAN_REVEAL_UNTIL_BLOCKS` blocks after the commit, a new commit is needed afterwards
   uint256 public CAN_REVEAL_AFTER_BLOCKS = 10;
+  uint256 public CAN_REVEAL_UNTIL_BLOCKS = 7200;
+
+  uint256 public constant MAX_CAN_REVEAL_AFTER_BLOCKS = 1000;
+  uint256 public constant MAX_CAN_REVEAL_UNTIL_BLOCKS = 50400;
+
+  // @dev Minted tokens can not be transferred for `transferLockDuration` seconds or blocks after
+  //      their mint, or at all in `UntilLifted` mode, until the lock is lifted for good
+  TransferLockMode public transferLockMode;
+  uint64 public transferLockDuration;
+  bool public transferLockLifted;
+  // @dev Timestamp or block number, following the lock mode, set on mint in `Time` and `Blocks` modes
+  mapping(uint256 tokenId => uint256 unlockPoint) private _transferUnlockPoints;
+
+  // @dev Burned token IDs can not be minted again, so `_tokenCounter` keeps counting every mint
+  //      against the cap and the supply is the minted count less `totalBurned`
+  uint256 public totalBurned;
+  bool public redemptionsOpen;
+
+  uint96 public constant MAX_ROYALTY_BASIS_POINTS = 1000;
+
+  // @dev Roles are granted and revoked by the owner, who holds all three. Stage, pricing, allowlist
+  //      and commit settings belong to sale managers, royalties and contributors to treasurers.
+  bytes32 public constant SALE_MANAGER_ROLE = keccak256("SALE_MANAGER_ROLE");
+  bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+  bytes32 public constant METADATA_ADMIN_ROLE = keccak256("METADATA_ADMIN_ROLE");
+
+  bytes4 private constant SAFE_TRANSFER_FROM_SELECTOR =
+    bytes4(keccak256("safeTransferFrom(address,address,uint256)"));
+  bytes4 private constant SAFE_TRANSFER_FROM_WITH_DATA_SELECTOR =
+    bytes4(keccak256("safeTransferFrom(address,address,uint256,bytes)"));
+
+  bytes32 private constant VOUCHER_TYPEHASH =
+    keccak256("AllowlistVoucher(address minter,uint256 round,uint256 ticket,uint256 allowance,uint256 expiry)");
+
+  uint256 private constant REVENUE_PRECISION = 1e18;
+
+  uint256 public totalShares;
+  uint256 private _revenuePerShare;
+  // Revenue received while there were no shares, allocated to the next ones added
+  uint256 private _unallocatedRevenue;
 
   mapping(address commiter => TokenIdCommit commit) private tokenIdCommits;
-  mapping(address contributor => bool active) private contributors;
+  mapping(address contributor => Contributor payout) private contributors;
+
+  string private _placeholderURI;
+  string private _revealedBaseURI;
+  bool public metadataRevealed;
 
   using BitMaps for BitMaps.BitMap;
-  BitMaps.BitMap private unusedTickets;
+  // @dev Bits start unset, so rounds of any size cost the same to open
+  mapping(uint256 round => BitMaps.BitMap tickets) private usedTickets;
+  // @dev Tokens minted with each ticket so far, a ticket is marked used once its whole allowance is minted
+  mapping(uint256 round => mapping(uint256 ticket => uint256 minted)) public ticketMints;
+  BitMaps.BitMap private _burnedTokenIds;
 
   constructor(
     bytes32 merkleRoot_,
     uint256 cap_,
-    uint256 ticketsCount
+    uint256 ticketsCount,
+    bytes32 provenanceHash_,
+    string memory placeholderURI_,
+    address royaltyReceiver_,
+    uint96 royaltyBasisPoints_
   ) {
     require(merkleRoot_ != 0);
     require(cap_ > 0, "ERC721Capped: cap is 0");
@@ -69,11 +249,11 @@ contract AdvancedNft is ERC721("Advanced NFT", "ADV"), Ownable {
     _cap = cap_;
 
     stage = Stages.Inactive;
-    merkleRoot = merkleRoot_;
+    provenanceHash = provenanceHash_;
+    _placeholderURI = placeholderURI_;
 
-    for(uint256 i; i < ticketsCount; i++) {
-      unusedTickets.set(i);
-    }
+    _setRoyalty(royaltyReceiver_, royaltyBasisPoints_);
+    _addAllowlistRound(merkleRoot_, ticketsCount);
   }
 
   modifier atStage(Stages stage_) {
@@ -84,6 +264,22 @@ contract AdvancedNft is ERC721("Advanced NFT", "ADV"), Ownable {
     _;
   }
 
+  modifier beforeStage(Stages stage_) {
+    if (stage >= stage_) {
+      revert FunctionInvalidAtThisStage();
+    }
+
+    _;
+  }
+
+  modifier duringSale() {
+    if (stage != Stages.PreSale && stage != Stages.PublicSale) {
+      revert FunctionInvalidAtThisStage();
+    }
+
+    _;
+  }
+
   // Internal validation functions
 
   function _requireIdCommittedAndNotRevealed(TokenIdCommit storage _idCommit) internal view {
@@ -100,42 +296,209 @@ contract AdvancedNft is ERC721("Advanced NFT", "ADV"), Ownable {
     }
   }
 
-  function _requireTokenIdMatchesCommitted(
+  function _requireIdCommitNotExpired(TokenIdCommit storage _idCommit) internal view {
+    if(block.number > _idCommit.blockNumber + CAN_REVEAL_UNTIL_BLOCKS) {
+      revert CommitExpired(_idCommit.blockNumber + CAN_REVEAL_UNTIL_BLOCKS);
+    }
+  }
+
+  function _requireValidRevealWindow(uint256 _afterBlocks, uint256 _untilBlocks) internal pure {
+    if (
+      _afterBlocks == 0 ||
+      _afterBlocks > MAX_CAN_REVEAL_AFTER_BLOCKS ||
+      _untilBlocks < _afterBlocks ||
+      _untilBlocks > MAX_CAN_REVEAL_UNTIL_BLOCKS
+    ) {
+      revert InvalidRevealWindow();
+    }
+  }
+
+  function _requireValidTransferLock(TransferLockMode _mode, uint256 _duration) internal pure {
+    bool timed = _mode == TransferLockMode.Time || _mode == TransferLockMode.Blocks;
+
+    if (timed != (_duration > 0) || _duration > type(uint64).max) {
+      revert InvalidTransferLock();
+    }
+  }
+
+  function _requireNoTokensMinted() internal view {
+    if (totalMinted() != 0) {
+      revert TokensAlreadyMinted();
+    }
+  }
+
+  function _requireTransferUnlocked(uint256 _tokenId) internal view {
+    (TransferLockMode mode, uint256 unlockPoint) = transferUnlockPoint(_tokenId);
+    uint256 current = mode == TransferLockMode.Time ? block.timestamp : block.number;
+
+    if (mode == TransferLockMode.UntilLifted || (mode != TransferLockMode.None && current < unlockPoint)) {
+      revert TransferLocked(unlockPoint);
+    }
+  }
+
+  function _requireTokenIdsMatchCommitted(
     TokenIdCommit storage _idCommit,
-    uint256 _tokenId,
+    uint256[] calldata _tokenIds,
     bytes32 _salt
   ) internal view {
-    if (_hashedIdAndSalt(_tokenId, _salt) != _idCommit.commit) {
+    if (_hashedIdsAndSalt(_tokenIds, _salt) != _idCommit.commit) {
       revert IdAndSaltDoesNotMatchCommitted();
     }
   }
 
+  function _requireTokenIdInRange(uint256 _tokenId) internal view {
+    if (_tokenId == 0 || _tokenId > _cap) {
+      revert TokenIdOutOfRange(_cap);
+    }
+  }
+
+  function _requireTokenIdNotMinted(uint256 _tokenId) internal view {
+    if (_mintedBefore(_tokenId)) {
+      revert TokenIdAlreadyMinted(_tokenId);
+    }
+  }
+
+  function _requireTokenOwnerOrApproved(uint256 _tokenId) internal view {
+    if (!_isApprovedOrOwner(msg.sender, _tokenId)) {
+      revert NotTokenOwnerOrApproved();
+    }
+  }
+
+  function _requireRedemptionsOpen() internal view {
+    if (!redemptionsOpen) {
+      revert RedemptionsClosed();
+    }
+  }
+
+  function _requireMintableTokenIds(uint256[] calldata _tokenIds) internal view {
+    for (uint256 i; i < _tokenIds.length;) {
+      _requireTokenIdInRange(_tokenIds[i]);
+      _requireTokenIdNotMinted(_tokenIds[i]);
+
+      unchecked { ++i; }
+    }
+  }
+
+  function _requireTokenIds(uint256[] calldata _tokenIds) internal pure {
+    if (_tokenIds.length == 0) {
+      revert TokenIdsNotProvided();
+    }
+  }
+
+  function _requireAllowlistRound(uint256 _round) internal view {
+    if (_round == 0 || _round > allowlistRoundsCount) {
+      revert UnknownAllowlistRound();
+    }
+  }
+
+  function _requireMerkleRoot(bytes32 _merkleRoot) internal pure {
+    if (_merkleRoot == 0) {
+      revert MerkleRootNotProvided();
+    }
+  }
+
   function _requireTicket(uint256 _ticket) internal pure {
     if (_ticket == 0) {
       revert TicketNotProvided();
     }
   }
 
+  function _requireTicketInRange(uint256 _round, uint256 _ticket) internal view {
+    uint256 ticketsCount = allowlistRounds[_round].ticketsCount;
+
+    if (_ticket > ticketsCount) {
+      revert TicketOutOfRange(ticketsCount);
+    }
+  }
+
+  function _requireTicketsCountNotBelowUsed(uint256 _round, uint256 _ticketsCount) internal view {
+    uint256 used = _usedTicketsCount(_round);
+
+    if (_ticketsCount < used) {
+      revert TicketsCountBelowUsed(used);
+    }
+  }
+
   function _requireProof(bytes32[] calldata _proof) internal pure {
     if (_proof.length == 0) {
       revert ProofNotProvided();
     }
   }
 
-  function _requireValidProof(uint256 _ticket, bytes32[] calldata _proof) internal {
-    bytes32 leaf = merkleLeaf(_ticket);
+  function _requireValidProof(
+    uint256 _round,
+    uint256 _ticket,
+    uint256 _allowance,
+    bytes32[] calldata _proof
+  ) internal view {
+    bytes32 leaf = merkleLeaf(_ticket, _allowance);
 
-    if(!MerkleProof.verify(_proof, merkleRoot, leaf)) {
+    if(!MerkleProof.verify(_proof, allowlistRounds[_round].merkleRoot, leaf)) {
       revert InvalidProof();
     }
   }
 
-  function _requireUnusedTicket(uint256 _ticket) internal view {
-    if (!unusedTickets.get(_ticket)) {
+  function _requireVoucherNotExpired(uint256 _expiry) internal view {
+    if (block.timestamp > _expiry) {
+      revert VoucherExpired();
+    }
+  }
+
+  function _requireValidVoucherSignature(
+    uint256 _round,
+    uint256 _ticket,
+    uint256 _allowance,
+    uint256 _expiry,
+    bytes calldata _signature
+  ) internal view {
+    bytes32 digest = voucherDigest(msg.sender, _round, _ticket, _allowance, _expiry);
+    (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(digest, _signature);
+
+    if (error != ECDSA.RecoverError.NoError || signer != voucherSigner) {
+      revert InvalidVoucherSignature();
+    }
+  }
+
+  function _requireUnusedTicket(uint256 _round, uint256 _ticket) internal view {
+    if (usedTickets[_round].get(_ticket)) {
       revert TicketAlreadyUsed();
     }
   }
 
+  function _requireWithinAllowance(uint256 _allowance, uint256 _minted, uint256 _quantity) internal pure {
+    if (_minted + _quantity > _allowance) {
+      revert AllowanceExceeded(_minted >= _allowance ? 0 : _allowance - _minted);
+    }
+  }
+
+  function _requireWithinWalletLimit(uint256 _minted, uint256 _limit, uint256 _quantity) internal pure {
+    if (_limit != 0 && _minted + _quantity > _limit) {
+      revert WalletLimitExceeded(_minted >= _limit ? 0 : _limit - _minted);
+    }
+  }
+
+  function _requireMetadataNotRevealed() internal view {
+    if (metadataRevealed) {
+      revert MetadataAlreadyRevealed();
+    }
+  }
+
+  function _requireBaseURI(string calldata _uri) internal pure {
+    if (bytes(_uri).length == 0) {
+      revert BaseURINotProvided();
+    }
+  }
+
+  function _requireValidRoyalty(address _receiver, uint96 _basisPoints) internal pure {
+    if (_receiver == address(0)) {
+      revert InvalidRoyaltyReceiver();
+    }
+
+    if (_basisPoints > MAX_ROYALTY_BASIS_POINTS) {
+      revert RoyaltyTooHigh(MAX_ROYALTY_BASIS_POINTS);
+    }
+  }
+
   function _requireContributorAddress(address _contributor) internal pure {
     if (_contributor == address(0)) {
       revert InvalidContributorAddress();
@@ -143,88 +506,696 @@ contract AdvancedNft is ERC721("Advanced NFT", "ADV"), Ownable {
   }
 
   function _requireContributor() internal view {
-    if (!contributors[msg.sender]) {
+    Contributor storage contributor = contributors[msg.sender];
+
+    if (contributor.shares == 0 && contributor.owed == 0) {
       revert OnlyAllowedForContributors();
     }
   }
 
-  function _requireMintPriceSent() internal view {
-    if (msg.value != MINT_PRICE) {
-      revert ValueMustBeMintPrice();
+  function _requireExistingContributor(address _contributor) internal view {
+    if (contributors[_contributor].shares == 0) {
+      revert OnlyAllowedForContributors();
     }
   }
 
-  function _requireValidCalls(bytes[] calldata calls) internal view {
-    _requireCallsPresent(calls);
-    _requireAllCallsAreTransferFromCalls(calls);
+  function _requirePositiveShares(uint256 _shares) internal pure {
+    if (_shares == 0) {
+      revert SharesMustBePositive();
+    }
+  }
+
+  function _requireReleasable(uint256 _amount) internal view {
+    uint256 releasableAmount = releasable(msg.sender);
+
+    if (_amount > releasableAmount) {
+      revert AmountExceedsReleasable(releasableAmount);
+    }
+  }
+
+  function _requireMintPricePaid(uint256 _price, uint256 _paid) internal pure {
+    if (_paid < _price) {
+      revert ValueBelowMintPrice(_price);
+    }
   }
 
-  function _requireCallsPresent(bytes[] calldata calls) internal view {
+  function _requireDepositAccepted() internal view {
+    if (msg.value > 0 && (!escrowEnabled || stage != Stages.PublicSale)) {
+      revert DepositNotAccepted();
+    }
+  }
+
+  function _requireEscrowedDeposit(uint256 _deposit) internal pure {
+    if (_deposit == 0) {
+      revert NoEscrowedDeposit();
+    }
+  }
+
+  function _requireCommitCancellable(TokenIdCommit storage _idCommit) internal view {
+    uint256 lastRevealBlock = _idCommit.blockNumber + CAN_REVEAL_UNTIL_BLOCKS;
+
+    if (stage != Stages.SoldOut && block.number <= lastRevealBlock) {
+      revert CommitNotCancellable(lastRevealBlock);
+    }
+  }
+
+  function _requireUnescrowedBalance(uint256 _amount) internal view {
+    uint256 unescrowedBalance = address(this).balance - totalEscrowed;
+
+    if (_amount > unescrowedBalance) {
+      revert AmountExceedsUnescrowedBalance(unescrowedBalance);
+    }
+  }
+
+  function _requireValidDutchAuction(uint256 _startPrice, uint256 _floorPrice, uint256 _duration) internal pure {
+    if (_startPrice <= _floorPrice || _duration == 0) {
+      revert InvalidDutchAuction();
+    }
+  }
+
+  function _requireCallsPresent(bytes[] calldata calls) internal pure {
     if (calls.length == 0) {
       revert CallsMustBePresent();
     }
   }
 
-  function _requireAllCallsAreTransferFromCalls(bytes[] calldata calls) internal view {
-    // TODO: try to apply mask to msg.data to ensure the same thing as in this
-    //       for loop, but without iterating a lot of times.
-    for(uint256 i; i < calls.length; i++) {
-      bytes4 selector = bytes4(calls[i][:4]);
-
-      if (selector != this.transferFrom.selector) {
-        revert MulticallSupportsOnlyTransferFrom();
-      }
+  // @dev Only non-payable token operations that act on behalf of the caller can be batched
+  function _requireBatchableCall(bytes calldata _call) internal pure {
+    bytes4 selector = _call.length < 4 ? bytes4(0) : bytes4(_call[:4]);
+
+    if (
+      selector != IERC721.transferFrom.selector &&
+      selector != SAFE_TRANSFER_FROM_SELECTOR &&
+      selector != SAFE_TRANSFER_FROM_WITH_DATA_SELECTOR &&
+      selector != IERC721.approve.selector &&
+      selector != IERC721.setApprovalForAll.selector
+    ) {
+      revert MulticallFunctionNotSupported(selector);
     }
   }
 
-  function _runTokenIdValidations(TokenIdCommit storage idCommit, uint256 _tokenId, bytes32 _salt) internal view {
+  function _runTokenIdValidations(
+    TokenIdCommit storage idCommit,
+    uint256[] calldata _tokenIds,
+    bytes32 _salt
+  ) internal view {
     // Validation: Token ID related
+    _requireTokenIds(_tokenIds);
     _requireIdCommittedAndNotRevealed(idCommit);
     _requireIdCommitBlocksPassed(idCommit);
-    _requireTokenIdMatchesCommitted(idCommit, _tokenId, _salt);
+    _requireIdCommitNotExpired(idCommit);
+    _requireTokenIdsMatchCommitted(idCommit, _tokenIds, _salt);
+    _requireMintableTokenIds(_tokenIds);
   }
 
   // Internal utility view functions
 
-  function _hashedIdAndSalt(uint256 _tokenId, bytes32 _salt) internal view returns (bytes32) {
-    return keccak256(abi.encodePacked(address(this), msg.sender, _tokenId, _salt));
+  // @dev A single token ID hashes the same as a one element array
+  function _hashedIdsAndSalt(uint256[] calldata _tokenIds, bytes32 _salt) internal view returns (bytes32) {
+    return keccak256(abi.encodePacked(address(this), msg.sender, _tokenIds, _salt));
+  }
+
+  function _mintedBefore(uint256 _tokenId) internal view returns (bool) {
+    return _exists(_tokenId) || _burnedTokenIds.get(_tokenId);
+  }
+
+  // @dev Counts the used tickets bitmap word by word
+  function _usedTicketsCount(uint256 _round) internal view returns (uint256 used) {
+    uint256 ticketsCount = allowlistRounds[_round].ticketsCount;
+
+    // Ticket numbers start from 1, so the last ticket is in word `ticketsCount >> 8`
+    for (uint256 i; i <= ticketsCount >> 8;) {
+      for (uint256 word = usedTickets[_round]._data[i]; word != 0;) {
+        word &= word - 1;
+
+        unchecked { ++used; }
+      }
+
+      unchecked { ++i; }
+    }
+  }
+
+  // Internal state changing functions
+
+  function _transitionTo(Stages _to) internal {
+    Stages from = stage;
+    stage = _to;
+
+    emit StageTransition(uint256(from), uint256(_to));
+  }
+
+  function _addAllowlistRound(bytes32 _merkleRoot, uint256 _ticketsCount) internal {
+    _requireMerkleRoot(_merkleRoot);
+
+    uint256 round = ++allowlistRoundsCount;
+    allowlistRounds[round] = AllowlistRound(_merkleRoot, _ticketsCount);
+
+    emit AllowlistRoundAdded(round, _merkleRoot, _ticketsCount);
+  }
+
+  function _allocateRevenue(uint256 _amount) internal {
+    if (totalShares == 0) {
+      _unallocatedRevenue += _amount;
+    } else {
+      _revenuePerShare += _amount * REVENUE_PRECISION / totalShares;
+    }
+  }
+
+  function _accrued(Contributor storage _contributor) internal view returns (uint256) {
+    return _contributor.shares * _revenuePerShare / REVENUE_PRECISION - _contributor.revenueDebt;
+  }
+
+  // @dev Moves revenue accrued with the current shares into `owed` before shares change
+  function _setShares(address _account, uint256 _shares) internal {
+    Contributor storage contributor = contributors[_account];
+
+    contributor.owed += _accrued(contributor);
+
+    totalShares = totalShares - contributor.shares + _shares;
+    contributor.shares = _shares;
+    contributor.revenueDebt = _shares * _revenuePerShare / REVENUE_PRECISION;
+
+    if (_unallocatedRevenue > 0 && totalShares > 0) {
+      uint256 unallocated = _unallocatedRevenue;
+      _unallocatedRevenue = 0;
+
+      _allocateRevenue(unallocated);
+    }
+  }
+
+  function _setRoyalty(address _receiver, uint96 _basisPoints) internal {
+    _requireValidRoyalty(_receiver, _basisPoints);
+    _setDefaultRoyalty(_receiver, _basisPoints);
+
+    emit DefaultRoyaltyUpdated(_receiver, _basisPoints);
+  }
+
+  // @dev Counts the committed tokens against the presale ticket allowance, marking the ticket
+  //      as used once the allowance is minted, and mints them. Shared by the Merkle proof and
+  //      voucher presale paths
+  function _presaleMintWithTicket(
+    TokenIdCommit storage _idCommit,
+    uint256 _round,
+    uint256 _ticket,
+    uint256 _allowance,
+    uint256[] calldata _tokenIds,
+    uint256 _price
+  ) internal {
+    uint256 minted = ticketMints[_round][_ticket];
+
+    _requireUnusedTicket(_round, _ticket);
+    _requireWithinAllowance(_allowance, minted, _tokenIds.length);
+    _requireWithinWalletLimit(presaleMints[msg.sender], maxPresaleMintsPerWallet, _tokenIds.length);
+
+    minted += _tokenIds.length;
+
+    _idCommit.revealed = true;
+    ticketMints[_round][_ticket] = minted;
+    presaleMints[msg.sender] += _tokenIds.length;
+
+    if (minted == _allowance) {
+      usedTickets[_round].set(_ticket);
+    }
+
+    emit TicketUsed(msg.sender, _round, _ticket, _tokenIds.length, _allowance - minted);
+
+    _mintCommitted(_tokenIds, _price, msg.value);
+  }
+
+  // @dev `_paid` covers `_price`, anything above it is refunded
+  function _mintCommitted(uint256[] calldata _tokenIds, uint256 _price, uint256 _paid) internal {
+    _allocateRevenue(_price);
+
+    for (uint256 i; i < _tokenIds.length;) {
+      _tokenCounter.increment();
+      _safeMint(msg.sender, _tokenIds[i]);
+
+      unchecked { ++i; }
+    }
+
+    _refundOverpayment(_price, _paid);
+  }
+
+  function _refundOverpayment(uint256 _price, uint256 _paid) internal {
+    uint256 excess = _paid - _price;
+
+    if (excess > 0) {
+      (bool success,) = payable(msg.sender).call{ value: excess }("");
+      require(success, "Eth transfer failed");
+    }
   }
 
   // Internal function overrides
 
+  function _baseURI() internal view virtual override returns (string memory) {
+    return _revealedBaseURI;
+  }
+
+  // @dev Token IDs are validated before minting, the check here catches an ID repeated in a batch
   function _mint(address _to, uint256 _tokenId) internal virtual override {
     require(_tokenCounter.current() <= _cap, "ERC721Capped: cap exceeded");
+    _requireTokenIdNotMinted(_tokenId);
     super._mint(_to, _tokenId);
+
+    if (transferLockMode == TransferLockMode.Time) {
+      _transferUnlockPoints[_tokenId] = block.timestamp + transferLockDuration;
+    } else if (transferLockMode == TransferLockMode.Blocks) {
+      _transferUnlockPoints[_tokenId] = block.number + transferLockDuration;
+    }
+
+    if (_tokenCounter.current() == _cap) {
+      _transitionTo(Stages.SoldOut);
+    }
+  }
+
+  // @dev Burned tokens lose their royalty and transfer lock
+  function _burn(uint256 _tokenId) internal virtual override {
+    super._burn(_tokenId);
+
+    _burnedTokenIds.set(_tokenId);
+    totalBurned += 1;
+
+    _resetTokenRoyalty(_tokenId);
+    delete _transferUnlockPoints[_tokenId];
+  }
+
+  // @dev Only transfers between holders are locked. Covers `multicall` too, as its calls are executed
+  //      by this contract.
+  function _beforeTokenTransfer(
+    address _from,
+    address _to,
+    uint256 _firstTokenId,
+    uint256 _batchSize
+  ) internal virtual override {
+    if (_from != address(0) && _to != address(0)) {
+      _requireTransferUnlocked(_firstTokenId);
+    }
+
+    super._beforeTokenTransfer(_from, _to, _firstTokenId, _batchSize);
+  }
+
+  // @dev The owner's roles move with ownership, including when the contract is deployed, so a
+  //      previous owner keeps none of them. Renouncing ownership drops them.
+  function _transferOwnership(address _newOwner) internal virtual override {
+    address previousOwner = owner();
+    bytes32[3] memory ownerRoles = [SALE_MANAGER_ROLE, TREASURER_ROLE, METADATA_ADMIN_ROLE];
+
+    super._transferOwnership(_newOwner);
+
+    for (uint256 i; i < ownerRoles.length;) {
+      _revokeRole(ownerRoles[i], previousOwner);
+
+      if (_newOwner != address(0)) {
+        _grantRole(ownerRoles[i], _newOwner);
+      }
+
+      unchecked { ++i; }
+    }
   }
 
   // Public view functions
 
-  function merkleLeaf(uint256 _ticket) public view returns(bytes32) {
-    return keccak256(abi.encode(msg.sender, _ticket));
+  // @dev `_allowance` is the number of tokens the ticket can mint
+  function merkleLeaf(uint256 _ticket, uint256 _allowance) public view returns(bytes32) {
+    return keccak256(abi.encode(msg.sender, _ticket, _allowance));
+  }
+
+  // @dev EIP-712 digest the voucher signer signs to allow `_minter` to presale mint up to
+  //      `_allowance` tokens with `_ticket` of allowlist round `_round`
+  function voucherDigest(
+    address _minter,
+    uint256 _round,
+    uint256 _ticket,
+    uint256 _allowance,
+    uint256 _expiry
+  ) public view returns (bytes32) {
+    return _hashTypedDataV4(
+      keccak256(abi.encode(VOUCHER_TYPEHASH, _minter, _round, _ticket, _allowance, _expiry))
+    );
+  }
+
+  function cap() external view returns (uint256) {
+    return _cap;
+  }
+
+  function totalMinted() public view returns (uint256) {
+    return _tokenCounter.current();
+  }
+
+  // @dev Tokens in existence, burned tokens excluded
+  function totalSupply() external view returns (uint256) {
+    return totalMinted() - totalBurned;
+  }
+
+  // @dev Burning does not free supply, as burned token IDs can not be minted again
+  function remainingSupply() external view returns (uint256) {
+    return _cap - totalMinted();
+  }
+
+  // @dev Counts the used tickets bitmap word by word, meant for off-chain calls. Tickets with
+  //      part of their allowance left count as remaining
+  function ticketsRemaining(uint256 _round) external view returns (uint256) {
+    _requireAllowlistRound(_round);
+
+    return allowlistRounds[_round].ticketsCount - _usedTicketsCount(_round);
+  }
+
+  // @dev Whether each of `_tokenIds` is within [1, cap] and not minted yet
+  function tokenIdsAvailability(uint256[] calldata _tokenIds) external view returns (bool[] memory available) {
+    available = new bool[](_tokenIds.length);
+
+    for (uint256 i; i < _tokenIds.length;) {
+      available[i] = _tokenIds[i] != 0 && _tokenIds[i] <= _cap && !_mintedBefore(_tokenIds[i]);
+
+      unchecked { ++i; }
+    }
+  }
+
+  // @dev Whether the whole allowance of the ticket has been minted
+  function isTicketUsed(uint256 _round, uint256 _ticket) external view returns (bool) {
+    return usedTickets[_round].get(_ticket);
+  }
+
+  // @dev Status of the latest commit of `_minter` and the first and last blocks it can be revealed in
+  function commitStatus(address _minter) external view returns (
+    CommitStatus status,
+    uint256 revealableFromBlock,
+    uint256 revealableUntilBlock
+  ) {
+    TokenIdCommit storage idCommit = tokenIdCommits[_minter];
+
+    if (idCommit.commit == "") {
+      return (CommitStatus.None, 0, 0);
+    }
+
+    revealableFromBlock = idCommit.blockNumber + CAN_REVEAL_AFTER_BLOCKS;
+    revealableUntilBlock = idCommit.blockNumber + CAN_REVEAL_UNTIL_BLOCKS;
+
+    if (idCommit.revealed) {
+      status = CommitStatus.Revealed;
+    } else if (block.number < revealableFromBlock) {
+      status = CommitStatus.Waiting;
+    } else if (block.number > revealableUntilBlock) {
+      status = CommitStatus.Expired;
+    } else {
+      status = CommitStatus.Revealable;
+    }
+  }
+
+  // @dev Lock of a token: the timestamp or block number, following `mode`, from which it can be
+  //      transferred. `None` once the lock is lifted or when the token was minted without a lock.
+  function transferUnlockPoint(uint256 _tokenId) public view returns (TransferLockMode mode, uint256 unlockPoint) {
+    if (transferLockLifted || transferLockMode == TransferLockMode.None) {
+      return (TransferLockMode.None, 0);
+    }
+
+    if (transferLockMode == TransferLockMode.UntilLifted) {
+      return (TransferLockMode.UntilLifted, 0);
+    }
+
+    unlockPoint = _transferUnlockPoints[_tokenId];
+
+    return (unlockPoint == 0 ? TransferLockMode.None : transferLockMode, unlockPoint);
+  }
+
+  function supportsInterface(
+    bytes4 _interfaceId
+  ) public view virtual override(ERC721, ERC2981, AccessControl) returns (bool) {
+    return super.supportsInterface(_interfaceId);
+  }
+
+  // @dev All tokens share the placeholder URI until the metadata is revealed
+  function tokenURI(uint256 _tokenId) public view virtual override returns (string memory) {
+    if (!metadataRevealed) {
+      _requireMinted(_tokenId);
+
+      return _placeholderURI;
+    }
+
+    return super.tokenURI(_tokenId);
+  }
+
+  // @dev Price of a mint at the current stage, decaying over time in a Dutch auction public sale
+  function currentPrice() public view returns (uint256) {
+    if (stage == Stages.PreSale) {
+      return presalePrice;
+    }
+
+    DutchAuction memory auction = dutchAuction;
+
+    if (auction.duration == 0) {
+      return publicSalePrice;
+    }
+
+    if (stage != Stages.PublicSale) {
+      return auction.startPrice;
+    }
+
+    uint256 elapsed = block.timestamp - publicSaleStartedAt;
+
+    if (elapsed >= auction.duration) {
+      return auction.floorPrice;
+    }
+
+    return auction.startPrice - (auction.startPrice - auction.floorPrice) * elapsed / auction.duration;
+  }
+
+  function shares(address _contributor) external view returns (uint256) {
+    return contributors[_contributor].shares;
+  }
+
+  function released(address _contributor) external view returns (uint256) {
+    return contributors[_contributor].released;
+  }
+
+  function releasable(address _contributor) public view returns (uint256) {
+    Contributor storage contributor = contributors[_contributor];
+
+    return contributor.owed + _accrued(contributor);
   }
 
   // Public state changing functions
 
-  function activatePresale() external onlyOwner atStage(Stages.Inactive) {
-    stage = Stages.PreSale;
+  // @dev Roles are administered by the owner rather than by role admins
+  function grantRole(bytes32 _role, address _account) public virtual override onlyOwner {
+    _grantRole(_role, _account);
+  }
+
+  function revokeRole(bytes32 _role, address _account) public virtual override onlyOwner {
+    _revokeRole(_role, _account);
+  }
+
+  function activatePresale() external onlyRole(SALE_MANAGER_ROLE) atStage(Stages.Inactive) {
+    _transitionTo(Stages.PreSale);
+  }
+
+  function activatePublicSale() external onlyRole(SALE_MANAGER_ROLE) atStage(Stages.PreSale) {
+    publicSaleStartedAt = block.timestamp;
+
+    _transitionTo(Stages.PublicSale);
+  }
+
+  // @dev Opens a new allowlist round, tickets of the previous rounds stay valid
+  function addAllowlistRound(bytes32 _merkleRoot, uint256 _ticketsCount) external onlyRole(SALE_MANAGER_ROLE) {
+    _addAllowlistRound(_merkleRoot, _ticketsCount);
+  }
+
+  // @dev Replaces the root and tickets count of a round to fix its whitelist, tickets used in the
+  //      round stay used. The count must cover the used tickets, a fixed whitelist adding addresses
+  //      raises it.
+  function updateAllowlistRoot(
+    uint256 _round,
+    bytes32 _merkleRoot,
+    uint256 _ticketsCount
+  ) external onlyRole(SALE_MANAGER_ROLE) {
+    _requireAllowlistRound(_round);
+    _requireMerkleRoot(_merkleRoot);
+    _requireTicketsCountNotBelowUsed(_round, _ticketsCount);
+
+    allowlistRounds[_round] = AllowlistRound(_merkleRoot, _ticketsCount);
+
+    emit AllowlistRootUpdated(_round, _merkleRoot, _ticketsCount);
+  }
+
+  function setPresalePrice(uint256 _price) external onlyRole(SALE_MANAGER_ROLE) beforeStage(Stages.PreSale) {
+    presalePrice = _price;
+
+    emit PresalePriceUpdated(_price);
+  }
+
+  function setPublicSalePrice(uint256 _price) external onlyRole(SALE_MANAGER_ROLE) beforeStage(Stages.PublicSale) {
+    publicSalePrice = _price;
 
-    emit StageTransition(uint256(Stages.Inactive), uint256(Stages.PreSale));
+    emit PublicSalePriceUpdated(_price);
   }
 
-  function activatePublicSale() external onlyOwner atStage(Stages.PreSale) {
-    stage = Stages.PublicSale;
+  // @dev Public sale price decays linearly from `_startPrice` to `_floorPrice` over `_duration` seconds
+  function setDutchAuction(
+    uint128 _startPrice,
+    uint128 _floorPrice,
+    uint64 _duration
+  ) external onlyRole(SALE_MANAGER_ROLE) beforeStage(Stages.PublicSale) {
+    _requireValidDutchAuction(_startPrice, _floorPrice, _duration);
 
-    emit StageTransition(uint256(Stages.PreSale), uint256(Stages.PublicSale));
+    dutchAuction = DutchAuction(_startPrice, _floorPrice, _duration);
+
+    emit DutchAuctionUpdated(_startPrice, _floorPrice, _duration);
+  }
+
+  // @dev Public sale falls back to the fixed `publicSalePrice`
+  function disableDutchAuction() external onlyRole(SALE_MANAGER_ROLE) beforeStage(Stages.PublicSale) {
+    delete dutchAuction;
+
+    emit DutchAuctionUpdated(0, 0, 0);
+  }
+
+  // @dev Emergency stop, moves an ongoing presale or public sale back to inactive
+  function deactivateSale() external onlyRole(SALE_MANAGER_ROLE) duringSale {
+    _transitionTo(Stages.Inactive);
+  }
+
+  // @dev The base URI can be set only once, after that the metadata is locked
+  function revealMetadata(string calldata baseURI_) external onlyRole(METADATA_ADMIN_ROLE) {
+    _requireMetadataNotRevealed();
+    _requireBaseURI(baseURI_);
+
+    _revealedBaseURI = baseURI_;
+    metadataRevealed = true;
+
+    emit MetadataRevealed(baseURI_);
+  }
+
+  function setDefaultRoyalty(address _receiver, uint96 _basisPoints) external onlyRole(TREASURER_ROLE) {
+    _setRoyalty(_receiver, _basisPoints);
+  }
+
+  // @dev Overrides the default royalty for a single token
+  function setTokenRoyalty(uint256 _tokenId, address _receiver, uint96 _basisPoints) external onlyRole(TREASURER_ROLE) {
+    _requireValidRoyalty(_receiver, _basisPoints);
+    _setTokenRoyalty(_tokenId, _receiver, _basisPoints);
+
+    emit TokenRoyaltyUpdated(_tokenId, _receiver, _basisPoints);
+  }
+
+  function resetTokenRoyalty(uint256 _tokenId) external onlyRole(TREASURER_ROLE) {
+    _resetTokenRoyalty(_tokenId);
+
+    emit TokenRoyaltyReset(_tokenId);
+  }
+
+  // @dev Setting the zero address stops accepting vouchers
+  function setVoucherSigner(address _signer) external onlyRole(SALE_MANAGER_ROLE) {
+    voucherSigner = _signer;
+
+    emit VoucherSignerUpdated(_signer);
+  }
+
+  function setWalletLimits(uint256 _presaleLimit, uint256 _publicSaleLimit) external onlyRole(SALE_MANAGER_ROLE) {
+    maxPresaleMintsPerWallet = _presaleLimit;
+    maxPublicMintsPerWallet = _publicSaleLimit;
+
+    emit WalletLimitsUpdated(_presaleLimit, _publicSaleLimit);
+  }
+
+  // @dev Deposits made while enabled are consumed or refunded after disabling it as well
+  function setEscrowMode(bool _enabled) external onlyRole(SALE_MANAGER_ROLE) {
+    escrowEnabled = _enabled;
+
+    emit EscrowModeUpdated(_enabled);
+  }
+
+  // @dev Applies to pending commits as well. The reveal delay must be at least one block and
+  //      the window must include at least the first revealable block.
+  function setRevealWindow(uint256 _canRevealAfterBlocks, uint256 _canRevealUntilBlocks) external onlyRole(SALE_MANAGER_ROLE) {
+    _requireValidRevealWindow(_canRevealAfterBlocks, _canRevealUntilBlocks);
+
+    CAN_REVEAL_AFTER_BLOCKS = _canRevealAfterBlocks;
+    CAN_REVEAL_UNTIL_BLOCKS = _canRevealUntilBlocks;
+
+    emit RevealWindowUpdated(_canRevealAfterBlocks, _canRevealUntilBlocks);
+  }
+
+  // @dev Only before the first mint, so that every token is minted under the same lock. Unlock
+  //      points are read following the current mode, and the sale can go back to `Inactive`
+  function setTransferLock(TransferLockMode _mode, uint256 _duration) external onlyRole(SALE_MANAGER_ROLE) {
+    _requireNoTokensMinted();
+    _requireValidTransferLock(_mode, _duration);
+
+    transferLockMode = _mode;
+    transferLockDuration = uint64(_duration);
+
+    emit TransferLockUpdated(_mode, _duration);
+  }
+
+  // @dev Unlocks every token for good
+  function liftTransferLock() external onlyRole(SALE_MANAGER_ROLE) {
+    transferLockLifted = true;
+
+    emit TransferLockLifted();
   }
 
-  function addContributor(address _contributor) external onlyOwner {
+  function setRedemptionsOpen(bool _open) external onlyRole(SALE_MANAGER_ROLE) {
+    redemptionsOpen = _open;
+
+    emit RedemptionsOpenUpdated(_open);
+  }
+
+  function pause() external onlyRole(SALE_MANAGER_ROLE) {
+    _pause();
+  }
+
+  function unpause() external onlyRole(SALE_MANAGER_ROLE) {
+    _unpause();
+  }
+
+  function addContributor(address _contributor, uint256 _shares) external onlyRole(TREASURER_ROLE) {
     _requireContributorAddress(_contributor);
-    contributors[_contributor] = true;
-    emit ContributorAdded(_contributor);
+    _requirePositiveShares(_shares);
+
+    if (contributors[_contributor].shares != 0) {
+      revert ContributorAlreadyAdded();
+    }
+
+    _setShares(_contributor, _shares);
+
+    emit ContributorAdded(_contributor, _shares);
+  }
+
+  function updateContributorShares(address _contributor, uint256 _shares) external onlyRole(TREASURER_ROLE) {
+    _requireExistingContributor(_contributor);
+    _requirePositiveShares(_shares);
+
+    _setShares(_contributor, _shares);
+
+    emit ContributorSharesUpdated(_contributor, _shares);
+  }
+
+  // @dev Revenue accrued before removal stays releasable by the removed contributor
+  function removeContributor(address _contributor) external onlyRole(TREASURER_ROLE) {
+    _requireExistingContributor(_contributor);
+
+    _setShares(_contributor, 0);
+
+    emit ContributorRemoved(_contributor);
   }
 
-  // @dev Commit token ID for the first time or replace previously committed one
-  function commitTokenId(bytes32 commitHash) external {
+  // @dev Commit token IDs for the first time or replace previously committed ones. One
+  //      commit covers all token IDs minted by the next reveal. In escrow mode a public sale
+  //      commit deposits at least the price of one token, adding to any earlier deposit.
+  function commitTokenId(bytes32 commitHash) external payable whenNotPaused {
+    _requireDepositAccepted();
+
+    if (escrowEnabled && stage == Stages.PublicSale) {
+      _requireMintPricePaid(currentPrice(), escrowDeposits[msg.sender] + msg.value);
+    }
+
+    if (msg.value > 0) {
+      escrowDeposits[msg.sender] += msg.value;
+      totalEscrowed += msg.value;
+
+      emit EscrowDeposited(msg.sender, msg.value);
+    }
+
     TokenIdCommit storage idCommit = tokenIdCommits[msg.sender];
 
     uint64 blockNumber = uint64(block.number);
@@ -236,63 +1207,162 @@ contract AdvancedNft is ERC721("Advanced NFT", "ADV"), Ownable {
     emit TokenIdCommitted(msg.sender, commitHash, blockNumber);
   }
 
+  // @dev Mints the committed token IDs, up to the ticket's allowance
   function presaleMint(
+    uint256 _round,
     uint256 _ticket,
+    uint256 _allowance,
     bytes32[] calldata _proof,
-    uint256 _tokenId,
+    uint256[] calldata _tokenIds,
     bytes32 _salt
-  ) public atStage(Stages.PreSale) {
+  ) public payable atStage(Stages.PreSale) whenNotPaused {
+    uint256 price = currentPrice() * _tokenIds.length;
+
+    _requireMintPricePaid(price, msg.value);
+    _requireAllowlistRound(_round);
     _requireTicket(_ticket);
+    _requireTicketInRange(_round, _ticket);
     _requireProof(_proof);
 
     TokenIdCommit storage idCommit = tokenIdCommits[msg.sender];
 
-    _runTokenIdValidations(idCommit, _tokenId, _salt);
+    _runTokenIdValidations(idCommit, _tokenIds, _salt);
 
-    _requireValidProof(_ticket, _proof);
-    _requireUnusedTicket(_ticket);
+    _requireValidProof(_round, _ticket, _allowance, _proof);
 
-    idCommit.revealed = true;
-    unusedTickets.unset(_ticket);
+    _presaleMintWithTicket(idCommit, _round, _ticket, _allowance, _tokenIds, price);
+  }
+
+  // @dev Presale mint authorized by a voucher from `voucherSigner` instead of a Merkle proof.
+  //      Vouchers use the same tickets as the round's Merkle whitelist, so both share the ticket allowance.
+  function voucherPresaleMint(
+    uint256 _round,
+    uint256 _ticket,
+    uint256 _allowance,
+    uint256 _expiry,
+    bytes calldata _signature,
+    uint256[] calldata _tokenIds,
+    bytes32 _salt
+  ) public payable atStage(Stages.PreSale) whenNotPaused {
+    uint256 price = currentPrice() * _tokenIds.length;
 
-    _tokenCounter.increment();
+    _requireMintPricePaid(price, msg.value);
+    _requireAllowlistRound(_round);
+    _requireTicket(_ticket);
+    _requireTicketInRange(_round, _ticket);
+    _requireVoucherNotExpired(_expiry);
+
+    TokenIdCommit storage idCommit = tokenIdCommits[msg.sender];
 
-    _safeMint(msg.sender, _tokenId);
+    _runTokenIdValidations(idCommit, _tokenIds, _salt);
+
+    _requireValidVoucherSignature(_round, _ticket, _allowance, _expiry, _signature);
+
+    _presaleMintWithTicket(idCommit, _round, _ticket, _allowance, _tokenIds, price);
   }
 
-  function publicMint(uint256 _tokenId, bytes32 _salt) public payable atStage(Stages.PublicSale) {
-    _requireMintPriceSent();
+  // @dev The escrowed deposit of the commit and the value sent pay for the committed token IDs,
+  //      anything above their current price is refunded
+  function publicMint(
+    uint256[] calldata _tokenIds,
+    bytes32 _salt
+  ) public payable atStage(Stages.PublicSale) whenNotPaused {
+    uint256 price = currentPrice() * _tokenIds.length;
+    uint256 deposit = escrowDeposits[msg.sender];
+
+    _requireMintPricePaid(price, msg.value + deposit);
 
     TokenIdCommit storage idCommit = tokenIdCommits[msg.sender];
 
-    _runTokenIdValidations(idCommit, _tokenId, _salt);
+    _runTokenIdValidations(idCommit, _tokenIds, _salt);
+    _requireWithinWalletLimit(publicMints[msg.sender], maxPublicMintsPerWallet, _tokenIds.length);
 
     idCommit.revealed = true;
+    publicMints[msg.sender] += _tokenIds.length;
+
+    if (deposit > 0) {
+      escrowDeposits[msg.sender] = 0;
+      totalEscrowed -= deposit;
 
-    _tokenCounter.increment();
+      emit EscrowConsumed(msg.sender, deposit);
+    }
 
-    _safeMint(msg.sender, _tokenId);
+    _mintCommitted(_tokenIds, price, msg.value + deposit);
   }
 
-  // @dev This multicall implementation is intended only for `transferFrom` function
+  // @dev Refunds the escrowed deposit of an unrevealed commit once its reveal window has
+  //      passed or the sale sold out. The commit can not be revealed afterwards.
+  function cancelCommit() external {
+    uint256 deposit = escrowDeposits[msg.sender];
+    TokenIdCommit storage idCommit = tokenIdCommits[msg.sender];
+
+    _requireEscrowedDeposit(deposit);
+    _requireCommitCancellable(idCommit);
+
+    delete tokenIdCommits[msg.sender];
+    escrowDeposits[msg.sender] = 0;
+    totalEscrowed -= deposit;
+
+    emit CommitCancelled(msg.sender, deposit);
+
+    (bool success,) = payable(msg.sender).call{ value: deposit }("");
+    require(success, "Eth transfer failed");
+  }
+
+  // @dev Burns a token held by, or approved to, the caller
+  function burn(uint256 _tokenId) external {
+    _requireTokenOwnerOrApproved(_tokenId);
+
+    _burn(_tokenId);
+  }
+
+  // @dev Burns a token in exchange for what it is redeemed for off-chain, which is fulfilled
+  //      from the `Redeemed` event to the redeemer, the holder of the token. An approved
+  //      operator can redeem on behalf of the holder and is recorded as the operator
+  function redeem(uint256 _tokenId) external whenNotPaused {
+    _requireRedemptionsOpen();
+    _requireTokenOwnerOrApproved(_tokenId);
+
+    address holder = ownerOf(_tokenId);
+
+    _burn(_tokenId);
+
+    emit Redeemed(holder, _tokenId, msg.sender);
+  }
+
+  // @dev Batches `transferFrom`, both `safeTransferFrom` overloads, `approve` and
+  //      `setApprovalForAll`. Each call is validated right before it is executed,
+  //      so the calls are iterated only once.
   function multicall(bytes[] calldata calls) external returns (bytes[] memory results) {
-    _requireValidCalls(calls);
+    _requireCallsPresent(calls);
 
     results = new bytes[](calls.length);
 
-    for (uint256 i = 0; i < calls.length; i++) {
+    for (uint256 i; i < calls.length;) {
+      _requireBatchableCall(calls[i]);
       results[i] = Address.functionDelegateCall(address(this), calls[i]);
+
+      unchecked { ++i; }
     }
 
     return results;
   }
 
-
+  // @dev Releases `amount_` out of the caller's accrued share of mint revenue
   function withdraw(uint256 amount_) public {
     require(amount_ > 0, "Must provide amount");
-    require(amount_ < address(this).balance, "Insufficient balance");
 
     _requireContributor();
+    _requireReleasable(amount_);
+    _requireUnescrowedBalance(amount_);
+
+    Contributor storage contributor = contributors[msg.sender];
+
+    contributor.owed = releasable(msg.sender) - amount_;
+    contributor.revenueDebt = contributor.shares * _revenuePerShare / REVENUE_PRECISION;
+    contributor.released += amount_;
+
+    emit PaymentReleased(msg.sender, amount_);
 
     (bool success,) = payable(msg.sender).call{ value: amount_ }("");
     require(success, "Eth transfer failed");
@@ -1,5 +1,18 @@
 require("@nomicfoundation/hardhat-toolbox");
 
+require("./tasks/admin");
+require("./tasks/whitelist");
+
 module.exports = {
-  solidity: "0.8.19",
+  solidity: {
+    version: "0.8.19",
+    settings: {
+      // AdvancedNft does not fit the 24KB contract size limit without the IR pipeline
+      viaIR: true,
+      optimizer: {
+        enabled: true,
+        runs: 200
+      }
+    }
+  },
 };
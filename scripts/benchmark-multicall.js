@@ -0,0 +1,84 @@
+// Compares the gas used by batching transfers through `multicall` with sending
+// them one by one, for several batch sizes. The holder and the recipient both
+// hold a token throughout, so neither path pays for a balance going from or to
+// zero.
+//
+//   npx hardhat run scripts/benchmark-multicall.js
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { buildProofs } = require("../utils/whitelist");
+const { createCommitRevealClient } = require("../utils/commitReveal");
+const { encodeBatch } = require("../utils/multicall");
+
+const BATCH_SIZES = [1, 2, 5, 10, 20];
+
+async function deployWithMintedTokens(count) {
+  const [owner, holder, recipient] = await hre.ethers.getSigners();
+  const { root } = buildProofs([holder.address, recipient.address]);
+
+  const TokenFactory = await hre.ethers.getContractFactory("AdvancedNft");
+  const token = await TokenFactory.deploy(root, count, 2, hre.ethers.constants.HashZero, "", owner.address, 0);
+
+  await (await token.activatePresale()).wait();
+  await (await token.activatePublicSale()).wait();
+
+  const client = createCommitRevealClient(token.connect(holder));
+
+  for (let tokenId = 1; tokenId <= count; tokenId++) {
+    await client.commit(tokenId);
+    await mine(10);
+    await client.reveal();
+  }
+
+  return { token, holder, recipient };
+}
+
+async function gasUsed(txPromise) {
+  const receipt = await (await txPromise).wait();
+
+  return receipt.gasUsed.toNumber();
+}
+
+async function main() {
+  const totalTokens = BATCH_SIZES.reduce((sum, size) => sum + size * 2, 0);
+  // One more token kept by the holder and one given to the recipient up front
+  const { token, holder, recipient } = await deployWithMintedTokens(totalTokens + 2);
+  const holderToken = token.connect(holder);
+
+  await (await holderToken.transferFrom(holder.address, recipient.address, totalTokens + 2)).wait();
+
+  let nextTokenId = 1;
+  const takeTokenIds = (count) => Array.from({ length: count }, () => nextTokenId++);
+
+  const rows = [];
+
+  for (const size of BATCH_SIZES) {
+    let individualGas = 0;
+
+    for (const tokenId of takeTokenIds(size)) {
+      individualGas += await gasUsed(holderToken.transferFrom(holder.address, recipient.address, tokenId));
+    }
+
+    const operations = takeTokenIds(size).map((tokenId) => ({
+      method: "transferFrom",
+      args: [holder.address, recipient.address, tokenId]
+    }));
+    const batchGas = await gasUsed(holderToken.multicall(encodeBatch(token.interface, operations)));
+
+    rows.push({
+      "batch size": size,
+      "individual txs gas": individualGas,
+      "multicall gas": batchGas,
+      "multicall gas per transfer": Math.round(batchGas / size),
+      "saved": `${((1 - batchGas / individualGas) * 100).toFixed(1)}%`
+    });
+  }
+
+  console.table(rows);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
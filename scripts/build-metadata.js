@@ -0,0 +1,32 @@
+// Builds the token metadata directory from an images folder and prints the
+// provenance hash to deploy AdvancedNft with.
+//
+//   node scripts/build-metadata.js <images dir> <output dir> <image base URI>
+//
+// Upload the images so that they are reachable under the image base URI, then
+// upload the output directory and pass its URI to `revealMetadata`.
+const { writeMetadataDirectory } = require("../utils/metadata");
+
+function main() {
+  const [imagesDir, outDir, imageBaseURI] = process.argv.slice(2);
+
+  if (!imagesDir || !outDir || !imageBaseURI) {
+    throw new Error("Usage: node scripts/build-metadata.js <images dir> <output dir> <image base URI>");
+  }
+
+  const { count, provenanceHash } = writeMetadataDirectory(imagesDir, outDir, {
+    name: process.env.METADATA_NAME || "Advanced NFT",
+    description: process.env.METADATA_DESCRIPTION || "",
+    imageBaseURI
+  });
+
+  console.log(`Wrote metadata for ${count} tokens to ${outDir}`);
+  console.log(`Provenance hash: ${provenanceHash}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error);
+  process.exitCode = 1;
+}
@@ -1,31 +1,92 @@
-// We require the Hardhat Runtime Environment explicitly here. This is optional
-// but useful for running the script in a standalone fashion through `node <script>`.
+// Deploys AdvancedNft using a config file and a whitelist file.
 //
-// You can also run a script with `npx hardhat run <script>`. If you do that, Hardhat
-// will compile your contracts, add the Hardhat Runtime Environment's members to the
-// global scope, and execute the script.
+//   DEPLOY_CONFIG=config/deploy.json npx hardhat run scripts/deploy.js --network <network>
+//
+// DEPLOY_CONFIG may be left out only on the hardhat and localhost networks,
+// which then deploy `config/deploy.example.json`.
+//
+// The config is a JSON object with the following fields:
+//   whitelist    - path to a JSON or CSV list of whitelisted addresses (relative to the config)
+//   cap          - max token supply
+//   ticketsCount - presale tickets, defaults to the number of whitelisted addresses
+//   contributors - `{ address, shares }` entries splitting the mint revenue
+//   provenanceHash - provenance hash printed by scripts/build-metadata.js
+//   placeholderURI - token URI returned until the metadata is revealed
+//   royaltyReceiver - default EIP-2981 royalty receiver
+//   royaltyBasisPoints - default royalty, in basis points of the sale price
+//
+// A deployment record is written to `deployments/<network>.json` right after the
+// deployment and updated after every contributor. When a record for the network
+// already exists and its contract is still deployed, nothing is deployed again
+// and only the contributors without shares yet are added, so a run stopped by a
+// failed contributor transaction can simply be re-run.
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
+const { utils } = require("ethers");
 
-async function main() {
-  const currentTimestampInSeconds = Math.round(Date.now() / 1000);
-  const unlockTime = currentTimestampInSeconds + 60;
+const { deployAdvancedNft, deploymentPath } = require("../utils/deployments");
+const { readWhitelistFile, buildMerkleWhitelist } = require("../utils/whitelist");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "config", "deploy.example.json");
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function loadConfig(networkName) {
+  if (!process.env.DEPLOY_CONFIG && !LOCAL_NETWORKS.includes(networkName)) {
+    throw new Error(
+      `DEPLOY_CONFIG must be provided to deploy on ${networkName}, the example config is deployed only on ${LOCAL_NETWORKS.join(" and ")}`
+    );
+  }
 
-  const lockedAmount = hre.ethers.utils.parseEther("0.001");
+  const configPath = path.resolve(process.env.DEPLOY_CONFIG || DEFAULT_CONFIG_PATH);
+  const config = readJson(configPath);
 
-  const Lock = await hre.ethers.getContractFactory("Lock");
-  const lock = await Lock.deploy(unlockTime, { value: lockedAmount });
+  if (!config.whitelist) {
+    throw new Error(`${configPath}: "whitelist" must be provided`);
+  }
+
+  if (!(config.cap > 0)) {
+    throw new Error(`${configPath}: "cap" must be greater than zero`);
+  }
+
+  if (!utils.isHexString(config.provenanceHash, 32)) {
+    throw new Error(`${configPath}: "provenanceHash" must be a 32 byte hex string`);
+  }
+
+  if (!utils.isAddress(config.royaltyReceiver)) {
+    throw new Error(`${configPath}: "royaltyReceiver" must be an address`);
+  }
+
+  const whitelist = readWhitelistFile(path.resolve(path.dirname(configPath), config.whitelist));
+
+  return {
+    cap: config.cap,
+    ticketsCount: config.ticketsCount === undefined ? whitelist.length : config.ticketsCount,
+    contributors: config.contributors || [],
+    provenanceHash: config.provenanceHash,
+    placeholderURI: config.placeholderURI || "",
+    royaltyReceiver: config.royaltyReceiver,
+    royaltyBasisPoints: config.royaltyBasisPoints || 0,
+    whitelist
+  };
+}
+
+async function main() {
+  const networkName = hre.network.name;
+  const config = loadConfig(networkName);
+  const { merkleTree } = buildMerkleWhitelist(config.whitelist);
 
-  await lock.deployed();
+  await deployAdvancedNft(hre.ethers, networkName, { ...config, merkleRoot: merkleTree.getHexRoot() }, {
+    log: (message) => console.log(message)
+  });
 
-  console.log(
-    `Lock with ${ethers.utils.formatEther(
-      lockedAmount
-    )}ETH and unlock timestamp ${unlockTime} deployed to ${lock.address}`
-  );
+  console.log(`Deployment record written to ${deploymentPath(networkName)}`);
 }
 
-// We recommend this pattern to be able to use async/await everywhere
-// and properly handle errors.
 main().catch((error) => {
   console.error(error);
   process.exitCode = 1;
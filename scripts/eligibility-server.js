@@ -0,0 +1,57 @@
+// Serves the mint eligibility of addresses over HTTP, reading live state from
+// any JSON-RPC endpoint.
+//
+//   WHITELISTS=whitelist.csv NETWORK=localhost node scripts/eligibility-server.js
+//   curl http://127.0.0.1:3000/eligibility/<address>
+//
+// Environment:
+//   RPC_URL          - JSON-RPC endpoint, defaults to http://127.0.0.1:8545
+//   NETWORK          - deployment record to read the address from
+//   CONTRACT_ADDRESS - contract address, overrides the deployment record
+//   WHITELISTS       - comma separated JSON or CSV whitelists of consecutive allowlist rounds
+//   FIRST_ROUND      - allowlist round of the first whitelist, defaults to 1
+//   PORT             - port to listen on, defaults to 3000
+//   ALLOW_ORIGIN     - `Access-Control-Allow-Origin` of the responses, defaults to *
+//
+// Whitelists must match the Merkle roots set on the contract, the server does
+// not start otherwise.
+const { ethers } = require("ethers");
+
+const { resolveContract } = require("../utils/deployments");
+const { readWhitelistFile, buildProofs } = require("../utils/whitelist");
+const { createEligibilityService, createEligibilityServer } = require("../utils/eligibility");
+const { abi } = require("../artifacts/contracts/AdvancedNft.sol/AdvancedNft.json");
+
+function loadRounds() {
+  if (!process.env.WHITELISTS) {
+    throw new Error("WHITELISTS must list the whitelist file of every allowlist round");
+  }
+
+  const firstRound = Number(process.env.FIRST_ROUND || 1);
+
+  return process.env.WHITELISTS.split(",").map((filePath, idx) =>
+    buildProofs(readWhitelistFile(filePath.trim()), { round: firstRound + idx })
+  );
+}
+
+async function main() {
+  const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const contract = new ethers.Contract(resolveContract().address, abi, provider);
+  const rounds = loadRounds();
+
+  const service = createEligibilityService(contract, rounds);
+  await service.verifyRoots();
+
+  const port = Number(process.env.PORT || 3000);
+  const server = createEligibilityServer(service, { allowOrigin: process.env.ALLOW_ORIGIN || "*" });
+
+  server.listen(port, () => {
+    console.log(`Serving eligibility for ${contract.address} (rounds ${rounds.map(({ round }) => round).join(", ")})`);
+    console.log(`  GET http://127.0.0.1:${port}/eligibility/<address>`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
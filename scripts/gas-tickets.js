@@ -0,0 +1,71 @@
+// Reports the gas used to deploy with, open a round of, and presale mint from
+// allowlists of several sizes. Used tickets are tracked lazily, so deployment
+// and round costs do not depend on the number of tickets; only the proof
+// length, and so the mint cost, grows with the tree depth.
+//
+//   npx hardhat run scripts/gas-tickets.js
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { buildProofs } = require("../utils/whitelist");
+const { createCommitRevealClient } = require("../utils/commitReveal");
+
+const TICKETS_COUNTS = [10, 1000, 50000];
+
+// Placeholder addresses fill the list, the minter holds the last ticket
+function buildAllowlist(minterAddress, ticketsCount) {
+  const addresses = Array.from({ length: ticketsCount - 1 }, (_, idx) =>
+    hre.ethers.utils.getAddress(hre.ethers.utils.hexZeroPad(hre.ethers.utils.hexlify(idx + 1), 20))
+  );
+
+  return buildProofs([...addresses, minterAddress]);
+}
+
+async function gasUsed(txPromise) {
+  const receipt = await (await txPromise).wait();
+
+  return receipt.gasUsed.toNumber();
+}
+
+async function measure(ticketsCount) {
+  const [owner, minter] = await hre.ethers.getSigners();
+  const { root, proofs } = buildAllowlist(minter.address, ticketsCount);
+
+  const TokenFactory = await hre.ethers.getContractFactory("AdvancedNft");
+  const token = await TokenFactory.deploy(root, 1, ticketsCount, hre.ethers.constants.HashZero, "", owner.address, 0);
+  const deployGas = (await token.deployTransaction.wait()).gasUsed.toNumber();
+
+  const roundGas = await gasUsed(token.addAllowlistRound(root, ticketsCount));
+
+  await (await token.activatePresale()).wait();
+
+  const client = createCommitRevealClient(token.connect(minter));
+
+  await client.commit(1);
+  await mine(10);
+
+  const { gasUsed: mintGas } = await client.reveal(proofs[minter.address]);
+
+  return {
+    "tickets": ticketsCount,
+    "deploy gas": deployGas,
+    "add round gas": roundGas,
+    "presale mint gas": mintGas.toNumber(),
+    "proof length": proofs[minter.address].proof.length
+  };
+}
+
+async function main() {
+  const rows = [];
+
+  for (const ticketsCount of TICKETS_COUNTS) {
+    rows.push(await measure(ticketsCount));
+  }
+
+  console.table(rows);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,63 @@
+// Indexes AdvancedNft events from any JSON-RPC endpoint into a JSON file and
+// prints a summary of the derived sale state.
+//
+//   RPC_URL=http://127.0.0.1:8545 NETWORK=localhost node scripts/index-events.js
+//
+// Environment:
+//   RPC_URL          - JSON-RPC endpoint, defaults to http://127.0.0.1:8545
+//   NETWORK          - deployment record to read the address and deployment block from
+//   CONTRACT_ADDRESS - contract address, overrides the deployment record
+//   FROM_BLOCK       - first block to index, defaults to the deployment block
+//   INDEX_FILE       - index location, defaults to `index/<address>.json`
+//   STALE_BLOCKS     - report pending commits older than this many blocks, defaults to
+//                      the contract's reveal window so expired commits are reported
+//
+// Run it again to resume from the last indexed block.
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { resolveContract } = require("../utils/deployments");
+const { createIndexer, createJsonIndexStore } = require("../utils/indexer");
+const { abi } = require("../artifacts/contracts/AdvancedNft.sol/AdvancedNft.json");
+
+async function main() {
+  const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const { address, fromBlock } = resolveContract();
+  const indexFile = process.env.INDEX_FILE || path.join("index", `${address}.json`);
+
+  const contract = new ethers.Contract(address, abi, provider);
+  const indexer = createIndexer(contract, {
+    store: createJsonIndexStore(indexFile),
+    fromBlock
+  });
+
+  const { fromBlock: syncedFrom, toBlock, rolledBackEvents } = await indexer.sync();
+
+  if (rolledBackEvents > 0) {
+    console.log(`Rolled back ${rolledBackEvents} events from reorganized blocks`);
+  }
+
+  if (toBlock < syncedFrom) {
+    console.log(`${indexFile} is up to date with block ${toBlock}`);
+  } else {
+    console.log(`Indexed blocks ${syncedFrom}..${toBlock} into ${indexFile}`);
+  }
+
+  console.log(`Minted: ${indexer.mints().length}`);
+  console.log(`Burned: ${indexer.burns().length}, redeemed: ${indexer.redemptions().length}`);
+  console.log(`Tickets used: ${indexer.usedTickets().map(({ ticket }) => ticket).join(", ") || "none"}`);
+
+  const staleBlocks = Number(process.env.STALE_BLOCKS || (await contract.CAN_REVEAL_UNTIL_BLOCKS()));
+  const staleCommits = indexer.pendingCommits({ olderThanBlocks: staleBlocks });
+
+  console.log(`Commits pending for more than ${staleBlocks} blocks: ${staleCommits.length}`);
+
+  for (const { committer, blockNumber } of staleCommits) {
+    console.log(`  ${committer} committed at block ${blockNumber}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,64 @@
+// Watches AdvancedNft redemptions from any JSON-RPC endpoint and appends every
+// confirmed one to a JSON lines file for fulfillment, e.g. shipping merch or
+// airdropping a follow-up drop.
+//
+//   NETWORK=localhost node scripts/redemption-listener.js
+//
+// Environment:
+//   RPC_URL          - JSON-RPC endpoint, defaults to http://127.0.0.1:8545
+//   NETWORK          - deployment record to read the address and deployment block from
+//   CONTRACT_ADDRESS - contract address, overrides the deployment record
+//   FROM_BLOCK       - first block to index, defaults to the deployment block
+//   CONFIRMATIONS    - blocks a redemption needs before it is fulfilled, defaults to 12
+//   POLL_INTERVAL    - seconds between polls, defaults to 15
+//   OUTPUT_FILE      - fulfillment file, defaults to `redemptions/<address>.jsonl`
+//
+// Handled redemptions are saved next to the output file, a restarted listener
+// does not append them again.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { resolveContract } = require("../utils/deployments");
+const { createJsonIndexStore } = require("../utils/indexer");
+const { createRedemptionListener } = require("../utils/redemptions");
+const { abi } = require("../artifacts/contracts/AdvancedNft.sol/AdvancedNft.json");
+
+async function main() {
+  const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const { address, fromBlock } = resolveContract();
+  const outputFile = process.env.OUTPUT_FILE || path.join("redemptions", `${address}.jsonl`);
+  const stateFile = outputFile.replace(/(\.jsonl)?$/, ".state.json");
+
+  fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+
+  const contract = new ethers.Contract(address, abi, provider);
+  const listener = createRedemptionListener(contract, {
+    fromBlock,
+    confirmations: Number(process.env.CONFIRMATIONS || 12),
+    pollInterval: Number(process.env.POLL_INTERVAL || 15) * 1000,
+    store: createJsonIndexStore(outputFile.replace(/(\.jsonl)?$/, ".index.json")),
+    handledStore: createJsonIndexStore(stateFile),
+    onRedemption: async (redemption) => {
+      fs.appendFileSync(outputFile, `${JSON.stringify(redemption)}\n`);
+
+      const operator = redemption.operator === redemption.redeemer ? "" : ` through ${redemption.operator}`;
+
+      console.log(
+        `Token ${redemption.tokenId} redeemed by ${redemption.redeemer}${operator} in ${redemption.transactionHash}`
+      );
+    }
+  });
+
+  process.on("SIGINT", listener.stop);
+  process.on("SIGTERM", listener.stop);
+
+  console.log(`Watching redemptions of ${address}, appending them to ${outputFile}`);
+
+  await listener.start();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
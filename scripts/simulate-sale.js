@@ -0,0 +1,364 @@
+// Rehearses a full sale on the in-process Hardhat network: a presale minted by
+// a generated allowlist, a public sale where minters race for the same token
+// IDs, and contributor withdrawals. Transactions of a phase are mined together
+// in shared blocks, as they would land on a busy chain. Prints the gas used per
+// operation, failed transactions by custom error, and the final balances.
+//
+//   npx hardhat run scripts/simulate-sale.js
+//
+// Launch parameters are read from the environment:
+//   ALLOWLIST_SIZE - allowlisted presale minters, defaults to 300
+//   PUBLIC_MINTERS - public sale minters, defaults to 150
+//   CAP            - max token supply, defaults to 500
+//   PRESALE_PRICE  - presale price in ETH, defaults to 0.05
+//   PUBLIC_PRICE   - public sale price in ETH, defaults to 0.08
+//   COLLISION_RATE - share of public commits picking an ID another minter
+//                    already picked, defaults to 0.2
+//   PUBLIC_WAVES   - commit/reveal attempts of public minters losing a race, defaults to 3
+//   SEED           - seed of the token ID picks, defaults to 1
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { buildProofs } = require("../utils/whitelist");
+const { createRandom, shuffle } = require("../utils/random");
+const { Stages, decodeContractError } = require("../utils/contract");
+const { hashIdsAndSalt, randomSalt } = require("../utils/commitReveal");
+
+const { utils } = hre.ethers;
+
+const CONTRIBUTOR_SHARES = [50, 30, 20];
+const MINTER_BALANCE = utils.parseEther("100");
+
+// Gas limits are set explicitly: estimates run against the pending block and
+// would fail for the losers of a race before it is mined
+const GAS_LIMITS = {
+  commitTokenId: 150000,
+  presaleMint: 400000,
+  publicMint: 300000,
+  withdraw: 150000
+};
+
+function readConfig() {
+  const numberFromEnv = (name, defaultValue) =>
+    process.env[name] === undefined ? defaultValue : Number(process.env[name]);
+
+  const config = {
+    allowlistSize: numberFromEnv("ALLOWLIST_SIZE", 300),
+    publicMinters: numberFromEnv("PUBLIC_MINTERS", 150),
+    cap: numberFromEnv("CAP", 500),
+    presalePrice: utils.parseEther(process.env.PRESALE_PRICE || "0.05"),
+    publicPrice: utils.parseEther(process.env.PUBLIC_PRICE || "0.08"),
+    collisionRate: numberFromEnv("COLLISION_RATE", 0.2),
+    publicWaves: numberFromEnv("PUBLIC_WAVES", 3),
+    seed: numberFromEnv("SEED", 1)
+  };
+
+  for (const name of ["allowlistSize", "publicMinters", "cap", "publicWaves"]) {
+    if (!Number.isInteger(config[name]) || config[name] < 1) {
+      throw new Error(`${name} must be a positive integer`);
+    }
+  }
+
+  if (!(config.collisionRate >= 0 && config.collisionRate <= 1)) {
+    throw new Error("collisionRate must be between 0 and 1");
+  }
+
+  return config;
+}
+
+// Funded accounts impersonated on the in-process network, so nothing is signed
+async function createMinters(label, count) {
+  const minters = [];
+
+  for (let idx = 0; idx < count; idx++) {
+    const address = utils.getAddress(utils.hexDataSlice(utils.id(`${label} minter ${idx}`), 12));
+
+    await hre.network.provider.send("hardhat_setBalance", [address, utils.hexValue(MINTER_BALANCE)]);
+    minters.push(await hre.ethers.getImpersonatedSigner(address));
+  }
+
+  return minters;
+}
+
+function createReport() {
+  const gasByOperation = new Map();
+  const failures = new Map();
+
+  return {
+    recordGas(operation, gasUsed) {
+      const stats = gasByOperation.get(operation) || { count: 0, total: 0, min: Infinity, max: 0 };
+
+      stats.count++;
+      stats.total += gasUsed;
+      stats.min = Math.min(stats.min, gasUsed);
+      stats.max = Math.max(stats.max, gasUsed);
+
+      gasByOperation.set(operation, stats);
+    },
+    recordFailure(operation, errorName) {
+      const key = `${operation}: ${errorName}`;
+
+      failures.set(key, (failures.get(key) || 0) + 1);
+    },
+    gasTable() {
+      return [...gasByOperation.entries()].map(([operation, { count, total, min, max }]) => ({
+        operation,
+        count,
+        "min gas": min,
+        "avg gas": Math.round(total / count),
+        "max gas": max
+      }));
+    },
+    failureTable() {
+      return [...failures.entries()].map(([failure, count]) => ({ failure, count }));
+    }
+  };
+}
+
+async function revertErrorName(token, transactionHash) {
+  const trace = await hre.network.provider.send("debug_traceTransaction", [
+    transactionHash,
+    { disableMemory: true, disableStack: true, disableStorage: true }
+  ]);
+  const data = trace.returnValue ? `0x${trace.returnValue.replace(/^0x/, "")}` : "0x";
+  const decoded = decodeContractError(token.interface, { data });
+
+  return decoded.name === "Error" ? decoded.message : decoded.name;
+}
+
+// Sends every call of a phase without mining, then mines blocks until all of
+// them are included. Returns the calls that succeeded.
+async function runInSharedBlocks(token, report, operation, calls) {
+  const sent = [];
+
+  for (const call of calls) {
+    const tx = await token.connect(call.minter)[operation](...call.args, {
+      gasLimit: GAS_LIMITS[operation],
+      value: call.value || 0
+    });
+
+    sent.push({ call, hash: tx.hash });
+  }
+
+  const receipts = new Map();
+
+  while (receipts.size < sent.length) {
+    await hre.network.provider.send("evm_mine", []);
+
+    for (const { hash } of sent) {
+      if (!receipts.has(hash)) {
+        const receipt = await hre.ethers.provider.getTransactionReceipt(hash);
+
+        if (receipt) {
+          receipts.set(hash, receipt);
+        }
+      }
+    }
+  }
+
+  const succeeded = [];
+
+  for (const { call, hash } of sent) {
+    const receipt = receipts.get(hash);
+
+    report.recordGas(operation, receipt.gasUsed.toNumber());
+
+    if (receipt.status === 1) {
+      succeeded.push(call);
+    } else {
+      report.recordFailure(operation, await revertErrorName(token, hash));
+    }
+  }
+
+  return succeeded;
+}
+
+async function commitAndReveal(token, report, operation, picks, revealArgs, value) {
+  const commits = picks.map(({ minter, tokenId }) => {
+    const salt = randomSalt();
+
+    return {
+      minter,
+      tokenId,
+      salt,
+      args: [hashIdsAndSalt(token.address, minter.address, [tokenId], salt)]
+    };
+  });
+
+  await runInSharedBlocks(token, report, "commitTokenId", commits);
+  await mine(Number(await token.CAN_REVEAL_AFTER_BLOCKS()));
+
+  const reveals = commits.map(({ minter, tokenId, salt }) => ({
+    minter,
+    tokenId,
+    value,
+    args: [...revealArgs(minter), [tokenId], salt]
+  }));
+
+  return runInSharedBlocks(token, report, operation, reveals);
+}
+
+async function main() {
+  const config = readConfig();
+  const random = createRandom(config.seed);
+  const report = createReport();
+  const [owner, ...contributorSigners] = await hre.ethers.getSigners();
+  const contributors = contributorSigners.slice(0, CONTRIBUTOR_SHARES.length);
+
+  console.log(`Generating ${config.allowlistSize} allowlisted and ${config.publicMinters} public minters`);
+
+  const allowlisted = await createMinters("allowlisted", config.allowlistSize);
+  const publicMinters = await createMinters("public", config.publicMinters);
+  const whitelist = buildProofs(allowlisted.map(({ address }) => address));
+
+  const TokenFactory = await hre.ethers.getContractFactory("AdvancedNft");
+  const token = await TokenFactory.deploy(
+    whitelist.root,
+    config.cap,
+    config.allowlistSize,
+    hre.ethers.constants.HashZero,
+    "",
+    owner.address,
+    0
+  );
+
+  report.recordGas("deploy", (await token.deployTransaction.wait()).gasUsed.toNumber());
+
+  for (const [idx, contributor] of contributors.entries()) {
+    await (await token.addContributor(contributor.address, CONTRIBUTOR_SHARES[idx])).wait();
+  }
+
+  await (await token.setPresalePrice(config.presalePrice)).wait();
+  await (await token.setPublicSalePrice(config.publicPrice)).wait();
+  await (await token.activatePresale()).wait();
+
+  await hre.network.provider.send("evm_setAutomine", [false]);
+
+  // Presale minters pick distinct token IDs
+  const available = shuffle(random, Array.from({ length: config.cap }, (_, idx) => idx + 1));
+  const presalePicks = allowlisted
+    .slice(0, Math.min(allowlisted.length, available.length))
+    .map((minter) => ({ minter, tokenId: available.pop() }));
+
+  const presaleMinted = await commitAndReveal(
+    token,
+    report,
+    "presaleMint",
+    presalePicks,
+    (minter) => {
+      const { round, ticket, allowance, proof } = whitelist.proofs[minter.address];
+
+      return [round, ticket, allowance, proof];
+    },
+    config.presalePrice
+  );
+
+  console.log(`Presale: ${presaleMinted.length} of ${presalePicks.length} minters minted`);
+
+  await hre.network.provider.send("evm_setAutomine", [true]);
+
+  if ((await token.stage()) === Stages.PreSale) {
+    await (await token.activatePublicSale()).wait();
+  }
+
+  await hre.network.provider.send("evm_setAutomine", [false]);
+
+  // Public minters commit to a free token ID, or with `collisionRate` to one
+  // another minter of the wave already picked. Losers of a race retry in the
+  // next wave.
+  let waitingMinters = publicMinters;
+
+  for (let wave = 1; wave <= config.publicWaves && waitingMinters.length > 0; wave++) {
+    if ((await token.remainingSupply()).isZero()) {
+      console.log(`Sold out, ${waitingMinters.length} public minters left without a token`);
+      break;
+    }
+
+    const picked = [];
+    const picks = waitingMinters.map((minter) => {
+      const collide = picked.length > 0 && (random() < config.collisionRate || available.length === 0);
+      const tokenId = collide ? picked[Math.floor(random() * picked.length)] : available.pop();
+
+      picked.push(tokenId);
+
+      return { minter, tokenId };
+    });
+
+    const minted = await commitAndReveal(token, report, "publicMint", shuffle(random, picks), () => [], config.publicPrice);
+    const mintedMinters = new Set(minted.map(({ minter }) => minter.address));
+    const mintedIds = new Set(minted.map(({ tokenId }) => tokenId));
+
+    // IDs of the race losers that nobody minted go back to the pool
+    const unmintedIds = [...new Set(picked)].filter((tokenId) => !mintedIds.has(tokenId));
+    const availability = unmintedIds.length > 0 ? await token.tokenIdsAvailability(unmintedIds) : [];
+
+    unmintedIds.forEach((tokenId, idx) => availability[idx] && available.unshift(tokenId));
+
+    waitingMinters = waitingMinters.filter(({ address }) => !mintedMinters.has(address));
+
+    console.log(`Public sale wave ${wave}: ${minted.length} of ${picks.length} minters minted`);
+
+    if (wave === config.publicWaves && waitingMinters.length > 0) {
+      console.log(`${waitingMinters.length} public minters gave up after ${wave} waves`);
+    }
+  }
+
+  const withdrawals = await Promise.all(
+    contributors.map(async (contributor) => ({
+      minter: contributor,
+      args: [await token.releasable(contributor.address)]
+    }))
+  );
+
+  await runInSharedBlocks(token, report, "withdraw", withdrawals);
+  await hre.network.provider.send("evm_setAutomine", [true]);
+
+  console.log("\nGas per operation");
+  console.table(report.gasTable());
+
+  console.log("Failed transactions");
+  console.table(report.failureTable());
+
+  const [stage, totalSupply, contractBalance] = await Promise.all([
+    token.stage(),
+    token.totalSupply(),
+    hre.ethers.provider.getBalance(token.address)
+  ]);
+  const revenue = config.presalePrice.mul(presaleMinted.length).add(
+    config.publicPrice.mul(totalSupply.toNumber() - presaleMinted.length)
+  );
+
+  const stageName = Object.keys(Stages).find((name) => Stages[name] === stage);
+
+  // Includes the gas of failed transactions
+  async function spentBy(minters) {
+    const balances = await Promise.all(minters.map(({ address }) => hre.ethers.provider.getBalance(address)));
+
+    return balances.reduce((spent, balance) => spent.add(MINTER_BALANCE.sub(balance)), hre.ethers.constants.Zero);
+  }
+
+  console.log(`Minted ${totalSupply} of ${config.cap}, sale stage ${stageName}`);
+  console.log(`Mint revenue:          ${utils.formatEther(revenue)} ETH`);
+  console.log(`Contract balance:      ${utils.formatEther(contractBalance)} ETH`);
+  console.log(`Spent by allowlisted:  ${utils.formatEther(await spentBy(allowlisted))} ETH`);
+  console.log(`Spent by public:       ${utils.formatEther(await spentBy(publicMinters))} ETH`);
+  console.table(
+    await Promise.all(
+      contributors.map(async (contributor, idx) => {
+        const released = await token.released(contributor.address);
+
+        return {
+          contributor: contributor.address,
+          shares: CONTRIBUTOR_SHARES[idx],
+          "withdrawn ETH": utils.formatEther(released),
+          "releasable ETH": utils.formatEther(await token.releasable(contributor.address))
+        };
+      })
+    )
+  );
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,433 @@
+const readline = require("readline");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const { readDeployment } = require("../utils/deployments");
+const { TransferLockMode, decodeContractError } = require("../utils/contract");
+const { createIndexer } = require("../utils/indexer");
+
+const PLUGIN_NAME = "nft";
+
+const STAGE_NAMES = ["Inactive", "PreSale", "PublicSale", "SoldOut"];
+
+const TRANSFER_LOCK_MODES = {
+  none: TransferLockMode.None,
+  time: TransferLockMode.Time,
+  blocks: TransferLockMode.Blocks,
+  "until-lifted": TransferLockMode.UntilLifted
+};
+
+const ROLE_NAMES = ["SALE_MANAGER_ROLE", "TREASURER_ROLE", "METADATA_ADMIN_ROLE"];
+
+const STAGE_FUNCTIONS = {
+  inactive: "deactivateSale",
+  presale: "activatePresale",
+  public: "activatePublicSale"
+};
+
+async function getDeployedToken(hre, address) {
+  const tokenAddress = address || (readDeployment(hre.network.name) || {}).address;
+
+  if (!tokenAddress) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `No deployment record found for network "${hre.network.name}", run scripts/deploy.js or pass --address`
+    );
+  }
+
+  return hre.ethers.getContractAt("AdvancedNft", tokenAddress);
+}
+
+function confirm(question) {
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  return new Promise((resolve) => {
+    prompt.question(`${question} [y/N] `, (answer) => {
+      prompt.close();
+      resolve(answer.trim().toLowerCase() === "y");
+    });
+  });
+}
+
+// Simulates the call first so that reverts are reported before anything is
+// sent. With `dryRun` only the simulation and gas estimate are printed.
+async function sendAdminCall(token, functionName, args, { dryRun, yes }) {
+  const signerAddress = await token.signer.getAddress();
+  const description = `${functionName}(${args.join(", ")}) from ${signerAddress}`;
+
+  let gasEstimate;
+
+  try {
+    await token.callStatic[functionName](...args);
+    gasEstimate = await token.estimateGas[functionName](...args);
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN_NAME, decodeContractError(token.interface, error).message);
+  }
+
+  console.log(`${description} would succeed using ~${gasEstimate} gas`);
+
+  if (dryRun) {
+    return;
+  }
+
+  if (!yes && !(await confirm(`Send ${functionName} transaction?`))) {
+    console.log("Aborted");
+    return;
+  }
+
+  const receipt = await (await token[functionName](...args)).wait();
+
+  console.log(`Sent in ${receipt.transactionHash} (block ${receipt.blockNumber})`);
+}
+
+// Accepts role names with or without the `_ROLE` suffix, in any case
+function roleHash(hre, roleName) {
+  const name = roleName.toUpperCase().replace(/-/g, "_").replace(/(_ROLE)?$/, "_ROLE");
+
+  if (!ROLE_NAMES.includes(name)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Unknown role "${roleName}", expected one of: ${ROLE_NAMES.join(", ")}`);
+  }
+
+  return hre.ethers.utils.id(name);
+}
+
+async function formatTransferLock(token) {
+  if (await token.transferLockLifted()) {
+    return "lock lifted";
+  }
+
+  const [mode, duration] = await Promise.all([token.transferLockMode(), token.transferLockDuration()]);
+
+  return {
+    [TransferLockMode.None]: "not locked",
+    [TransferLockMode.Time]: `locked for ${duration} seconds after mint`,
+    [TransferLockMode.Blocks]: `locked for ${duration} blocks after mint`,
+    [TransferLockMode.UntilLifted]: "locked until the lock is lifted"
+  }[mode];
+}
+
+function adminTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "AdvancedNft address, defaults to the deployment record")
+    .addFlag("dryRun", "Only simulate the call and estimate gas")
+    .addFlag("yes", "Do not ask for confirmation");
+}
+
+task("nft:status", "Prints the sale state of the deployed AdvancedNft")
+  .addOptionalParam("address", "AdvancedNft address, defaults to the deployment record")
+  .setAction(async ({ address }, hre) => {
+    const token = await getDeployedToken(hre, address);
+    const { ethers } = hre;
+
+    const stage = await token.stage();
+    const voucherSigner = await token.voucherSigner();
+
+    console.log(`Address:     ${token.address}`);
+    console.log(`Owner:       ${await token.owner()}`);
+
+    const pendingOwner = await token.pendingOwner();
+
+    if (pendingOwner !== ethers.constants.AddressZero) {
+      console.log(`New owner:   ${pendingOwner} (not accepted yet)`);
+    }
+
+    console.log(`Stage:       ${STAGE_NAMES[stage]}${(await token.paused()) ? " (paused)" : ""}`);
+    console.log(`Minted:      ${await token.totalMinted()} of ${await token.cap()}`);
+    console.log(`Burned:      ${await token.totalBurned()}, ${await token.totalSupply()} in circulation`);
+    console.log(`Balance:     ${ethers.utils.formatEther(await ethers.provider.getBalance(token.address))} ETH`);
+    console.log(
+      `Escrow:      ${(await token.escrowEnabled()) ? "on" : "off"}, ` +
+      `${ethers.utils.formatEther(await token.totalEscrowed())} ETH held`
+    );
+    console.log(`Price:       ${ethers.utils.formatEther(await token.currentPrice())} ETH`);
+
+    const roundsCount = (await token.allowlistRoundsCount()).toNumber();
+
+    for (let round = 1; round <= roundsCount; round++) {
+      const { merkleRoot, ticketsCount } = await token.allowlistRounds(round);
+
+      const remaining = await token.ticketsRemaining(round);
+
+      console.log(`${`Round ${round}:`.padEnd(13)}${merkleRoot} (${remaining} of ${ticketsCount} tickets left)`);
+    }
+
+    const formatLimit = (limit) => (limit.isZero() ? "no limit" : `${limit} per wallet`);
+
+    console.log(`Presale:     ${formatLimit(await token.maxPresaleMintsPerWallet())}`);
+    console.log(`Public sale: ${formatLimit(await token.maxPublicMintsPerWallet())}`);
+    console.log(`Reveal:      ${await token.CAN_REVEAL_AFTER_BLOCKS()} to ${await token.CAN_REVEAL_UNTIL_BLOCKS()} blocks after commit`);
+    console.log(`Transfers:   ${await formatTransferLock(token)}`);
+    console.log(`Redemptions: ${(await token.redemptionsOpen()) ? "open" : "closed"}`);
+    console.log(`Vouchers:    ${voucherSigner === ethers.constants.AddressZero ? "disabled" : `signed by ${voucherSigner}`}`);
+    console.log(`Shares:      ${await token.totalShares()}`);
+    console.log(`Provenance:  ${await token.provenanceHash()}`);
+    console.log(`Metadata:    ${(await token.metadataRevealed()) ? "revealed" : "not revealed"}`);
+
+    const [royaltyReceiver, royaltyBasisPoints] = await token.royaltyInfo(0, 10000);
+
+    console.log(`Royalty:     ${royaltyBasisPoints.toNumber() / 100}% to ${royaltyReceiver}`);
+  });
+
+adminTask("nft:stage", "Moves the sale to the given stage")
+  .addPositionalParam("stage", `Stage to activate: ${Object.keys(STAGE_FUNCTIONS).join(", ")}`)
+  .setAction(async ({ address, stage, dryRun, yes }, hre) => {
+    const functionName = STAGE_FUNCTIONS[stage];
+
+    if (!functionName) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `Unknown stage "${stage}", expected one of: ${Object.keys(STAGE_FUNCTIONS).join(", ")}`
+      );
+    }
+
+    await sendAdminCall(await getDeployedToken(hre, address), functionName, [], { dryRun, yes });
+  });
+
+adminTask("nft:pause", "Pauses commits and minting")
+  .setAction(async ({ address, dryRun, yes }, hre) => {
+    await sendAdminCall(await getDeployedToken(hre, address), "pause", [], { dryRun, yes });
+  });
+
+adminTask("nft:unpause", "Resumes commits and minting")
+  .setAction(async ({ address, dryRun, yes }, hre) => {
+    await sendAdminCall(await getDeployedToken(hre, address), "unpause", [], { dryRun, yes });
+  });
+
+adminTask("nft:reveal-metadata", "Sets the token base URI, this can be done only once")
+  .addPositionalParam("baseUri", "Base URI of the metadata directory")
+  .setAction(async ({ address, baseUri, dryRun, yes }, hre) => {
+    await sendAdminCall(await getDeployedToken(hre, address), "revealMetadata", [baseUri], { dryRun, yes });
+  });
+
+adminTask("nft:royalty", "Sets the default royalty, or the royalty of a single token")
+  .addPositionalParam("receiver", "Royalty receiver")
+  .addPositionalParam("basisPoints", "Royalty in basis points of the sale price", undefined, types.int)
+  .addOptionalParam("tokenId", "Only set the royalty of this token", undefined, types.int)
+  .setAction(async ({ address, receiver, basisPoints, tokenId, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    if (tokenId === undefined) {
+      await sendAdminCall(token, "setDefaultRoyalty", [receiver, basisPoints], { dryRun, yes });
+    } else {
+      await sendAdminCall(token, "setTokenRoyalty", [tokenId, receiver, basisPoints], { dryRun, yes });
+    }
+  });
+
+adminTask("nft:price", "Sets the fixed presale or public sale price")
+  .addPositionalParam("sale", "Sale to set the price of: presale or public")
+  .addPositionalParam("price", "Price in ETH", undefined, types.string)
+  .setAction(async ({ address, sale, price, dryRun, yes }, hre) => {
+    const functionName = { presale: "setPresalePrice", public: "setPublicSalePrice" }[sale];
+
+    if (!functionName) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Unknown sale "${sale}", expected presale or public`);
+    }
+
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, functionName, [hre.ethers.utils.parseEther(price)], { dryRun, yes });
+  });
+
+adminTask("nft:dutch-auction", "Configures the public sale as a Dutch auction")
+  .addOptionalPositionalParam("startPrice", "Start price in ETH", undefined, types.string)
+  .addOptionalPositionalParam("floorPrice", "Floor price in ETH", undefined, types.string)
+  .addOptionalPositionalParam("duration", "Seconds for the price to reach the floor", undefined, types.int)
+  .addFlag("disable", "Go back to the fixed public sale price")
+  .setAction(async ({ address, startPrice, floorPrice, duration, disable, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    if (disable) {
+      await sendAdminCall(token, "disableDutchAuction", [], { dryRun, yes });
+      return;
+    }
+
+    if (startPrice === undefined || floorPrice === undefined || duration === undefined) {
+      throw new HardhatPluginError(PLUGIN_NAME, "Start price, floor price and duration must be provided");
+    }
+
+    const { parseEther } = hre.ethers.utils;
+
+    await sendAdminCall(
+      token,
+      "setDutchAuction",
+      [parseEther(startPrice), parseEther(floorPrice), duration],
+      { dryRun, yes }
+    );
+  });
+
+adminTask("nft:add-round", "Opens a new allowlist round")
+  .addPositionalParam("merkleRoot", "Merkle root of the round's whitelist")
+  .addPositionalParam("ticketsCount", "Number of tickets in the round", undefined, types.int)
+  .setAction(async ({ address, merkleRoot, ticketsCount, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "addAllowlistRound", [merkleRoot, ticketsCount], { dryRun, yes });
+  });
+
+adminTask("nft:update-root", "Replaces the merkle root and tickets count of an allowlist round")
+  .addPositionalParam("round", "Allowlist round", undefined, types.int)
+  .addPositionalParam("merkleRoot", "New merkle root")
+  .addPositionalParam("ticketsCount", "Number of tickets in the fixed whitelist", undefined, types.int)
+  .setAction(async ({ address, round, merkleRoot, ticketsCount, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "updateAllowlistRoot", [round, merkleRoot, ticketsCount], { dryRun, yes });
+  });
+
+adminTask("nft:voucher-signer", "Sets the signer of allowlist vouchers, the zero address disables vouchers")
+  .addPositionalParam("signer", "Voucher signer address")
+  .setAction(async ({ address, signer, dryRun, yes }, hre) => {
+    await sendAdminCall(await getDeployedToken(hre, address), "setVoucherSigner", [signer], { dryRun, yes });
+  });
+
+adminTask("nft:wallet-limits", "Sets how many tokens a wallet can mint in the presale and the public sale")
+  .addPositionalParam("presale", "Presale mints per wallet, 0 for no limit", undefined, types.int)
+  .addPositionalParam("publicSale", "Public sale mints per wallet, 0 for no limit", undefined, types.int)
+  .setAction(async ({ address, presale, publicSale, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "setWalletLimits", [presale, publicSale], { dryRun, yes });
+  });
+
+adminTask("nft:escrow", "Turns escrowed public sale commit deposits on or off")
+  .addPositionalParam("mode", "on or off")
+  .setAction(async ({ address, mode, dryRun, yes }, hre) => {
+    if (mode !== "on" && mode !== "off") {
+      throw new HardhatPluginError(PLUGIN_NAME, `Unknown escrow mode "${mode}", expected on or off`);
+    }
+
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "setEscrowMode", [mode === "on"], { dryRun, yes });
+  });
+
+adminTask("nft:reveal-window", "Sets how many blocks after a commit its token IDs can be revealed")
+  .addPositionalParam("afterBlocks", "Blocks to wait before revealing", undefined, types.int)
+  .addPositionalParam("untilBlocks", "Last block after the commit a reveal is accepted in", undefined, types.int)
+  .setAction(async ({ address, afterBlocks, untilBlocks, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "setRevealWindow", [afterBlocks, untilBlocks], { dryRun, yes });
+  });
+
+adminTask("nft:transfer-lock", "Locks transfers of tokens after their mint, only before the first mint")
+  .addPositionalParam("mode", `Lock mode: ${Object.keys(TRANSFER_LOCK_MODES).join(", ")}`)
+  .addOptionalPositionalParam("duration", "Seconds or blocks a token is locked for after its mint", 0, types.int)
+  .setAction(async ({ address, mode, duration, dryRun, yes }, hre) => {
+    if (!(mode in TRANSFER_LOCK_MODES)) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `Unknown transfer lock mode "${mode}", expected one of: ${Object.keys(TRANSFER_LOCK_MODES).join(", ")}`
+      );
+    }
+
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "setTransferLock", [TRANSFER_LOCK_MODES[mode], duration], { dryRun, yes });
+  });
+
+adminTask("nft:lift-transfer-lock", "Unlocks transfers of every token for good")
+  .setAction(async ({ address, dryRun, yes }, hre) => {
+    await sendAdminCall(await getDeployedToken(hre, address), "liftTransferLock", [], { dryRun, yes });
+  });
+
+adminTask("nft:redemptions", "Opens or closes redeeming tokens by burning them")
+  .addPositionalParam("mode", "open or close")
+  .setAction(async ({ address, mode, dryRun, yes }, hre) => {
+    if (mode !== "open" && mode !== "close") {
+      throw new HardhatPluginError(PLUGIN_NAME, `Unknown redemptions mode "${mode}", expected open or close`);
+    }
+
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "setRedemptionsOpen", [mode === "open"], { dryRun, yes });
+  });
+
+adminTask("nft:add-contributor", "Adds a contributor with a share of the mint revenue")
+  .addPositionalParam("contributor", "Contributor address")
+  .addPositionalParam("shares", "Share weight", undefined, types.int)
+  .setAction(async ({ address, contributor, shares, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "addContributor", [contributor, shares], { dryRun, yes });
+  });
+
+adminTask("nft:set-shares", "Updates the share weight of a contributor")
+  .addPositionalParam("contributor", "Contributor address")
+  .addPositionalParam("shares", "Share weight", undefined, types.int)
+  .setAction(async ({ address, contributor, shares, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "updateContributorShares", [contributor, shares], { dryRun, yes });
+  });
+
+adminTask("nft:remove-contributor", "Stops a contributor from accruing mint revenue")
+  .addPositionalParam("contributor", "Contributor address")
+  .setAction(async ({ address, contributor, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "removeContributor", [contributor], { dryRun, yes });
+  });
+
+adminTask("nft:withdraw", "Withdraws revenue released to the calling contributor")
+  .addOptionalPositionalParam("amount", "Amount in ETH, defaults to everything releasable", undefined, types.string)
+  .setAction(async ({ address, amount, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    const withdrawAmount = amount === undefined ?
+      await token.releasable(await token.signer.getAddress()) :
+      hre.ethers.utils.parseEther(amount);
+
+    await sendAdminCall(token, "withdraw", [withdrawAmount], { dryRun, yes });
+  });
+
+task("nft:roles", "Lists the holders of every role of the deployed AdvancedNft")
+  .addOptionalParam("address", "AdvancedNft address, defaults to the deployment record")
+  .addOptionalParam("fromBlock", "Block to replay role events from, defaults to the deployment block", undefined, types.int)
+  .setAction(async ({ address, fromBlock }, hre) => {
+    const token = await getDeployedToken(hre, address);
+    const record = readDeployment(hre.network.name);
+    const deployBlock = record && record.address === token.address ? record.blockNumber : 0;
+
+    const indexer = createIndexer(token, { fromBlock: fromBlock === undefined ? deployBlock : fromBlock });
+    await indexer.sync();
+
+    const holders = indexer.roleHolders();
+
+    console.log(`Owner: ${await token.owner()}`);
+
+    for (const name of ROLE_NAMES) {
+      const accounts = holders[hre.ethers.utils.id(name)] || [];
+
+      console.log(`${name}: ${accounts.length > 0 ? accounts.join(", ") : "none"}`);
+    }
+  });
+
+adminTask("nft:grant-role", "Grants a role, only the owner can do this")
+  .addPositionalParam("role", `Role to grant: ${ROLE_NAMES.join(", ")}`)
+  .addPositionalParam("account", "Account receiving the role")
+  .setAction(async ({ address, role, account, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "grantRole", [roleHash(hre, role), account], { dryRun, yes });
+  });
+
+adminTask("nft:revoke-role", "Revokes a role, only the owner can do this")
+  .addPositionalParam("role", `Role to revoke: ${ROLE_NAMES.join(", ")}`)
+  .addPositionalParam("account", "Account losing the role")
+  .setAction(async ({ address, role, account, dryRun, yes }, hre) => {
+    const token = await getDeployedToken(hre, address);
+
+    await sendAdminCall(token, "revokeRole", [roleHash(hre, role), account], { dryRun, yes });
+  });
+
+adminTask("nft:transfer-ownership", "Proposes a new owner, who has to accept with nft:accept-ownership")
+  .addPositionalParam("newOwner", "Address of the new owner")
+  .setAction(async ({ address, newOwner, dryRun, yes }, hre) => {
+    await sendAdminCall(await getDeployedToken(hre, address), "transferOwnership", [newOwner], { dryRun, yes });
+  });
+
+adminTask("nft:accept-ownership", "Accepts a pending ownership transfer to the calling account")
+  .setAction(async ({ address, dryRun, yes }, hre) => {
+    await sendAdminCall(await getDeployedToken(hre, address), "acceptOwnership", [], { dryRun, yes });
+  });
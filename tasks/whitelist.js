@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+const { readDeployment } = require("../utils/deployments");
+const { readWhitelistFile, buildProofs, buildRounds, verifyProof } = require("../utils/whitelist");
+const { voucherDomain, issueVouchers } = require("../utils/vouchers");
+
+function writeProofs(out, { round, root, ticketsCount, proofs }) {
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+  fs.writeFileSync(out, `${JSON.stringify({ round, root, ticketsCount, proofs }, null, 2)}\n`);
+
+  console.log(`Round ${round} merkle root: ${root}`);
+  console.log(`Wrote ${ticketsCount} proofs to ${out}`);
+}
+
+task("whitelist:build", "Builds the merkle root and per-address proofs from a whitelist")
+  .addPositionalParam("input", "CSV or JSON file with whitelisted addresses")
+  .addOptionalParam("round", "Allowlist round the whitelist is published as", 1, types.int)
+  .addOptionalParam("out", "Where to write the proofs", "proofs.json")
+  .setAction(async ({ input, round, out }) => {
+    writeProofs(out, buildProofs(readWhitelistFile(input), { round }));
+  });
+
+task("whitelist:rounds", "Builds the proofs of consecutive allowlist rounds, one whitelist per round")
+  .addVariadicPositionalParam("inputs", "CSV or JSON whitelists, in round order")
+  .addOptionalParam("firstRound", "Round of the first whitelist", 1, types.int)
+  .addOptionalParam("allowRepeated", "Comma separated addresses allowed in more than one round", "")
+  .addOptionalParam("outDir", "Where to write `round-<n>.json` proofs", "proofs")
+  .setAction(async ({ inputs, firstRound, allowRepeated, outDir }) => {
+    const rounds = buildRounds(inputs.map(readWhitelistFile), {
+      firstRound,
+      allowRepeated: allowRepeated.split(",").map((address) => address.trim()).filter((address) => address !== "")
+    });
+
+    for (const round of rounds) {
+      writeProofs(path.join(outDir, `round-${round.round}.json`), round);
+    }
+  });
+
+task("whitelist:verify", "Checks an address, ticket, allowance and proof against a merkle root")
+  .addParam("root", "Merkle root")
+  .addParam("address", "Whitelisted address")
+  .addParam("ticket", "Ticket number", undefined, types.int)
+  .addOptionalParam("allowance", "Tokens the ticket allows to mint, read from --proofs or 1 if omitted", undefined, types.int)
+  .addOptionalParam("proof", "Comma separated proof nodes")
+  .addOptionalParam("proofs", "proofs.json to read the proof from instead")
+  .setAction(async ({ root, address, ticket, allowance, proof, proofs }) => {
+    let proofNodes;
+    let ticketAllowance = allowance;
+
+    if (proof !== undefined) {
+      proofNodes = proof.split(",").map((node) => node.trim());
+    } else if (proofs !== undefined) {
+      const entry = Object.entries(JSON.parse(fs.readFileSync(proofs, "utf8")).proofs)
+        .find(([proofAddress]) => proofAddress.toLowerCase() === address.toLowerCase());
+
+      if (!entry) {
+        throw new Error(`${address} is not present in ${proofs}`);
+      }
+
+      proofNodes = entry[1].proof;
+      ticketAllowance = ticketAllowance === undefined ? entry[1].allowance : ticketAllowance;
+    } else {
+      throw new Error("Either --proof or --proofs must be provided");
+    }
+
+    const valid = verifyProof(root, address, ticket, ticketAllowance === undefined ? 1 : ticketAllowance, proofNodes);
+
+    console.log(valid ? "Proof is valid" : "Proof is NOT valid");
+
+    if (!valid) {
+      process.exitCode = 1;
+    }
+  });
+
+// The signer key is read from the environment rather than a CLI argument so it
+// does not end up in the shell history
+task("whitelist:vouchers", "Signs EIP-712 allowlist vouchers for the addresses of a whitelist")
+  .addPositionalParam("input", "CSV or JSON file with the addresses to allow")
+  .addOptionalParam("round", "Allowlist round the tickets belong to", 1, types.int)
+  .addParam("firstTicket", "Ticket of the first address, the next ones get consecutive tickets", undefined, types.int)
+  .addParam("expiry", "Unix timestamp after which the vouchers are rejected", undefined, types.int)
+  .addOptionalParam("address", "AdvancedNft address, defaults to the deployment record")
+  .addOptionalParam("out", "Where to write the vouchers", "vouchers.json")
+  .setAction(async ({ input, round, firstTicket, expiry, address, out }, hre) => {
+    const tokenAddress = address || (readDeployment(hre.network.name) || {}).address;
+
+    if (!tokenAddress) {
+      throw new Error(`No deployment record found for network "${hre.network.name}", pass --address`);
+    }
+
+    const signer = process.env.VOUCHER_SIGNER_KEY ?
+      new hre.ethers.Wallet(process.env.VOUCHER_SIGNER_KEY) :
+      (await hre.ethers.getSigners())[0];
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const entries = readWhitelistFile(input).map(({ address, allowance }, idx) => ({
+      minter: address,
+      ticket: firstTicket + idx,
+      allowance
+    }));
+    const vouchers = await issueVouchers(signer, voucherDomain(tokenAddress, chainId), entries, { round, expiry });
+
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(out, `${JSON.stringify({ signer: signer.address, vouchers }, null, 2)}\n`);
+
+    console.log(`Voucher signer: ${signer.address}`);
+    console.log(`Wrote ${entries.length} vouchers to ${out}`);
+  });
@@ -1,46 +1,51 @@
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
-const { MerkleTree } = require("merkletreejs");
+const { buildMerkleWhitelist, buildProofs } = require("../utils/whitelist");
+const { voucherDomain, signVoucher } = require("../utils/vouchers");
 const { utils } = ethers;
 
 describe("Advanced NFT", function () {
-  function buildMerkleWhitelist(accounts) {
-    const leafNodes = accounts.map((account, idx) => {
-      const paddedAddress = utils.hexZeroPad(account, 32).toLowerCase();
-
-      // Ticket number = index of account in tree + 1
-      const ticketBytes = utils.hexZeroPad(utils.hexValue(idx + 1), 32).toLowerCase();
-
-      const leafBeforeHashing = Buffer.from(utils.concat([paddedAddress, ticketBytes]));
-
-      return utils.keccak256(leafBeforeHashing);
-    }).sort();
-
-    const merkleTree = new MerkleTree(leafNodes, utils.keccak256, { sortPairs: true });
-
-    return { leafNodes, merkleTree };
-  }
+  const PROVENANCE_HASH = utils.sha256(utils.toUtf8Bytes("provenance"));
+  const PLACEHOLDER_URI = "ipfs://placeholder/hidden.json";
+  const ROYALTY_BASIS_POINTS = 500;
 
   function getTokenFactory() {
     return ethers.getContractFactory("AdvancedNft");
   }
 
+  // Royalties go to the owner by default
+  async function deployTokenContract(merkleRoot, cap, ticketsCount) {
+    const [owner] = await ethers.getSigners();
+    const TokenFactory = await getTokenFactory();
+
+    return TokenFactory.deploy(
+      merkleRoot,
+      cap,
+      ticketsCount,
+      PROVENANCE_HASH,
+      PLACEHOLDER_URI,
+      owner.address,
+      ROYALTY_BASIS_POINTS
+    );
+  }
+
+  // `tokenId` can also be an array of token IDs revealed together
   async function commitTokenIdAndMineBlocks(token, minter, tokenId, options={}) {
     const mineBlocks = options.mineBlocks ? `0x${options.mineBlocks.toString(16)}` : null;
 
-    const tokenIdHex = utils.hexZeroPad(tokenId, 32).toLowerCase();
+    const tokenIdsHex = [].concat(tokenId).map((id) => utils.hexZeroPad(id, 32).toLowerCase());
     const salt = Buffer.from(utils.randomBytes(32));
 
     const commitDataBeforeHashing = Buffer.from(
-      utils.concat([token.address, minter.address, tokenIdHex, salt])
+      utils.concat([token.address, minter.address, ...tokenIdsHex, salt])
     );
     const hashedCommitData = utils.keccak256(commitDataBeforeHashing);
 
     const blockNumberBefore = await ethers.provider.getBlockNumber();
 
     await expect(
-      token.connect(minter).commitTokenId(hashedCommitData)
+      token.connect(minter).commitTokenId(hashedCommitData, { value: options.value || 0 })
     ).to.emit(token, "TokenIdCommitted").withArgs(
       minter.address,
       hashedCommitData,
@@ -78,7 +83,7 @@ describe("Advanced NFT", function () {
     const MINT_PRICE = utils.parseEther('1');
 
     await expect(
-      token.connect(account).publicMint(tokenId, salt, { value: MINT_PRICE })
+      token.connect(account).publicMint([tokenId], salt, { value: MINT_PRICE })
     ).to.emit(token, 'Transfer').withArgs(
       ethers.constants.AddressZero,
       account.address,
@@ -86,6 +91,10 @@ describe("Advanced NFT", function () {
     );
   }
 
+  function missingRole(account, roleName) {
+    return `AccessControl: account ${account.address.toLowerCase()} is missing role ${utils.id(roleName)}`;
+  }
+
   async function deployToken() {
     const [
       owner,
@@ -97,8 +106,6 @@ describe("Advanced NFT", function () {
       developer2
     ] = await ethers.getSigners();
 
-    const TokenFactory = await getTokenFactory();
-
     const whitelistedAddresses = [
       secondAccount.address,
       thirdAccount.address,
@@ -107,14 +114,12 @@ describe("Advanced NFT", function () {
     ];
     const TICKETS_COUNT = whitelistedAddresses.length;
 
-    const { merkleTree, leafNodes } = buildMerkleWhitelist(whitelistedAddresses);
+    const { merkleTree, entries } = buildMerkleWhitelist(whitelistedAddresses);
+    // Leaves in ticket order
+    const leafNodes = entries.map(({ leaf }) => leaf);
 
     // Max supply: 6 available, 4 whitelist spots
-    const token = await TokenFactory.deploy(
-      merkleTree.getRoot(),
-      6,
-      TICKETS_COUNT
-    );
+    const token = await deployTokenContract(merkleTree.getRoot(), 6, TICKETS_COUNT);
 
     return {
       token,
@@ -144,12 +149,11 @@ describe("Advanced NFT", function () {
     });
 
     it("reverts if trying to deploy without supply", async function() {
-      const { token } = await loadFixture(deployToken);
-      const TokenFactory = await getTokenFactory();
+      const { merkleTree } = await loadFixture(deployToken);
 
-      expect(
-        TokenFactory.deploy('', 0, ethers.constants.AddressZero, ethers.constants.AddressZero)
-      ).to.be.reverted;
+      await expect(
+        deployTokenContract(merkleTree.getRoot(), 0, 4)
+      ).to.be.revertedWith("ERC721Capped: cap is 0");
     });
 
     it("initializes contract to inactive stage", async function () {
@@ -159,23 +163,24 @@ describe("Advanced NFT", function () {
     });
 
     it("reverts unless merkle root provided", async function () {
-      const { token } = await loadFixture(deployToken);
-      const TokenFactory = await getTokenFactory();
-
-      expect(TokenFactory.deploy()).to.be.reverted;
+      await expect(
+        deployTokenContract(ethers.constants.HashZero, 6, 4)
+      ).to.be.reverted;
     });
 
-    it("returns merkle root", async function() {
+    it("opens the first allowlist round with the merkle root", async function() {
       const { token, merkleTree } = await loadFixture(deployToken);
 
-      expect(await token.merkleRoot()).to.equal(
-        `0x${merkleTree.getRoot().toString('hex')}`
-      );
+      const { merkleRoot, ticketsCount } = await token.allowlistRounds(1);
+
+      expect(await token.allowlistRoundsCount()).to.equal(1);
+      expect(merkleRoot).to.equal(`0x${merkleTree.getRoot().toString('hex')}`);
+      expect(ticketsCount).to.equal(4);
     });
   });
 
   describe("Presale minting", function () {
-    it("activates the presale when called by owner", async function() {
+    it("activates the presale when called by a sale manager", async function() {
       const { token } = await loadFixture(deployToken);
 
       await expect(token.activatePresale()).to.emit(token, "StageTransition").withArgs(0, 1);
@@ -183,10 +188,10 @@ describe("Advanced NFT", function () {
       expect(await token.stage()).to.equal(1);
     });
 
-    it("reverts when trying to activate presale by non-owner", async function() {
+    it("reverts when trying to activate presale without the sale manager role", async function() {
       const { token, secondAccount } = await loadFixture(deployToken);
 
-      await expect(token.connect(secondAccount).activatePresale()).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(token.connect(secondAccount).activatePresale()).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
     });
 
     it("reverts when trying to activate presale and presale is already active", async function() {
@@ -203,13 +208,13 @@ describe("Advanced NFT", function () {
       const { token, merkleTree, leafNodes, secondAccount } = await loadFixture(deployToken);
 
       const proofs = merkleTree.getHexProof(leafNodes[0]);
-      const tokenId = 123;
+      const tokenId = 1;
       const salt = await commitTokenIdAndMineBlocks(token, secondAccount, tokenId, { mineBlocks: 9 });
       // Ticket #1 is the correct number for the second account
       const ticketNumber = 1;
 
       await expect(
-        token.connect(secondAccount).presaleMint(ticketNumber, proofs, tokenId, salt)
+        token.connect(secondAccount).presaleMint(1, ticketNumber, 1, proofs, [tokenId], salt)
       ).to.be.revertedWithCustomError(
         token,
         "FunctionInvalidAtThisStage"
@@ -219,7 +224,7 @@ describe("Advanced NFT", function () {
     it("reverts if zero ticket number provided", async function () {
       const { token, secondAccount } = await loadFixture(deployToken);
 
-      const tokenId = 123;
+      const tokenId = 1;
       const salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
 
       const proofs = [
@@ -231,31 +236,59 @@ describe("Advanced NFT", function () {
       await hre.network.provider.send("hardhat_mine", ["0x9"]);
 
       await expect(
-        token.presaleMint(0, proofs, tokenId, salt)
+        token.presaleMint(1, 0, 1, proofs, [tokenId], salt)
       ).to.be.revertedWithCustomError(token, "TicketNotProvided");
     });
 
     it("reverts if empty proof provided", async function () {
       const { token, secondAccount } = await loadFixture(deployToken);
 
-      const tokenId = 123;
+      const tokenId = 1;
       const salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
 
       await expect(
-        token.presaleMint(1, [], tokenId, salt)
+        token.presaleMint(1, 1, 1, [], [tokenId], salt)
       ).to.be.revertedWithCustomError(token, "ProofNotProvided");
     });
 
+    it("reverts if ticket number is above the tickets count", async function () {
+      const { token, merkleTree, secondAccount } = await loadFixture(deployToken);
+
+      const proofs = merkleTree.getHexProof(await token.connect(secondAccount).merkleLeaf(1, 1));
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).presaleMint(1, 5, 1, proofs, [tokenId], salt)
+      ).to.be.revertedWithCustomError(token, "TicketOutOfRange").withArgs(4);
+    });
+
+    it("mints with the last ticket of the round", async function () {
+      const { token, merkleTree, fifthAccount } = await loadFixture(deployToken);
+
+      const proofs = merkleTree.getHexProof(await token.connect(fifthAccount).merkleLeaf(4, 1));
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, fifthAccount, tokenId, { mineBlocks: 9 });
+
+      expect(await token.isTicketUsed(1, 4)).to.equal(false);
+
+      await expect(
+        token.connect(fifthAccount).presaleMint(1, 4, 1, proofs, [tokenId], salt)
+      ).to.emit(token, "TicketUsed").withArgs(fifthAccount.address, 1, 4, 1, 0);
+
+      expect(await token.isTicketUsed(1, 4)).to.equal(true);
+    });
+
     it("reverts if could not prove due to ticket number for another address", async function () {
       const { token, merkleTree, leafNodes, secondAccount } = await loadFixture(deployToken);
 
       const proofs = merkleTree.getHexProof(leafNodes[0]);
-  const tokenId = 123;
+  const tokenId = 1;
       const salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
 
       // NOTE: secondAccount should have a ticket number of 1, 3 is invalid
       await expect(
-        token.connect(secondAccount).presaleMint(3, proofs, tokenId, salt)
+        token.connect(secondAccount).presaleMint(1, 3, 1, proofs, [tokenId], salt)
       ).to.be.revertedWithCustomError(token, "InvalidProof");
     });
 
@@ -263,7 +296,7 @@ describe("Advanced NFT", function () {
       const { token, merkleTree, leafNodes, secondAccount } = await loadFixture(deployToken);
 
       const proofs = merkleTree.getHexProof(leafNodes[0]);
-      const tokenId = 123;
+      const tokenId = 1;
       const salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
 
       const fakeProofNode = `0x999${proofs[1].substring(5)}`;
@@ -271,7 +304,7 @@ describe("Advanced NFT", function () {
       const fakeProof = [proofs[0], fakeProofNode];
 
       await expect(
-        token.connect(secondAccount).presaleMint(1, fakeProof, tokenId, salt)
+        token.connect(secondAccount).presaleMint(1, 1, 1, fakeProof, [tokenId], salt)
       ).to.be.revertedWithCustomError(token, "InvalidProof");
     });
 
@@ -282,11 +315,11 @@ describe("Advanced NFT", function () {
 
       // These arguments do not really matter
       const proofs = merkleTree.getHexProof(leafNodes[0]);
-      const tokenId = 123;
+      const tokenId = 1;
       const salt = Buffer.from(utils.randomBytes(32));
 
       await expect(
-        token.connect(secondAccount).presaleMint(1, proofs, tokenId, salt)
+        token.connect(secondAccount).presaleMint(1, 1, 1, proofs, [tokenId], salt)
       ).to.be.revertedWithCustomError(token, "MustCommitIdBefore");
     });
 
@@ -294,13 +327,13 @@ describe("Advanced NFT", function () {
       const { token, merkleTree, leafNodes, secondAccount } = await loadFixture(deployToken);
 
       const proofs = merkleTree.getHexProof(leafNodes[0]);
-      const tokenId = 123;
+      const tokenId = 1;
       await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
       const salt = Buffer.from(utils.randomBytes(32));
 
       // NOTE: secondAccount has a ticket number of 1
       await expect(
-        token.connect(secondAccount).presaleMint(1, proofs, tokenId, salt)
+        token.connect(secondAccount).presaleMint(1, 1, 1, proofs, [tokenId], salt)
       ).to.be.revertedWithCustomError(token, "IdAndSaltDoesNotMatchCommitted");
     });
 
@@ -308,22 +341,22 @@ describe("Advanced NFT", function () {
       const { token, merkleTree, leafNodes, secondAccount } = await loadFixture(deployToken);
 
       const proofs = merkleTree.getHexProof(leafNodes[0]);
-      let tokenId = 123;
+      let tokenId = 1;
       let salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
 
       await expect(
-        token.connect(secondAccount).presaleMint(1, proofs, tokenId, salt)
+        token.connect(secondAccount).presaleMint(1, 1, 1, proofs, [tokenId], salt)
       ).to.emit(token, 'Transfer').withArgs(
         ethers.constants.AddressZero,
         secondAccount.address,
         tokenId
       );
 
-      tokenId = 124;
+      tokenId = 2;
       salt = await commitTokenIdAndMineBlocks(token, secondAccount, tokenId, { mineBlocks: 9 });
 
       await expect(
-        token.connect(secondAccount).presaleMint(1, proofs, tokenId, salt)
+        token.connect(secondAccount).presaleMint(1, 1, 1, proofs, [tokenId], salt)
       ).to.be.revertedWithCustomError(token, 'TicketAlreadyUsed');
     });
 
@@ -331,16 +364,352 @@ describe("Advanced NFT", function () {
       const { token, merkleTree, leafNodes,  secondAccount } = await loadFixture(deployToken);
 
       const proofs = merkleTree.getHexProof(leafNodes[0]);
-      const tokenId = 123;
+      const tokenId = 1;
       const salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
 
       await expect(
-        token.connect(secondAccount).presaleMint(1, proofs, tokenId, salt)
+        token.connect(secondAccount).presaleMint(1, 1, 1, proofs, [tokenId], salt)
       ).to.emit(token, 'Transfer').withArgs(
         ethers.constants.AddressZero,
         secondAccount.address,
         tokenId
-      );
+      ).and.to.emit(token, "TicketUsed").withArgs(secondAccount.address, 1, 1, 1, 0);
+    });
+  });
+
+  describe("Allowlist rounds", function () {
+    async function deployTokenWithSecondRound() {
+      const fixture = await deployToken();
+      const { token, developer1, developer2 } = fixture;
+
+      const secondRound = buildProofs([developer1.address, developer2.address], { round: 2 });
+
+      await (await token.addAllowlistRound(secondRound.root, secondRound.ticketsCount)).wait();
+
+      return { ...fixture, secondRound };
+    }
+
+    it("adds a round when called by a sale manager", async function() {
+      const { token, developer1 } = await loadFixture(deployToken);
+
+      const { root, ticketsCount } = buildProofs([developer1.address], { round: 2 });
+
+      await expect(
+        token.addAllowlistRound(root, ticketsCount)
+      ).to.emit(token, "AllowlistRoundAdded").withArgs(2, root, ticketsCount);
+
+      expect(await token.allowlistRoundsCount()).to.equal(2);
+      expect((await token.allowlistRounds(2)).merkleRoot).to.equal(root);
+    });
+
+    it("reverts when adding a round without the sale manager role", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(secondAccount).addAllowlistRound(utils.hexZeroPad(1, 32), 1)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+
+    it("reverts when adding a round without merkle root", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await expect(
+        token.addAllowlistRound(ethers.constants.HashZero, 1)
+      ).to.be.revertedWithCustomError(token, "MerkleRootNotProvided");
+    });
+
+    it("mints with a proof of the new round", async function() {
+      const { token, developer1, secondRound } = await loadFixture(deployTokenWithSecondRound);
+
+      const { round, ticket, proof } = secondRound.proofs[developer1.address];
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, developer1, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(developer1).presaleMint(round, ticket, 1, proof, [tokenId], salt)
+      ).to.emit(token, "TicketUsed").withArgs(developer1.address, 2, ticket, 1, 0);
+    });
+
+    it("tracks used tickets separately per round", async function() {
+      const { token, merkleTree, secondAccount, developer1, secondRound } = await loadFixture(deployTokenWithSecondRound);
+
+      const proofs = merkleTree.getHexProof(await token.connect(secondAccount).merkleLeaf(1, 1));
+      const salt = await prepareForPresaleMinting(token, secondAccount, 1, { mineBlocks: 9 });
+
+      await (await token.connect(secondAccount).presaleMint(1, 1, 1, proofs, [1], salt)).wait();
+
+      const { proof } = secondRound.proofs[developer1.address];
+      const developerSalt = await commitTokenIdAndMineBlocks(token, developer1, 2, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(developer1).presaleMint(2, 1, 1, proof, [2], developerSalt)
+      ).to.emit(token, "TicketUsed").withArgs(developer1.address, 2, 1, 1, 0);
+    });
+
+    it("reverts if the proof belongs to another round", async function() {
+      const { token, developer1, secondRound } = await loadFixture(deployTokenWithSecondRound);
+
+      const { ticket, proof } = secondRound.proofs[developer1.address];
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, developer1, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(developer1).presaleMint(1, ticket, 1, proof, [tokenId], salt)
+      ).to.be.revertedWithCustomError(token, "InvalidProof");
+    });
+
+    it("reverts if the round does not exist", async function() {
+      const { token, developer1, secondRound } = await loadFixture(deployTokenWithSecondRound);
+
+      const { ticket, proof } = secondRound.proofs[developer1.address];
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, developer1, tokenId, { mineBlocks: 9 });
+
+      for (const round of [0, 3]) {
+        await expect(
+          token.connect(developer1).presaleMint(round, ticket, 1, proof, [tokenId], salt)
+        ).to.be.revertedWithCustomError(token, "UnknownAllowlistRound");
+      }
+    });
+
+    it("updates the root of a round keeping its used tickets", async function() {
+      const { token, developer1, fifthAccount, secondRound } = await loadFixture(deployTokenWithSecondRound);
+
+      const { ticket, proof } = secondRound.proofs[developer1.address];
+      const salt = await prepareForPresaleMinting(token, developer1, 1, { mineBlocks: 9 });
+
+      await (await token.connect(developer1).presaleMint(2, ticket, 1, proof, [1], salt)).wait();
+
+      // The fixed whitelist gives ticket 1 to the fifth account
+      const fixedRound = buildProofs([fifthAccount.address, developer1.address], { round: 2 });
+
+      await expect(
+        token.updateAllowlistRoot(2, fixedRound.root, fixedRound.ticketsCount)
+      ).to.emit(token, "AllowlistRootUpdated").withArgs(2, fixedRound.root, 2);
+
+      const fifthAccountSalt = await commitTokenIdAndMineBlocks(token, fifthAccount, 2, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(fifthAccount).presaleMint(2, 1, 1, fixedRound.proofs[fifthAccount.address].proof, [2], fifthAccountSalt)
+      ).to.be.revertedWithCustomError(token, "TicketAlreadyUsed");
+    });
+
+    it("raises the tickets count of a round when its fixed whitelist adds an address", async function() {
+      const { token, developer1, developer2, fifthAccount, secondRound } = await loadFixture(deployTokenWithSecondRound);
+
+      const fixedRound = buildProofs([developer1.address, developer2.address, fifthAccount.address], { round: 2 });
+      const { ticket, proof } = fixedRound.proofs[fifthAccount.address];
+
+      expect(fixedRound.proofs[developer1.address].ticket).to.eq(secondRound.proofs[developer1.address].ticket);
+
+      await (await token.updateAllowlistRoot(2, fixedRound.root, fixedRound.ticketsCount)).wait();
+
+      const { merkleRoot, ticketsCount } = await token.allowlistRounds(2);
+
+      expect(merkleRoot).to.eq(fixedRound.root);
+      expect(ticketsCount).to.eq(3);
+      expect(await token.ticketsRemaining(2)).to.eq(3);
+
+      const salt = await prepareForPresaleMinting(token, fifthAccount, 1, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(fifthAccount).presaleMint(2, ticket, 1, proof, [1], salt)
+      ).to.emit(token, "TicketUsed").withArgs(fifthAccount.address, 2, 3, 1, 0);
+    });
+
+    it("reverts when updating the tickets count of a round below its used tickets", async function() {
+      const { token, developer1, developer2, secondRound } = await loadFixture(deployTokenWithSecondRound);
+
+      await (await token.activatePresale()).wait();
+
+      for (const [minter, tokenId] of [[developer1, 1], [developer2, 2]]) {
+        const { ticket, proof } = secondRound.proofs[minter.address];
+        const salt = await commitTokenIdAndMineBlocks(token, minter, tokenId, { mineBlocks: 9 });
+
+        await (await token.connect(minter).presaleMint(2, ticket, 1, proof, [tokenId], salt)).wait();
+      }
+
+      const fixedRound = buildProofs([developer1.address], { round: 2 });
+
+      await expect(
+        token.updateAllowlistRoot(2, fixedRound.root, fixedRound.ticketsCount)
+      ).to.be.revertedWithCustomError(token, "TicketsCountBelowUsed").withArgs(2);
+    });
+
+    it("reverts when updating the root of an unknown round", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await expect(
+        token.updateAllowlistRoot(2, utils.hexZeroPad(1, 32), 1)
+      ).to.be.revertedWithCustomError(token, "UnknownAllowlistRound");
+    });
+
+    it("reverts when updating the root without the sale manager role", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(secondAccount).updateAllowlistRoot(1, utils.hexZeroPad(1, 32), 1)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+  });
+
+  describe("Voucher presale minting", function () {
+    // Fourth account holds ticket 3 in the Merkle whitelist
+    const VOUCHER_TICKET = 3;
+
+    async function deployTokenWithVoucherSigner() {
+      const fixture = await deployToken();
+
+      await (await fixture.token.setVoucherSigner(fixture.developer2.address)).wait();
+
+      return fixture;
+    }
+
+    async function issueVoucher(token, signer, minter, options={}) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const expiry = options.expiry || (await time.latest()) + 3600;
+
+      return signVoucher(signer, voucherDomain(token.address, chainId), {
+        minter: minter.address,
+        round: 1,
+        ticket: options.ticket || VOUCHER_TICKET,
+        allowance: options.allowance || 1,
+        expiry
+      });
+    }
+
+    it("sets the voucher signer when called by a sale manager", async function() {
+      const { token, developer2 } = await loadFixture(deployToken);
+
+      await expect(
+        token.setVoucherSigner(developer2.address)
+      ).to.emit(token, "VoucherSignerUpdated").withArgs(developer2.address);
+
+      expect(await token.voucherSigner()).to.eq(developer2.address);
+    });
+
+    it("reverts when setting the voucher signer without the sale manager role", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(secondAccount).setVoucherSigner(secondAccount.address)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+
+    it("mints a token with a voucher from the voucher signer", async function() {
+      const { token, developer1, developer2 } = await loadFixture(deployTokenWithVoucherSigner);
+
+      const { round, ticket, allowance, expiry, signature } = await issueVoucher(token, developer2, developer1);
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, developer1, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(developer1).voucherPresaleMint(round, ticket, allowance, expiry, signature, [tokenId], salt)
+      ).to.emit(token, "Transfer").withArgs(
+        ethers.constants.AddressZero,
+        developer1.address,
+        tokenId
+      ).and.to.emit(token, "TicketUsed").withArgs(developer1.address, round, ticket, 1, 0);
+    });
+
+    it("reverts if the voucher expired", async function() {
+      const { token, developer1, developer2 } = await loadFixture(deployTokenWithVoucherSigner);
+
+      const { round, ticket, allowance, expiry, signature } = await issueVoucher(token, developer2, developer1, {
+        expiry: (await time.latest()) + 60
+      });
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, developer1, tokenId, { mineBlocks: 9 });
+
+      await time.increaseTo(expiry + 1);
+
+      await expect(
+        token.connect(developer1).voucherPresaleMint(round, ticket, allowance, expiry, signature, [tokenId], salt)
+      ).to.be.revertedWithCustomError(token, "VoucherExpired");
+    });
+
+    it("reverts if the voucher is signed by another signer", async function() {
+      const { token, developer1 } = await loadFixture(deployTokenWithVoucherSigner);
+
+      const { round, ticket, allowance, expiry, signature } = await issueVoucher(token, developer1, developer1);
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, developer1, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(developer1).voucherPresaleMint(round, ticket, allowance, expiry, signature, [tokenId], salt)
+      ).to.be.revertedWithCustomError(token, "InvalidVoucherSignature");
+    });
+
+    it("reverts if the voucher was issued to another minter", async function() {
+      const { token, secondAccount, developer1, developer2 } = await loadFixture(deployTokenWithVoucherSigner);
+
+      const { round, ticket, allowance, expiry, signature } = await issueVoucher(token, developer2, developer1);
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).voucherPresaleMint(round, ticket, allowance, expiry, signature, [tokenId], salt)
+      ).to.be.revertedWithCustomError(token, "InvalidVoucherSignature");
+    });
+
+    it("reverts if the voucher ticket is above the tickets count", async function() {
+      const { token, developer1, developer2 } = await loadFixture(deployTokenWithVoucherSigner);
+
+      const { round, ticket, allowance, expiry, signature } = await issueVoucher(token, developer2, developer1, { ticket: 5 });
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, developer1, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(developer1).voucherPresaleMint(round, ticket, allowance, expiry, signature, [tokenId], salt)
+      ).to.be.revertedWithCustomError(token, "TicketOutOfRange").withArgs(4);
+    });
+
+    it("reverts if the voucher signer is not set", async function() {
+      const { token, developer1, developer2 } = await loadFixture(deployToken);
+
+      const { round, ticket, allowance, expiry, signature } = await issueVoucher(token, developer2, developer1);
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, developer1, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(developer1).voucherPresaleMint(round, ticket, allowance, expiry, signature, [tokenId], salt)
+      ).to.be.revertedWithCustomError(token, "InvalidVoucherSignature");
+    });
+
+    it("reverts if trying to re-use a voucher", async function() {
+      const { token, developer1, developer2 } = await loadFixture(deployTokenWithVoucherSigner);
+
+      const { round, ticket, allowance, expiry, signature } = await issueVoucher(token, developer2, developer1);
+      let tokenId = 1;
+      let salt = await prepareForPresaleMinting(token, developer1, tokenId, { mineBlocks: 9 });
+
+      await (await token.connect(developer1).voucherPresaleMint(round, ticket, allowance, expiry, signature, [tokenId], salt)).wait();
+
+      tokenId = 2;
+      salt = await commitTokenIdAndMineBlocks(token, developer1, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(developer1).voucherPresaleMint(round, ticket, allowance, expiry, signature, [tokenId], salt)
+      ).to.be.revertedWithCustomError(token, "TicketAlreadyUsed");
+    });
+
+    it("shares used tickets with the Merkle presale", async function() {
+      const { token, merkleTree, fourthAccount, developer1, developer2 } =
+        await loadFixture(deployTokenWithVoucherSigner);
+
+      const { round, ticket, allowance, expiry, signature } = await issueVoucher(token, developer2, developer1);
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, developer1, tokenId, { mineBlocks: 9 });
+
+      await (await token.connect(developer1).voucherPresaleMint(round, ticket, allowance, expiry, signature, [tokenId], salt)).wait();
+
+      const fourthAccountLeaf = await token.connect(fourthAccount).merkleLeaf(VOUCHER_TICKET, 1);
+      const proofs = merkleTree.getHexProof(fourthAccountLeaf);
+      const fourthAccountSalt = await commitTokenIdAndMineBlocks(token, fourthAccount, 2, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(fourthAccount).presaleMint(1, VOUCHER_TICKET, 1, proofs, [2], fourthAccountSalt)
+      ).to.be.revertedWithCustomError(token, "TicketAlreadyUsed");
     });
   });
 
@@ -348,48 +717,49 @@ describe("Advanced NFT", function () {
     it("returns mint price", async function() {
       const { token } = await loadFixture(deployToken);
 
-      expect(await token.MINT_PRICE()).to.eq(utils.parseEther('1'));
+      expect(await token.publicSalePrice()).to.eq(utils.parseEther('1'));
+      expect(await token.currentPrice()).to.eq(utils.parseEther('1'));
     });
 
     it("mints a token during public sale", async function() {
       const { token, secondAccount } = await loadFixture(deployToken);
 
-      const tokenId = 123;
+      const tokenId = 1;
       const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
 
       const MINT_PRICE = utils.parseEther('1');
 
       await expect(
-        token.connect(secondAccount).publicMint(tokenId, salt, { value: MINT_PRICE })
+        token.connect(secondAccount).publicMint([tokenId], salt, { value: MINT_PRICE })
       ).to.emit(token, 'Transfer').withArgs(
         ethers.constants.AddressZero,
         secondAccount.address,
-        123
+        1
       );
     });
 
     it("reverts if trying to public mint when public mint not active", async function() {
       const { token, secondAccount } = await loadFixture(deployToken);
 
-      const tokenId = 123;
+      const tokenId = 1;
       const salt = Buffer.from(utils.randomBytes(32));
 
       const MINT_PRICE = utils.parseEther('1');
 
       await expect(
-        token.connect(secondAccount).publicMint(tokenId, salt, { value: MINT_PRICE })
+        token.connect(secondAccount).publicMint([tokenId], salt, { value: MINT_PRICE })
       ).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
     });
 
     it("reverts if trying to public mint without sending mint price", async function() {
       const { token, secondAccount } = await loadFixture(deployToken);
 
-      const tokenId = 123;
+      const tokenId = 1;
       const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
 
       await expect(
-        token.connect(secondAccount).publicMint(tokenId, salt)
-      ).to.be.revertedWithCustomError(token, "ValueMustBeMintPrice");
+        token.connect(secondAccount).publicMint([tokenId], salt)
+      ).to.be.revertedWithCustomError(token, "ValueBelowMintPrice").withArgs(utils.parseEther('1'));
     });
 
     it("reverts when trying to mint and max capacity reached", async function() {
@@ -400,8 +770,6 @@ describe("Advanced NFT", function () {
         fifthAccount
       } = await loadFixture(deployToken);
 
-      const TokenFactory = await getTokenFactory();
-
       const whitelistedAddresses = [
         secondAccount.address,
         thirdAccount.address,
@@ -415,124 +783,1531 @@ describe("Advanced NFT", function () {
 
       const { merkleTree } = buildMerkleWhitelist(whitelistedAddresses);
 
-      const token = await TokenFactory.deploy(
-        merkleTree.getRoot(),
-        1,
-        TICKETS_COUNT
-      );
+      const token = await deployTokenContract(merkleTree.getRoot(), 1, TICKETS_COUNT);
 
-      const tokenId1 = 123;
+      const tokenId1 = 1;
       const salt1 = await prepareForPublicMinting(token, secondAccount, tokenId1, { mineBlocks: 9 });
 
       await expect(
-        token.connect(secondAccount).publicMint(tokenId1, salt1, { value: MINT_PRICE })
+        token.connect(secondAccount).publicMint([tokenId1], salt1, { value: MINT_PRICE })
       ).to.emit(token, 'Transfer').withArgs(
         ethers.constants.AddressZero,
         secondAccount.address,
         tokenId1
-      );
+      ).and.to.emit(token, 'StageTransition').withArgs(2, 3);
+
+      expect(await token.stage()).to.equal(3);
 
-      const tokenId2 = 124;
+      const tokenId2 = 2;
       const salt2 = await commitTokenIdAndMineBlocks(token, secondAccount, tokenId2, { mineBlocks: 9 });
 
       await expect(
-        token.connect(secondAccount).publicMint(tokenId2, salt2, { value: MINT_PRICE })
-      ).to.be.revertedWith("ERC721Capped: cap exceeded");
+        token.connect(secondAccount).publicMint([tokenId2], salt2, { value: MINT_PRICE })
+      ).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
     });
   });
 
-  describe("Contributors", function () {
-    it("reverts when adding null address as contributor", async function() {
-      const { token, owner } = await loadFixture(deployToken);
+  describe("Batch minting", function () {
+    async function deployTokenWithAllowances() {
+      const [owner, secondAccount, thirdAccount] = await ethers.getSigners();
 
-      await expect(
-        token.connect(owner).addContributor(ethers.constants.AddressZero)
-      ).to.be.revertedWithCustomError(token, "InvalidContributorAddress");
-    });
+      const whitelist = buildProofs([{ address: secondAccount.address, allowance: 3 }, thirdAccount.address]);
+      const token = await deployTokenContract(whitelist.root, 6, 2);
 
-    it("adds a contributor", async function() {
-      const { token, developer1, owner } = await loadFixture(deployToken);
+      return { token, owner, secondAccount, thirdAccount, whitelist };
+    }
+
+    function presaleMintWithProof(token, minter, whitelist, tokenIds, salt, options={}) {
+      const { round, ticket, allowance, proof } = whitelist.proofs[minter.address];
+
+      return token.connect(minter).presaleMint(round, ticket, allowance, proof, tokenIds, salt, options);
+    }
+
+    it("mints all token IDs of a commit within the ticket allowance", async function() {
+      const { token, secondAccount, whitelist } = await loadFixture(deployTokenWithAllowances);
+
+      const tokenIds = [1, 2, 3];
+      const salt = await prepareForPresaleMinting(token, secondAccount, tokenIds, { mineBlocks: 9 });
 
       await expect(
-        token.connect(owner).addContributor(developer1.address)
-      ).to.emit(token, 'ContributorAdded').withArgs(developer1.address);
+        presaleMintWithProof(token, secondAccount, whitelist, tokenIds, salt)
+      ).to.emit(token, "TicketUsed").withArgs(secondAccount.address, 1, 1, 3, 0);
+
+      for (const tokenId of tokenIds) {
+        expect(await token.ownerOf(tokenId)).to.eq(secondAccount.address);
+      }
+
+      expect(await token.presaleMints(secondAccount.address)).to.eq(3);
+      expect(await token.isTicketUsed(1, 1)).to.eq(true);
     });
-  });
 
-  describe("Withdrawals", function () {
-    it("allows a contributor to withdraw part of contract's balance", async function() {
-      const { token, secondAccount, developer1 } = await loadFixture(deployToken);
+    it("keeps the rest of the allowance when minting less than it", async function() {
+      const { token, secondAccount, whitelist } = await loadFixture(deployTokenWithAllowances);
 
-      const tokenId = 123;
-      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
-      await mintToken(token, tokenId, secondAccount, salt);
+      const salt = await prepareForPresaleMinting(token, secondAccount, [1], { mineBlocks: 9 });
 
-      await (await token.addContributor(developer1.address)).wait();
+      await expect(
+        presaleMintWithProof(token, secondAccount, whitelist, [1], salt)
+      ).to.emit(token, "TicketUsed").withArgs(secondAccount.address, 1, 1, 1, 2);
 
-      const tokenBalanceBefore = await ethers.provider.getBalance(token.address);
-      const developer1BalanceBefore = await ethers.provider.getBalance(developer1.address);
+      expect(await token.ticketMints(1, 1)).to.eq(1);
+      expect(await token.isTicketUsed(1, 1)).to.eq(false);
+      expect(await token.ticketsRemaining(1)).to.eq(2);
 
-      const WITHDRAW_AMOUNT = utils.parseEther('0.5');
+      const secondSalt = await commitTokenIdAndMineBlocks(token, secondAccount, [2, 3], { mineBlocks: 9 });
 
-      const withdrawResponse = await token.connect(developer1).withdraw(WITHDRAW_AMOUNT);
-      const withdrawReceipt = await withdrawResponse.wait();
+      await expect(
+        presaleMintWithProof(token, secondAccount, whitelist, [2, 3], secondSalt)
+      ).to.emit(token, "TicketUsed").withArgs(secondAccount.address, 1, 1, 2, 0);
 
-      const { gasUsed, effectiveGasPrice } = withdrawReceipt;
-      const txFee = gasUsed.mul(effectiveGasPrice);
+      expect(await token.isTicketUsed(1, 1)).to.eq(true);
+      expect(await token.ticketsRemaining(1)).to.eq(1);
 
-      const tokenBalanceAfter = await ethers.provider.getBalance(token.address);
-      const developer1BalanceAfter = await ethers.provider.getBalance(developer1.address);
+      const thirdSalt = await commitTokenIdAndMineBlocks(token, secondAccount, [4], { mineBlocks: 9 });
 
-      expect(tokenBalanceAfter).to.eq(tokenBalanceBefore.sub(WITHDRAW_AMOUNT));
-      expect(developer1BalanceAfter).to.eq(developer1BalanceBefore.add(WITHDRAW_AMOUNT.sub(txFee)));
+      await expect(
+        presaleMintWithProof(token, secondAccount, whitelist, [4], thirdSalt)
+      ).to.be.revertedWithCustomError(token, "TicketAlreadyUsed");
     });
 
-    it("reverts when a non-contributor withdraws", async function() {
-      const { token, secondAccount } = await loadFixture(deployToken);
+    it("reverts when minting more tokens than the rest of the allowance", async function() {
+      const { token, secondAccount, whitelist } = await loadFixture(deployTokenWithAllowances);
 
-      const tokenId = 123;
-      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
-      await mintToken(token, tokenId, secondAccount, salt);
+      const salt = await prepareForPresaleMinting(token, secondAccount, [1, 2], { mineBlocks: 9 });
+
+      await (await presaleMintWithProof(token, secondAccount, whitelist, [1, 2], salt)).wait();
+
+      const secondSalt = await commitTokenIdAndMineBlocks(token, secondAccount, [3, 4], { mineBlocks: 9 });
 
       await expect(
-        token.withdraw(1010)
-      ).to.be.revertedWithCustomError(token, "OnlyAllowedForContributors");
+        presaleMintWithProof(token, secondAccount, whitelist, [3, 4], secondSalt)
+      ).to.be.revertedWithCustomError(token, "AllowanceExceeded").withArgs(1);
     });
 
-    it("reverts when trying to withdraw more than contract balance", async function() {
-      const { token, secondAccount } = await loadFixture(deployToken);
+    it("reverts when minting more tokens than the ticket allowance", async function() {
+      const { token, thirdAccount, whitelist } = await loadFixture(deployTokenWithAllowances);
 
-      const tokenId = 123;
-      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
-      await mintToken(token, tokenId, secondAccount, salt);
+      const tokenIds = [1, 2];
+      const salt = await prepareForPresaleMinting(token, thirdAccount, tokenIds, { mineBlocks: 9 });
 
-      // NOTE: mint price is 1 eth
       await expect(
-        token.withdraw(utils.parseEther('1.01'))
-      ).to.be.revertedWith("Insufficient balance");
+        presaleMintWithProof(token, thirdAccount, whitelist, tokenIds, salt)
+      ).to.be.revertedWithCustomError(token, "AllowanceExceeded").withArgs(1);
     });
 
-    it("reverts when trying to withdraw zero ether", async function() {
-      const { token, secondAccount } = await loadFixture(deployToken);
+    it("reverts when claiming a larger allowance than the whitelisted one", async function() {
+      const { token, thirdAccount, whitelist } = await loadFixture(deployTokenWithAllowances);
 
-      const tokenId = 123;
-
-      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
-      await mintToken(token, tokenId, secondAccount, salt);
+      const tokenIds = [1, 2];
+      const salt = await prepareForPresaleMinting(token, thirdAccount, tokenIds, { mineBlocks: 9 });
+      const { ticket, proof } = whitelist.proofs[thirdAccount.address];
 
       await expect(
-        token.withdraw(0)
-      ).to.be.revertedWith("Must provide amount");
+        token.connect(thirdAccount).presaleMint(1, ticket, 2, proof, tokenIds, salt)
+      ).to.be.revertedWithCustomError(token, "InvalidProof");
     });
-  });
 
-  describe("Multicall transfers", function () {
-    it("transfers multiple tokens via multicall", async function() {
-      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+    it("reverts when no token IDs are revealed", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithAllowances);
 
-      const tokenId1 = 123;
-      const tokenId2 = 124;
-      const tokenId3 = 125;
+      const salt = await prepareForPublicMinting(token, secondAccount, [], { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint([], salt)
+      ).to.be.revertedWithCustomError(token, "TokenIdsNotProvided");
+    });
+
+    it("reverts when the revealed token IDs differ from the committed ones", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithAllowances);
+
+      const salt = await prepareForPublicMinting(token, secondAccount, [1, 2], { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint([2, 1], salt, { value: utils.parseEther('2') })
+      ).to.be.revertedWithCustomError(token, "IdAndSaltDoesNotMatchCommitted");
+    });
+
+    it("charges the current price for every token ID", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithAllowances);
+
+      const tokenIds = [1, 2];
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenIds, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint(tokenIds, salt, { value: utils.parseEther('1') })
+      ).to.be.revertedWithCustomError(token, "ValueBelowMintPrice").withArgs(utils.parseEther('2'));
+
+      await expect(
+        token.connect(secondAccount).publicMint(tokenIds, salt, { value: utils.parseEther('3') })
+      ).to.changeEtherBalances([secondAccount, token], [utils.parseEther('-2'), utils.parseEther('2')]);
+    });
+
+    it("sets wallet limits when called by a sale manager", async function() {
+      const { token } = await loadFixture(deployTokenWithAllowances);
+
+      await expect(token.setWalletLimits(2, 5)).to.emit(token, "WalletLimitsUpdated").withArgs(2, 5);
+
+      expect(await token.maxPresaleMintsPerWallet()).to.eq(2);
+      expect(await token.maxPublicMintsPerWallet()).to.eq(5);
+    });
+
+    it("reverts when setting wallet limits without the sale manager role", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithAllowances);
+
+      await expect(
+        token.connect(secondAccount).setWalletLimits(2, 5)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+
+    it("reverts when a presale mint exceeds the wallet limit", async function() {
+      const { token, secondAccount, whitelist } = await loadFixture(deployTokenWithAllowances);
+
+      await (await token.setWalletLimits(2, 0)).wait();
+
+      const tokenIds = [1, 2, 3];
+      const salt = await prepareForPresaleMinting(token, secondAccount, tokenIds, { mineBlocks: 9 });
+
+      await expect(
+        presaleMintWithProof(token, secondAccount, whitelist, tokenIds, salt)
+      ).to.be.revertedWithCustomError(token, "WalletLimitExceeded").withArgs(2);
+    });
+
+    it("counts public mints of a wallet across reveals", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithAllowances);
+
+      await (await token.setWalletLimits(0, 3)).wait();
+
+      const salt = await prepareForPublicMinting(token, secondAccount, [1, 2], { mineBlocks: 9 });
+
+      await (await token.connect(secondAccount).publicMint([1, 2], salt, { value: utils.parseEther('2') })).wait();
+
+      expect(await token.publicMints(secondAccount.address)).to.eq(2);
+
+      const secondSalt = await commitTokenIdAndMineBlocks(token, secondAccount, [3, 4], { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint([3, 4], secondSalt, { value: utils.parseEther('2') })
+      ).to.be.revertedWithCustomError(token, "WalletLimitExceeded").withArgs(1);
+    });
+
+    it("does not limit public mints by the presale limit", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithAllowances);
+
+      await (await token.setWalletLimits(1, 0)).wait();
+
+      const tokenIds = [1, 2];
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenIds, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint(tokenIds, salt, { value: utils.parseEther('2') })
+      ).to.emit(token, "Transfer").withArgs(ethers.constants.AddressZero, secondAccount.address, 2);
+    });
+  });
+
+  describe("Reveal window", function () {
+    async function deployTokenWithRevealWindow() {
+      const fixture = await deployToken();
+
+      await (await fixture.token.setRevealWindow(10, 20)).wait();
+      await (await fixture.token.activatePresale()).wait();
+      await (await fixture.token.activatePublicSale()).wait();
+
+      return fixture;
+    }
+
+    it("sets the reveal window when called by a sale manager", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      expect(await token.CAN_REVEAL_AFTER_BLOCKS()).to.eq(10);
+      expect(await token.CAN_REVEAL_UNTIL_BLOCKS()).to.eq(7200);
+
+      await expect(token.setRevealWindow(5, 100)).to.emit(token, "RevealWindowUpdated").withArgs(5, 100);
+
+      expect(await token.CAN_REVEAL_AFTER_BLOCKS()).to.eq(5);
+      expect(await token.CAN_REVEAL_UNTIL_BLOCKS()).to.eq(100);
+    });
+
+    it("reverts when setting the reveal window without the sale manager role", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(secondAccount).setRevealWindow(5, 100)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+
+    it("accepts reveal windows within the bounds", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      const maxAfterBlocks = await token.MAX_CAN_REVEAL_AFTER_BLOCKS();
+      const maxUntilBlocks = await token.MAX_CAN_REVEAL_UNTIL_BLOCKS();
+
+      await expect(token.setRevealWindow(1, 1)).to.emit(token, "RevealWindowUpdated").withArgs(1, 1);
+      await expect(
+        token.setRevealWindow(maxAfterBlocks, maxUntilBlocks)
+      ).to.emit(token, "RevealWindowUpdated").withArgs(maxAfterBlocks, maxUntilBlocks);
+    });
+
+    it("reverts when the reveal window is out of bounds", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      const maxAfterBlocks = await token.MAX_CAN_REVEAL_AFTER_BLOCKS();
+      const maxUntilBlocks = await token.MAX_CAN_REVEAL_UNTIL_BLOCKS();
+
+      for (const [afterBlocks, untilBlocks] of [
+        [0, 10],
+        [maxAfterBlocks.add(1), maxUntilBlocks],
+        [10, 9],
+        [10, maxUntilBlocks.add(1)]
+      ]) {
+        await expect(
+          token.setRevealWindow(afterBlocks, untilBlocks)
+        ).to.be.revertedWithCustomError(token, "InvalidRevealWindow");
+      }
+    });
+
+    it("reverts when revealing one block before the window opens", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithRevealWindow);
+
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 1, { mineBlocks: 8 });
+
+      await expect(
+        token.connect(secondAccount).publicMint([1], salt, { value: utils.parseEther('1') })
+      ).to.be.revertedWithCustomError(token, "AfterCommitTimeoutForBlocks").withArgs(1);
+    });
+
+    it("reveals in the first and the last block of the window", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithRevealWindow);
+
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 1, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint([1], salt, { value: utils.parseEther('1') })
+      ).to.emit(token, "Transfer").withArgs(ethers.constants.AddressZero, secondAccount.address, 1);
+
+      const lastBlockSalt = await commitTokenIdAndMineBlocks(token, secondAccount, 2, { mineBlocks: 19 });
+
+      await expect(
+        token.connect(secondAccount).publicMint([2], lastBlockSalt, { value: utils.parseEther('1') })
+      ).to.emit(token, "Transfer").withArgs(ethers.constants.AddressZero, secondAccount.address, 2);
+    });
+
+    it("reverts when revealing one block after the window closes", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithRevealWindow);
+
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 1, { mineBlocks: 20 });
+      const commitBlock = (await ethers.provider.getBlockNumber()) - 20;
+
+      await expect(
+        token.connect(secondAccount).publicMint([1], salt, { value: utils.parseEther('1') })
+      ).to.be.revertedWithCustomError(token, "CommitExpired").withArgs(commitBlock + 20);
+    });
+
+    it("reveals an expired commit after committing again", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithRevealWindow);
+
+      await commitTokenIdAndMineBlocks(token, secondAccount, 1, { mineBlocks: 20 });
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 1, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint([1], salt, { value: utils.parseEther('1') })
+      ).to.emit(token, "Transfer").withArgs(ethers.constants.AddressZero, secondAccount.address, 1);
+    });
+
+    it("applies a shorter window to pending commits", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenWithRevealWindow);
+
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 1, { mineBlocks: 15 });
+
+      await (await token.setRevealWindow(10, 12)).wait();
+
+      await expect(
+        token.connect(secondAccount).publicMint([1], salt, { value: utils.parseEther('1') })
+      ).to.be.revertedWithCustomError(token, "CommitExpired");
+    });
+
+    it("returns the status of a commit through its reveal window", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployTokenWithRevealWindow);
+
+      expect(await token.commitStatus(thirdAccount.address)).to.deep.eq([0, ethers.constants.Zero, ethers.constants.Zero]);
+
+      await commitTokenIdAndMineBlocks(token, secondAccount, 1);
+      const commitBlock = await ethers.provider.getBlockNumber();
+      const window = [commitBlock + 10, commitBlock + 20].map((block) => ethers.BigNumber.from(block));
+
+      // Views run on top of the latest block
+      expect(await token.commitStatus(secondAccount.address)).to.deep.eq([1, ...window]);
+
+      await mine(9);
+      expect(await token.commitStatus(secondAccount.address)).to.deep.eq([1, ...window]);
+
+      await mine(1);
+      expect(await token.commitStatus(secondAccount.address)).to.deep.eq([2, ...window]);
+
+      await mine(10);
+      expect(await token.commitStatus(secondAccount.address)).to.deep.eq([2, ...window]);
+
+      await mine(1);
+      expect(await token.commitStatus(secondAccount.address)).to.deep.eq([3, ...window]);
+
+      const revealSalt = await commitTokenIdAndMineBlocks(token, secondAccount, 1, { mineBlocks: 9 });
+
+      await (await token.connect(secondAccount).publicMint([1], revealSalt, { value: utils.parseEther('1') })).wait();
+
+      expect((await token.commitStatus(secondAccount.address)).status).to.eq(4);
+    });
+  });
+
+  describe("Token ID validation", function () {
+    async function deployTokenInPublicSale() {
+      const fixture = await deployToken();
+
+      await (await fixture.token.activatePresale()).wait();
+      await (await fixture.token.activatePublicSale()).wait();
+
+      return fixture;
+    }
+
+    it("reverts when revealing token IDs outside of [1, cap]", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenInPublicSale);
+
+      for (const tokenId of [0, 7]) {
+        const salt = await commitTokenIdAndMineBlocks(token, secondAccount, tokenId, { mineBlocks: 9 });
+
+        await expect(
+          token.connect(secondAccount).publicMint([tokenId], salt, { value: utils.parseEther('1') })
+        ).to.be.revertedWithCustomError(token, "TokenIdOutOfRange").withArgs(6);
+      }
+    });
+
+    it("mints the first and the last token IDs of the range", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenInPublicSale);
+
+      const tokenIds = [1, 6];
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, tokenIds, { mineBlocks: 9 });
+
+      await (await token.connect(secondAccount).publicMint(tokenIds, salt, { value: utils.parseEther('2') })).wait();
+
+      expect(await token.ownerOf(1)).to.eq(secondAccount.address);
+      expect(await token.ownerOf(6)).to.eq(secondAccount.address);
+    });
+
+    it("reverts when revealing a token ID minted by someone else and keeps the commit", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployTokenInPublicSale);
+
+      const secondAccountSalt = await commitTokenIdAndMineBlocks(token, secondAccount, 3);
+      const thirdAccountSalt = await commitTokenIdAndMineBlocks(token, thirdAccount, 3, { mineBlocks: 9 });
+
+      await mintToken(token, 3, secondAccount, secondAccountSalt);
+
+      await expect(
+        token.connect(thirdAccount).publicMint([3], thirdAccountSalt, { value: utils.parseEther('1') })
+      ).to.be.revertedWithCustomError(token, "TokenIdAlreadyMinted").withArgs(3);
+
+      expect((await token.commitStatus(thirdAccount.address)).status).to.eq(2);
+      expect(await token.publicMints(thirdAccount.address)).to.eq(0);
+    });
+
+    it("reverts when a batch repeats a token ID", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenInPublicSale);
+
+      const tokenIds = [2, 2];
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, tokenIds, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint(tokenIds, salt, { value: utils.parseEther('2') })
+      ).to.be.revertedWithCustomError(token, "TokenIdAlreadyMinted").withArgs(2);
+    });
+
+    it("returns the availability of a batch of token IDs", async function() {
+      const { token, secondAccount } = await loadFixture(deployTokenInPublicSale);
+
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 4, { mineBlocks: 9 });
+
+      await mintToken(token, 4, secondAccount, salt);
+
+      expect(await token.cap()).to.eq(6);
+      expect(await token.tokenIdsAvailability([0, 1, 4, 6, 7])).to.deep.eq([false, true, false, true, false]);
+    });
+  });
+
+  describe("Escrow mode", function () {
+    const MINT_PRICE = utils.parseEther('1');
+
+    async function deployEscrowSale() {
+      const fixture = await deployToken();
+
+      await (await fixture.token.setRevealWindow(10, 20)).wait();
+      await (await fixture.token.setEscrowMode(true)).wait();
+      await (await fixture.token.activatePresale()).wait();
+      await (await fixture.token.activatePublicSale()).wait();
+
+      return fixture;
+    }
+
+    async function deploySingleTokenEscrowSale() {
+      const [, secondAccount, thirdAccount] = await ethers.getSigners();
+
+      const { merkleTree } = buildMerkleWhitelist([secondAccount.address]);
+      const token = await deployTokenContract(merkleTree.getRoot(), 1, 1);
+
+      await (await token.setEscrowMode(true)).wait();
+      await (await token.activatePresale()).wait();
+      await (await token.activatePublicSale()).wait();
+
+      return { token, secondAccount, thirdAccount };
+    }
+
+    it("sets the escrow mode when called by a sale manager", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await expect(token.setEscrowMode(true)).to.emit(token, "EscrowModeUpdated").withArgs(true);
+
+      expect(await token.escrowEnabled()).to.eq(true);
+    });
+
+    it("reverts when setting the escrow mode without the sale manager role", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(secondAccount).setEscrowMode(true)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+
+    it("escrows the deposit of a public sale commit", async function() {
+      const { token, secondAccount } = await loadFixture(deployEscrowSale);
+
+      await expect(
+        token.connect(secondAccount).commitTokenId(utils.hexZeroPad("0x01", 32), { value: MINT_PRICE })
+      ).to.emit(token, "EscrowDeposited").withArgs(secondAccount.address, MINT_PRICE);
+
+      expect(await token.escrowDeposits(secondAccount.address)).to.eq(MINT_PRICE);
+      expect(await token.totalEscrowed()).to.eq(MINT_PRICE);
+    });
+
+    it("reverts when a public sale commit deposits less than the mint price", async function() {
+      const { token, secondAccount } = await loadFixture(deployEscrowSale);
+
+      await expect(
+        token.connect(secondAccount).commitTokenId(utils.hexZeroPad("0x01", 32), { value: MINT_PRICE.sub(1) })
+      ).to.be.revertedWithCustomError(token, "ValueBelowMintPrice").withArgs(MINT_PRICE);
+    });
+
+    it("reverts when depositing outside of escrowed public sale commits", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await (await token.activatePresale()).wait();
+      await (await token.activatePublicSale()).wait();
+
+      await expect(
+        token.connect(secondAccount).commitTokenId(utils.hexZeroPad("0x01", 32), { value: MINT_PRICE })
+      ).to.be.revertedWithCustomError(token, "DepositNotAccepted");
+
+      const { token: presaleToken } = await loadFixture(deployToken);
+
+      await (await presaleToken.setEscrowMode(true)).wait();
+      await (await presaleToken.activatePresale()).wait();
+
+      await expect(
+        presaleToken.connect(secondAccount).commitTokenId(utils.hexZeroPad("0x01", 32), { value: MINT_PRICE })
+      ).to.be.revertedWithCustomError(presaleToken, "DepositNotAccepted");
+    });
+
+    it("pays the reveal with the escrowed deposit", async function() {
+      const { token, secondAccount, developer1 } = await loadFixture(deployEscrowSale);
+
+      await (await token.addContributor(developer1.address, 1)).wait();
+
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 1, { value: MINT_PRICE, mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint([1], salt)
+      ).to.emit(token, "EscrowConsumed").withArgs(secondAccount.address, MINT_PRICE)
+        .and.to.emit(token, "Transfer").withArgs(ethers.constants.AddressZero, secondAccount.address, 1);
+
+      expect(await token.totalEscrowed()).to.eq(0);
+      expect(await token.releasable(developer1.address)).to.eq(MINT_PRICE);
+    });
+
+    it("adds the value sent on reveal to the deposit and refunds the excess", async function() {
+      const { token, secondAccount } = await loadFixture(deployEscrowSale);
+
+      const tokenIds = [1, 2];
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, tokenIds, { value: MINT_PRICE, mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint(tokenIds, salt, { value: MINT_PRICE.div(2) })
+      ).to.be.revertedWithCustomError(token, "ValueBelowMintPrice").withArgs(MINT_PRICE.mul(2));
+
+      await expect(
+        token.connect(secondAccount).publicMint(tokenIds, salt, { value: MINT_PRICE.mul(2) })
+      ).to.changeEtherBalances([secondAccount, token], [MINT_PRICE.mul(-1), MINT_PRICE]);
+
+      expect(await token.balanceOf(secondAccount.address)).to.eq(2);
+    });
+
+    it("reverts when cancelling a commit before its reveal window has passed", async function() {
+      const { token, secondAccount } = await loadFixture(deployEscrowSale);
+
+      await commitTokenIdAndMineBlocks(token, secondAccount, 1, { value: MINT_PRICE, mineBlocks: 19 });
+      const commitBlock = (await ethers.provider.getBlockNumber()) - 19;
+
+      await expect(
+        token.connect(secondAccount).cancelCommit()
+      ).to.be.revertedWithCustomError(token, "CommitNotCancellable").withArgs(commitBlock + 20);
+    });
+
+    it("refunds the deposit of a commit whose reveal window has passed", async function() {
+      const { token, secondAccount } = await loadFixture(deployEscrowSale);
+
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 1, { value: MINT_PRICE, mineBlocks: 20 });
+
+      await expect(
+        token.connect(secondAccount).cancelCommit()
+      ).to.emit(token, "CommitCancelled").withArgs(secondAccount.address, MINT_PRICE)
+        .and.to.changeEtherBalances([secondAccount, token], [MINT_PRICE, MINT_PRICE.mul(-1)]);
+
+      expect(await token.totalEscrowed()).to.eq(0);
+      expect((await token.commitStatus(secondAccount.address)).status).to.eq(0);
+
+      await expect(
+        token.connect(secondAccount).publicMint([1], salt, { value: MINT_PRICE })
+      ).to.be.revertedWithCustomError(token, "MustCommitIdBefore");
+      await expect(
+        token.connect(secondAccount).cancelCommit()
+      ).to.be.revertedWithCustomError(token, "NoEscrowedDeposit");
+    });
+
+    it("refunds the deposit of a commit once the sale sold out", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deploySingleTokenEscrowSale);
+
+      await commitTokenIdAndMineBlocks(token, thirdAccount, 1, { value: MINT_PRICE });
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 1, { value: MINT_PRICE, mineBlocks: 9 });
+
+      await expect(
+        token.connect(thirdAccount).cancelCommit()
+      ).to.be.revertedWithCustomError(token, "CommitNotCancellable");
+
+      await (await token.connect(secondAccount).publicMint([1], salt)).wait();
+
+      expect(await token.stage()).to.eq(3);
+
+      await expect(
+        token.connect(thirdAccount).cancelCommit()
+      ).to.changeEtherBalances([thirdAccount, token], [MINT_PRICE, MINT_PRICE.mul(-1)]);
+    });
+
+    it("does not let contributors withdraw escrowed deposits", async function() {
+      const { token, secondAccount, thirdAccount, developer1 } = await loadFixture(deployEscrowSale);
+
+      await (await token.addContributor(developer1.address, 1)).wait();
+
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 1, { value: MINT_PRICE, mineBlocks: 9 });
+      await (await token.connect(secondAccount).publicMint([1], salt)).wait();
+      await commitTokenIdAndMineBlocks(token, thirdAccount, 2, { value: MINT_PRICE, mineBlocks: 20 });
+
+      expect(await ethers.provider.getBalance(token.address)).to.eq(MINT_PRICE.mul(2));
+
+      await expect(
+        token.connect(developer1).withdraw(MINT_PRICE.mul(2))
+      ).to.be.revertedWithCustomError(token, "AmountExceedsReleasable").withArgs(MINT_PRICE);
+
+      await (await token.connect(developer1).withdraw(MINT_PRICE)).wait();
+
+      expect(await ethers.provider.getBalance(token.address)).to.eq(await token.totalEscrowed());
+
+      await expect(
+        token.connect(thirdAccount).cancelCommit()
+      ).to.changeEtherBalance(thirdAccount, MINT_PRICE);
+    });
+  });
+
+  describe("Pricing", function () {
+    const START_PRICE = utils.parseEther('2');
+    const FLOOR_PRICE = utils.parseEther('0.5');
+    const AUCTION_DURATION = 3600;
+
+    async function deployDutchAuction() {
+      const fixture = await loadFixture(deployToken);
+
+      await (await fixture.token.setDutchAuction(START_PRICE, FLOOR_PRICE, AUCTION_DURATION)).wait();
+
+      return fixture;
+    }
+
+    async function activatePublicDutchAuction(token) {
+      await (await token.activatePresale()).wait();
+      await (await token.activatePublicSale()).wait();
+
+      return token.publicSaleStartedAt();
+    }
+
+    it("is free during presale by default", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await (await token.activatePresale()).wait();
+
+      expect(await token.currentPrice()).to.eq(0);
+    });
+
+    it("updates public sale price before public sale", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      const price = utils.parseEther('0.2');
+
+      await expect(token.setPublicSalePrice(price)).to.emit(token, "PublicSalePriceUpdated").withArgs(price);
+
+      const tokenId = 1;
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).publicMint([tokenId], salt, { value: price })
+      ).to.emit(token, 'Transfer');
+    });
+
+    it("reverts when updating public sale price during public sale", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await (await token.activatePresale()).wait();
+      await (await token.activatePublicSale()).wait();
+
+      await expect(
+        token.setPublicSalePrice(utils.parseEther('0.2'))
+      ).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
+    });
+
+    it("reverts when updating prices without the sale manager role", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(secondAccount).setPublicSalePrice(1)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+
+      await expect(
+        token.connect(secondAccount).setPresalePrice(1)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+
+      await expect(
+        token.connect(secondAccount).setDutchAuction(START_PRICE, FLOOR_PRICE, AUCTION_DURATION)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+
+    it("charges presale price for presale mints", async function() {
+      const { token, merkleTree, leafNodes, secondAccount } = await loadFixture(deployToken);
+
+      const price = utils.parseEther('0.1');
+
+      await expect(token.setPresalePrice(price)).to.emit(token, "PresalePriceUpdated").withArgs(price);
+
+      const proofs = merkleTree.getHexProof(leafNodes[0]);
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).presaleMint(1, 1, 1, proofs, [tokenId], salt)
+      ).to.be.revertedWithCustomError(token, "ValueBelowMintPrice").withArgs(price);
+
+      await expect(
+        token.connect(secondAccount).presaleMint(1, 1, 1, proofs, [tokenId], salt, { value: price })
+      ).to.changeEtherBalances([secondAccount, token], [price.mul(-1), price]);
+    });
+
+    it("reverts when updating presale price after presale started", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await (await token.activatePresale()).wait();
+
+      await expect(
+        token.setPresalePrice(utils.parseEther('0.1'))
+      ).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
+    });
+
+    it("refunds overpayment", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      const tokenId = 1;
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+      const price = utils.parseEther('1');
+
+      await expect(
+        token.connect(secondAccount).publicMint([tokenId], salt, { value: utils.parseEther('1.5') })
+      ).to.changeEtherBalances([secondAccount, token], [price.mul(-1), price]);
+    });
+
+    it("reverts when configuring Dutch auction with start price not above floor", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await expect(
+        token.setDutchAuction(FLOOR_PRICE, FLOOR_PRICE, AUCTION_DURATION)
+      ).to.be.revertedWithCustomError(token, "InvalidDutchAuction");
+    });
+
+    it("reverts when configuring Dutch auction without duration", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await expect(
+        token.setDutchAuction(START_PRICE, FLOOR_PRICE, 0)
+      ).to.be.revertedWithCustomError(token, "InvalidDutchAuction");
+    });
+
+    it("quotes Dutch auction start price before public sale", async function() {
+      const { token } = await loadFixture(deployDutchAuction);
+
+      expect(await token.currentPrice()).to.eq(START_PRICE);
+    });
+
+    it("decays Dutch auction price linearly to the floor", async function() {
+      const { token } = await loadFixture(deployDutchAuction);
+
+      const startedAt = await activatePublicDutchAuction(token);
+
+      await time.increaseTo(startedAt.add(AUCTION_DURATION / 2));
+      expect(await token.currentPrice()).to.eq(utils.parseEther('1.25'));
+
+      await time.increaseTo(startedAt.add(AUCTION_DURATION * 2));
+      expect(await token.currentPrice()).to.eq(FLOOR_PRICE);
+    });
+
+    it("charges the Dutch auction price at mint time", async function() {
+      const { token, secondAccount } = await loadFixture(deployDutchAuction);
+
+      const tokenId = 1;
+      const startedAt = await activatePublicDutchAuction(token);
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, tokenId, { mineBlocks: 9 });
+
+      await time.setNextBlockTimestamp(startedAt.add(AUCTION_DURATION / 4));
+
+      const price = utils.parseEther('1.625');
+
+      await expect(
+        token.connect(secondAccount).publicMint([tokenId], salt, { value: START_PRICE })
+      ).to.changeEtherBalances([secondAccount, token], [price.mul(-1), price]);
+    });
+
+    it("reverts when configuring Dutch auction during public sale", async function() {
+      const { token } = await loadFixture(deployDutchAuction);
+
+      await activatePublicDutchAuction(token);
+
+      await expect(token.disableDutchAuction()).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
+    });
+
+    it("falls back to fixed public sale price when Dutch auction is disabled", async function() {
+      const { token } = await loadFixture(deployDutchAuction);
+
+      await expect(token.disableDutchAuction()).to.emit(token, "DutchAuctionUpdated").withArgs(0, 0, 0);
+
+      expect(await token.currentPrice()).to.eq(utils.parseEther('1'));
+    });
+  });
+
+  describe("Metadata", function () {
+    async function mintRevealedToken() {
+      const fixture = await loadFixture(deployToken);
+      const { token, secondAccount } = fixture;
+
+      const tokenId = 1;
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+      await mintToken(token, tokenId, secondAccount, salt);
+
+      return { ...fixture, tokenId };
+    }
+
+    it("returns provenance hash", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      expect(await token.provenanceHash()).to.equal(PROVENANCE_HASH);
+    });
+
+    it("returns placeholder URI before reveal", async function() {
+      const { token, tokenId } = await loadFixture(mintRevealedToken);
+
+      expect(await token.metadataRevealed()).to.equal(false);
+      expect(await token.tokenURI(tokenId)).to.equal(PLACEHOLDER_URI);
+    });
+
+    it("reverts when querying URI of a token that is not minted", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await expect(token.tokenURI(1)).to.be.revertedWith("ERC721: invalid token ID");
+    });
+
+    it("returns token URI under the revealed base URI", async function() {
+      const { token, tokenId } = await loadFixture(mintRevealedToken);
+
+      await expect(
+        token.revealMetadata("ipfs://revealed/")
+      ).to.emit(token, "MetadataRevealed").withArgs("ipfs://revealed/");
+
+      expect(await token.metadataRevealed()).to.equal(true);
+      expect(await token.tokenURI(tokenId)).to.equal(`ipfs://revealed/${tokenId}`);
+    });
+
+    it("reverts when revealing metadata twice", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await (await token.revealMetadata("ipfs://revealed/")).wait();
+
+      await expect(
+        token.revealMetadata("ipfs://other/")
+      ).to.be.revertedWithCustomError(token, "MetadataAlreadyRevealed");
+    });
+
+    it("reverts when revealing metadata without base URI", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await expect(
+        token.revealMetadata("")
+      ).to.be.revertedWithCustomError(token, "BaseURINotProvided");
+    });
+
+    it("reverts when revealing metadata without the metadata admin role", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(secondAccount).revealMetadata("ipfs://revealed/")
+      ).to.be.revertedWith(missingRole(secondAccount, "METADATA_ADMIN_ROLE"));
+    });
+  });
+
+  describe("Royalties", function () {
+    const ERC2981_INTERFACE_ID = "0x2a55205a";
+    const ERC721_INTERFACE_ID = "0x80ac58cd";
+    const SALE_PRICE = utils.parseEther('2');
+
+    it("reports ERC2981 and ERC721 interface support", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      expect(await token.supportsInterface(ERC2981_INTERFACE_ID)).to.equal(true);
+      expect(await token.supportsInterface(ERC721_INTERFACE_ID)).to.equal(true);
+      expect(await token.supportsInterface("0xffffffff")).to.equal(false);
+    });
+
+    it("returns the default royalty set at deployment", async function() {
+      const { token, owner } = await loadFixture(deployToken);
+
+      const [receiver, royaltyAmount] = await token.royaltyInfo(1, SALE_PRICE);
+
+      expect(receiver).to.equal(owner.address);
+      expect(royaltyAmount).to.equal(utils.parseEther('0.1'));
+    });
+
+    it("reverts if trying to deploy with royalty above the maximum", async function() {
+      const { owner, merkleTree } = await loadFixture(deployToken);
+      const TokenFactory = await getTokenFactory();
+
+      const token = TokenFactory.deploy(
+        merkleTree.getRoot(),
+        6,
+        4,
+        PROVENANCE_HASH,
+        PLACEHOLDER_URI,
+        owner.address,
+        1001
+      );
+
+      await expect(token).to.be.revertedWithCustomError(TokenFactory, "RoyaltyTooHigh").withArgs(1000);
+    });
+
+    it("updates the default royalty", async function() {
+      const { token, developer1 } = await loadFixture(deployToken);
+
+      await expect(
+        token.setDefaultRoyalty(developer1.address, 250)
+      ).to.emit(token, "DefaultRoyaltyUpdated").withArgs(developer1.address, 250);
+
+      const [receiver, royaltyAmount] = await token.royaltyInfo(1, SALE_PRICE);
+
+      expect(receiver).to.equal(developer1.address);
+      expect(royaltyAmount).to.equal(utils.parseEther('0.05'));
+    });
+
+    it("reverts when setting royalty to the null address", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await expect(
+        token.setDefaultRoyalty(ethers.constants.AddressZero, 250)
+      ).to.be.revertedWithCustomError(token, "InvalidRoyaltyReceiver");
+    });
+
+    it("reverts when setting royalty above the maximum", async function() {
+      const { token, developer1 } = await loadFixture(deployToken);
+
+      await expect(
+        token.setDefaultRoyalty(developer1.address, 1001)
+      ).to.be.revertedWithCustomError(token, "RoyaltyTooHigh").withArgs(1000);
+
+      await expect(
+        token.setTokenRoyalty(1, developer1.address, 1001)
+      ).to.be.revertedWithCustomError(token, "RoyaltyTooHigh").withArgs(1000);
+    });
+
+    it("reverts when setting royalty without the treasurer role", async function() {
+      const { token, developer1 } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(developer1).setDefaultRoyalty(developer1.address, 250)
+      ).to.be.revertedWith(missingRole(developer1, "TREASURER_ROLE"));
+
+      await expect(
+        token.connect(developer1).setTokenRoyalty(1, developer1.address, 250)
+      ).to.be.revertedWith(missingRole(developer1, "TREASURER_ROLE"));
+    });
+
+    it("overrides royalty for a single token", async function() {
+      const { token, owner, developer2 } = await loadFixture(deployToken);
+
+      await expect(
+        token.setTokenRoyalty(1, developer2.address, 1000)
+      ).to.emit(token, "TokenRoyaltyUpdated").withArgs(1, developer2.address, 1000);
+
+      const [overriddenReceiver, overriddenAmount] = await token.royaltyInfo(1, SALE_PRICE);
+      const [defaultReceiver, defaultAmount] = await token.royaltyInfo(2, SALE_PRICE);
+
+      expect(overriddenReceiver).to.equal(developer2.address);
+      expect(overriddenAmount).to.equal(utils.parseEther('0.2'));
+      expect(defaultReceiver).to.equal(owner.address);
+      expect(defaultAmount).to.equal(utils.parseEther('0.1'));
+    });
+
+    it("falls back to the default royalty after a token override is reset", async function() {
+      const { token, owner, developer2 } = await loadFixture(deployToken);
+
+      await (await token.setTokenRoyalty(1, developer2.address, 1000)).wait();
+
+      await expect(token.resetTokenRoyalty(1)).to.emit(token, "TokenRoyaltyReset").withArgs(1);
+
+      const [receiver] = await token.royaltyInfo(1, SALE_PRICE);
+
+      expect(receiver).to.equal(owner.address);
+    });
+  });
+
+  describe("Sale lifecycle", function () {
+    async function deploySingleTokenSale() {
+      const [, secondAccount, thirdAccount] = await ethers.getSigners();
+
+      const { merkleTree, entries } = buildMerkleWhitelist([secondAccount.address, thirdAccount.address]);
+      const token = await deployTokenContract(merkleTree.getRoot(), 1, 2);
+
+      return { token, secondAccount, merkleTree, leafNodes: entries.map(({ leaf }) => leaf) };
+    }
+
+    it("moves an active presale back to inactive", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await (await token.activatePresale()).wait();
+
+      await expect(token.deactivateSale()).to.emit(token, "StageTransition").withArgs(1, 0);
+      expect(await token.stage()).to.equal(0);
+    });
+
+    it("moves an active public sale back to inactive", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await (await token.activatePresale()).wait();
+      await (await token.activatePublicSale()).wait();
+
+      await expect(token.deactivateSale()).to.emit(token, "StageTransition").withArgs(2, 0);
+      expect(await token.stage()).to.equal(0);
+    });
+
+    it("restarts the presale after the sale was deactivated", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await (await token.activatePresale()).wait();
+      await (await token.deactivateSale()).wait();
+
+      await expect(token.activatePresale()).to.emit(token, "StageTransition").withArgs(0, 1);
+    });
+
+    it("reverts when trying to deactivate an inactive sale", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await expect(token.deactivateSale()).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
+    });
+
+    it("reverts when trying to deactivate the sale without the sale manager role", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await (await token.activatePresale()).wait();
+
+      await expect(
+        token.connect(secondAccount).deactivateSale()
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+
+    it("reverts when trying to activate public sale from inactive stage", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await expect(token.activatePublicSale()).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
+    });
+
+    it("reverts when trying to activate presale during public sale", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await (await token.activatePresale()).wait();
+      await (await token.activatePublicSale()).wait();
+
+      await expect(token.activatePresale()).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
+    });
+
+    it("sells out when presale mints reach the cap", async function() {
+      const { token, secondAccount, merkleTree, leafNodes } = await loadFixture(deploySingleTokenSale);
+
+      const proofs = merkleTree.getHexProof(leafNodes[0]);
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(secondAccount).presaleMint(1, 1, 1, proofs, [tokenId], salt)
+      ).to.emit(token, "StageTransition").withArgs(1, 3);
+
+      expect(await token.stage()).to.equal(3);
+    });
+
+    it("does not leave sold out stage", async function() {
+      const { token, secondAccount } = await loadFixture(deploySingleTokenSale);
+
+      const tokenId = 1;
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+      await mintToken(token, tokenId, secondAccount, salt);
+
+      await expect(token.deactivateSale()).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
+      await expect(token.activatePresale()).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
+      await expect(token.activatePublicSale()).to.be.revertedWithCustomError(token, "FunctionInvalidAtThisStage");
+    });
+
+    it("reverts when trying to pause without the sale manager role", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(secondAccount).pause()
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+
+    it("blocks commits while paused", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(token.pause()).to.emit(token, "Paused");
+
+      await expect(
+        token.connect(secondAccount).commitTokenId(Buffer.from(utils.randomBytes(32)))
+      ).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("blocks presale minting while paused", async function() {
+      const { token, merkleTree, leafNodes, secondAccount } = await loadFixture(deployToken);
+
+      const proofs = merkleTree.getHexProof(leafNodes[0]);
+      const tokenId = 1;
+      const salt = await prepareForPresaleMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+
+      await (await token.pause()).wait();
+
+      await expect(
+        token.connect(secondAccount).presaleMint(1, 1, 1, proofs, [tokenId], salt)
+      ).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("blocks public minting while paused and allows it after unpausing", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      const tokenId = 1;
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+
+      await (await token.pause()).wait();
+
+      await expect(
+        token.connect(secondAccount).publicMint([tokenId], salt, { value: utils.parseEther('1') })
+      ).to.be.revertedWith("Pausable: paused");
+
+      await expect(token.unpause()).to.emit(token, "Unpaused");
+
+      await mintToken(token, tokenId, secondAccount, salt);
+    });
+  });
+
+  describe("Contributors", function () {
+    it("reverts when adding null address as contributor", async function() {
+      const { token, owner } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(owner).addContributor(ethers.constants.AddressZero, 1)
+      ).to.be.revertedWithCustomError(token, "InvalidContributorAddress");
+    });
+
+    it("reverts when adding a contributor without shares", async function() {
+      const { token, developer1 } = await loadFixture(deployToken);
+
+      await expect(
+        token.addContributor(developer1.address, 0)
+      ).to.be.revertedWithCustomError(token, "SharesMustBePositive");
+    });
+
+    it("adds a contributor", async function() {
+      const { token, developer1, owner } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(owner).addContributor(developer1.address, 3)
+      ).to.emit(token, 'ContributorAdded').withArgs(developer1.address, 3);
+
+      expect(await token.shares(developer1.address)).to.eq(3);
+      expect(await token.totalShares()).to.eq(3);
+    });
+
+    it("reverts when adding the same contributor twice", async function() {
+      const { token, developer1 } = await loadFixture(deployToken);
+
+      await (await token.addContributor(developer1.address, 1)).wait();
+
+      await expect(
+        token.addContributor(developer1.address, 2)
+      ).to.be.revertedWithCustomError(token, "ContributorAlreadyAdded");
+    });
+
+    it("reverts when adding a contributor without the treasurer role", async function() {
+      const { token, developer1 } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(developer1).addContributor(developer1.address, 1)
+      ).to.be.revertedWith(missingRole(developer1, "TREASURER_ROLE"));
+    });
+
+    it("updates contributor shares", async function() {
+      const { token, developer1, developer2 } = await loadFixture(deployToken);
+
+      await (await token.addContributor(developer1.address, 1)).wait();
+      await (await token.addContributor(developer2.address, 1)).wait();
+
+      await expect(
+        token.updateContributorShares(developer1.address, 3)
+      ).to.emit(token, 'ContributorSharesUpdated').withArgs(developer1.address, 3);
+
+      expect(await token.shares(developer1.address)).to.eq(3);
+      expect(await token.totalShares()).to.eq(4);
+    });
+
+    it("reverts when updating shares of an unknown contributor", async function() {
+      const { token, developer1 } = await loadFixture(deployToken);
+
+      await expect(
+        token.updateContributorShares(developer1.address, 3)
+      ).to.be.revertedWithCustomError(token, "OnlyAllowedForContributors");
+    });
+
+    it("removes a contributor", async function() {
+      const { token, developer1 } = await loadFixture(deployToken);
+
+      await (await token.addContributor(developer1.address, 2)).wait();
+
+      await expect(
+        token.removeContributor(developer1.address)
+      ).to.emit(token, 'ContributorRemoved').withArgs(developer1.address);
+
+      expect(await token.shares(developer1.address)).to.eq(0);
+      expect(await token.totalShares()).to.eq(0);
+    });
+  });
+
+  describe("Roles", function () {
+    it("grants every role to the deployer", async function() {
+      const { token, owner } = await loadFixture(deployToken);
+
+      for (const role of ["SALE_MANAGER_ROLE", "TREASURER_ROLE", "METADATA_ADMIN_ROLE"]) {
+        expect(await token[role]()).to.eq(utils.id(role));
+        expect(await token.hasRole(utils.id(role), owner.address)).to.eq(true);
+      }
+    });
+
+    it("lets the owner grant and revoke roles", async function() {
+      const { token, owner, secondAccount } = await loadFixture(deployToken);
+      const SALE_MANAGER_ROLE = utils.id("SALE_MANAGER_ROLE");
+
+      await expect(
+        token.grantRole(SALE_MANAGER_ROLE, secondAccount.address)
+      ).to.emit(token, "RoleGranted").withArgs(SALE_MANAGER_ROLE, secondAccount.address, owner.address);
+
+      expect(await token.hasRole(SALE_MANAGER_ROLE, secondAccount.address)).to.eq(true);
+
+      await expect(
+        token.revokeRole(SALE_MANAGER_ROLE, secondAccount.address)
+      ).to.emit(token, "RoleRevoked").withArgs(SALE_MANAGER_ROLE, secondAccount.address, owner.address);
+
+      expect(await token.hasRole(SALE_MANAGER_ROLE, secondAccount.address)).to.eq(false);
+    });
+
+    it("reverts when a role holder grants roles", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+      const SALE_MANAGER_ROLE = utils.id("SALE_MANAGER_ROLE");
+
+      await (await token.grantRole(SALE_MANAGER_ROLE, secondAccount.address)).wait();
+
+      await expect(
+        token.connect(secondAccount).grantRole(SALE_MANAGER_ROLE, thirdAccount.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(
+        token.connect(secondAccount).revokeRole(SALE_MANAGER_ROLE, secondAccount.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("lets a role holder renounce its role", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+      const TREASURER_ROLE = utils.id("TREASURER_ROLE");
+
+      await (await token.grantRole(TREASURER_ROLE, secondAccount.address)).wait();
+      await (await token.connect(secondAccount).renounceRole(TREASURER_ROLE, secondAccount.address)).wait();
+
+      expect(await token.hasRole(TREASURER_ROLE, secondAccount.address)).to.eq(false);
+    });
+
+    it("lets a sale manager run the sale", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await (await token.grantRole(utils.id("SALE_MANAGER_ROLE"), secondAccount.address)).wait();
+
+      await expect(token.connect(secondAccount).activatePresale()).to.emit(token, "StageTransition").withArgs(0, 1);
+      await expect(token.connect(secondAccount).setPublicSalePrice(1)).to.emit(token, "PublicSalePriceUpdated");
+      await (await token.connect(secondAccount).pause()).wait();
+
+      expect(await token.paused()).to.eq(true);
+
+      await expect(
+        token.connect(secondAccount).addContributor(secondAccount.address, 1)
+      ).to.be.revertedWith(missingRole(secondAccount, "TREASURER_ROLE"));
+    });
+
+    it("lets a treasurer manage contributors and royalties", async function() {
+      const { token, secondAccount, developer1 } = await loadFixture(deployToken);
+
+      await (await token.grantRole(utils.id("TREASURER_ROLE"), secondAccount.address)).wait();
+
+      await expect(
+        token.connect(secondAccount).addContributor(developer1.address, 2)
+      ).to.emit(token, "ContributorAdded").withArgs(developer1.address, 2);
+
+      await (await token.connect(secondAccount).setDefaultRoyalty(developer1.address, 250)).wait();
+
+      const [receiver] = await token.royaltyInfo(1, 10000);
+      expect(receiver).to.eq(developer1.address);
+
+      await expect(
+        token.connect(secondAccount).activatePresale()
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+
+    it("lets a metadata admin reveal metadata", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await (await token.grantRole(utils.id("METADATA_ADMIN_ROLE"), secondAccount.address)).wait();
+
+      await expect(
+        token.connect(secondAccount).revealMetadata("ipfs://revealed/")
+      ).to.emit(token, "MetadataRevealed");
+    });
+
+    it("hands role administration and the owner's roles over in two steps", async function() {
+      const { token, owner, secondAccount, thirdAccount } = await loadFixture(deployToken);
+      const SALE_MANAGER_ROLE = utils.id("SALE_MANAGER_ROLE");
+      const roles = [
+        await token.DEFAULT_ADMIN_ROLE(),
+        SALE_MANAGER_ROLE,
+        utils.id("TREASURER_ROLE"),
+        utils.id("METADATA_ADMIN_ROLE")
+      ];
+
+      await (await token.transferOwnership(secondAccount.address)).wait();
+
+      expect(await token.owner()).to.eq(owner.address);
+      expect(await token.pendingOwner()).to.eq(secondAccount.address);
+
+      await expect(
+        token.connect(thirdAccount).acceptOwnership()
+      ).to.be.revertedWith("Ownable2Step: caller is not the new owner");
+
+      await expect(
+        token.connect(secondAccount).acceptOwnership()
+      ).to.emit(token, "OwnershipTransferred").withArgs(owner.address, secondAccount.address);
+
+      for (const role of roles) {
+        expect(await token.hasRole(role, owner.address)).to.eq(false);
+      }
+
+      for (const role of roles.slice(1)) {
+        expect(await token.hasRole(role, secondAccount.address)).to.eq(true);
+      }
+
+      await expect(
+        token.addContributor(owner.address, 1)
+      ).to.be.revertedWith(missingRole(owner, "TREASURER_ROLE"));
+
+      await (await token.connect(secondAccount).grantRole(SALE_MANAGER_ROLE, thirdAccount.address)).wait();
+
+      expect(await token.hasRole(SALE_MANAGER_ROLE, thirdAccount.address)).to.eq(true);
+
+      await expect(
+        token.grantRole(SALE_MANAGER_ROLE, owner.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Withdrawals", function () {
+    async function mintTokens(token, minter, tokenIds) {
+      let salt = await prepareForPublicMinting(token, minter, tokenIds[0], { mineBlocks: 9 });
+      await mintToken(token, tokenIds[0], minter, salt);
+
+      for (const tokenId of tokenIds.slice(1)) {
+        salt = await commitTokenIdAndMineBlocks(token, minter, tokenId, { mineBlocks: 9 });
+        await mintToken(token, tokenId, minter, salt);
+      }
+    }
+
+    it("allows a contributor to withdraw part of contract's balance", async function() {
+      const { token, secondAccount, developer1 } = await loadFixture(deployToken);
+
+      const tokenId = 1;
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+      await mintToken(token, tokenId, secondAccount, salt);
+
+      await (await token.addContributor(developer1.address, 1)).wait();
+
+      const tokenBalanceBefore = await ethers.provider.getBalance(token.address);
+      const developer1BalanceBefore = await ethers.provider.getBalance(developer1.address);
+
+      const WITHDRAW_AMOUNT = utils.parseEther('0.5');
+
+      const withdrawResponse = await token.connect(developer1).withdraw(WITHDRAW_AMOUNT);
+      const withdrawReceipt = await withdrawResponse.wait();
+
+      const { gasUsed, effectiveGasPrice } = withdrawReceipt;
+      const txFee = gasUsed.mul(effectiveGasPrice);
+
+      const tokenBalanceAfter = await ethers.provider.getBalance(token.address);
+      const developer1BalanceAfter = await ethers.provider.getBalance(developer1.address);
+
+      expect(tokenBalanceAfter).to.eq(tokenBalanceBefore.sub(WITHDRAW_AMOUNT));
+      expect(developer1BalanceAfter).to.eq(developer1BalanceBefore.add(WITHDRAW_AMOUNT.sub(txFee)));
+    });
+
+    it("allows the only contributor to withdraw the full balance", async function() {
+      const { token, secondAccount, developer1 } = await loadFixture(deployToken);
+
+      await (await token.addContributor(developer1.address, 1)).wait();
+      await mintTokens(token, secondAccount, [1]);
+
+      await expect(
+        token.connect(developer1).withdraw(utils.parseEther('1'))
+      ).to.emit(token, 'PaymentReleased').withArgs(developer1.address, utils.parseEther('1'));
+
+      expect(await ethers.provider.getBalance(token.address)).to.eq(0);
+      expect(await token.released(developer1.address)).to.eq(utils.parseEther('1'));
+    });
+
+    it("splits revenue by contributor shares", async function() {
+      const { token, secondAccount, developer1, developer2 } = await loadFixture(deployToken);
+
+      await (await token.addContributor(developer1.address, 3)).wait();
+      await (await token.addContributor(developer2.address, 1)).wait();
+      await mintTokens(token, secondAccount, [1, 2]);
+
+      expect(await token.releasable(developer1.address)).to.eq(utils.parseEther('1.5'));
+      expect(await token.releasable(developer2.address)).to.eq(utils.parseEther('0.5'));
+    });
+
+    it("keeps revenue accrued before a shares update", async function() {
+      const { token, secondAccount, developer1, developer2 } = await loadFixture(deployToken);
+
+      await (await token.addContributor(developer1.address, 1)).wait();
+      await (await token.addContributor(developer2.address, 1)).wait();
+      await mintTokens(token, secondAccount, [1]);
+
+      await (await token.updateContributorShares(developer1.address, 3)).wait();
+
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 2, { mineBlocks: 9 });
+      await mintToken(token, 2, secondAccount, salt);
+
+      expect(await token.releasable(developer1.address)).to.eq(utils.parseEther('1.25'));
+      expect(await token.releasable(developer2.address)).to.eq(utils.parseEther('0.75'));
+    });
+
+    it("allows a removed contributor to withdraw revenue accrued before removal", async function() {
+      const { token, secondAccount, developer1, developer2 } = await loadFixture(deployToken);
+
+      await (await token.addContributor(developer1.address, 1)).wait();
+      await (await token.addContributor(developer2.address, 1)).wait();
+      await mintTokens(token, secondAccount, [1]);
+
+      await (await token.removeContributor(developer1.address)).wait();
+
+      const salt = await commitTokenIdAndMineBlocks(token, secondAccount, 2, { mineBlocks: 9 });
+      await mintToken(token, 2, secondAccount, salt);
+
+      expect(await token.releasable(developer1.address)).to.eq(utils.parseEther('0.5'));
+      expect(await token.releasable(developer2.address)).to.eq(utils.parseEther('1.5'));
+
+      await expect(
+        token.connect(developer1).withdraw(utils.parseEther('0.5'))
+      ).to.emit(token, 'PaymentReleased').withArgs(developer1.address, utils.parseEther('0.5'));
+    });
+
+    it("reverts when a non-contributor withdraws", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      const tokenId = 1;
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+      await mintToken(token, tokenId, secondAccount, salt);
+
+      await expect(
+        token.withdraw(1010)
+      ).to.be.revertedWithCustomError(token, "OnlyAllowedForContributors");
+    });
+
+    it("reverts when trying to withdraw more than the contributor's share", async function() {
+      const { token, secondAccount, developer1, developer2 } = await loadFixture(deployToken);
+
+      await (await token.addContributor(developer1.address, 1)).wait();
+      await (await token.addContributor(developer2.address, 1)).wait();
+      await mintTokens(token, secondAccount, [1]);
+
+      await expect(
+        token.connect(developer1).withdraw(utils.parseEther('0.51'))
+      ).to.be.revertedWithCustomError(token, "AmountExceedsReleasable").withArgs(utils.parseEther('0.5'));
+    });
+
+    it("reverts when trying to withdraw already released revenue", async function() {
+      const { token, secondAccount, developer1 } = await loadFixture(deployToken);
+
+      await (await token.addContributor(developer1.address, 1)).wait();
+      await mintTokens(token, secondAccount, [1]);
+
+      await (await token.connect(developer1).withdraw(utils.parseEther('0.75'))).wait();
+
+      await expect(
+        token.connect(developer1).withdraw(utils.parseEther('0.5'))
+      ).to.be.revertedWithCustomError(token, "AmountExceedsReleasable").withArgs(utils.parseEther('0.25'));
+    });
+
+    it("reverts when trying to withdraw zero ether", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      const tokenId = 1;
+
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+      await mintToken(token, tokenId, secondAccount, salt);
+
+      await expect(
+        token.withdraw(0)
+      ).to.be.revertedWith("Must provide amount");
+    });
+  });
+
+  describe("Multicall transfers", function () {
+    it("transfers multiple tokens via multicall", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      const tokenId1 = 1;
+      const tokenId2 = 2;
+      const tokenId3 = 3;
 
       const salt1 = await prepareForPublicMinting(token, secondAccount, tokenId1, { mineBlocks: 9 });
       await mintToken(token, tokenId1, secondAccount, salt1);
@@ -589,10 +2364,10 @@ describe("Advanced NFT", function () {
       ).to.be.revertedWithCustomError(token, "CallsMustBePresent");
     });
 
-    it("does not delegate call when first call is for a function other than transferFrom function", async function() {
+    it("does not delegate call when first call is for a function that can not be batched", async function() {
       const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
 
-      const tokenId = 123;
+      const tokenId = 1;
       const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
       await mintToken(token, tokenId, secondAccount, salt);
 
@@ -605,13 +2380,15 @@ describe("Advanced NFT", function () {
 
       await expect(
         token.connect(secondAccount).multicall(calls)
-      ).to.be.revertedWithCustomError(token, "MulticallSupportsOnlyTransferFrom");
+      ).to.be.revertedWithCustomError(token, "MulticallFunctionNotSupported").withArgs(
+        token.interface.getSighash("commitTokenId")
+      );
     });
 
-    it("does not delegate call when second call is for a function other than transferFrom function", async function() {
+    it("does not delegate call when second call is for a function that can not be batched", async function() {
       const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
 
-      const tokenId = 123;
+      const tokenId = 1;
 
       const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
       await mintToken(token, tokenId, secondAccount, salt);
@@ -625,9 +2402,426 @@ describe("Advanced NFT", function () {
 
       await expect(
         token.connect(secondAccount).multicall(calls)
-      ).to.be.revertedWithCustomError(token, "MulticallSupportsOnlyTransferFrom");
+      ).to.be.revertedWithCustomError(token, "MulticallFunctionNotSupported").withArgs(
+        token.interface.getSighash("commitTokenId")
+      );
+
+    });
+
+    it("transfers tokens via both safeTransferFrom overloads", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      const tokenId1 = 1;
+      const tokenId2 = 2;
+
+      const salt1 = await prepareForPublicMinting(token, secondAccount, tokenId1, { mineBlocks: 9 });
+      await mintToken(token, tokenId1, secondAccount, salt1);
+
+      const salt2 = await commitTokenIdAndMineBlocks(token, secondAccount, tokenId2, { mineBlocks: 9 });
+      await mintToken(token, tokenId2, secondAccount, salt2);
+
+      const calls = [
+        token.interface.encodeFunctionData(
+          "safeTransferFrom(address,address,uint256)",
+          [secondAccount.address, thirdAccount.address, tokenId1]
+        ),
+        token.interface.encodeFunctionData(
+          "safeTransferFrom(address,address,uint256,bytes)",
+          [secondAccount.address, thirdAccount.address, tokenId2, "0x1234"]
+        )
+      ];
+
+      await (await token.connect(secondAccount).multicall(calls)).wait();
+
+      expect(await token.ownerOf(tokenId1)).to.equal(thirdAccount.address);
+      expect(await token.ownerOf(tokenId2)).to.equal(thirdAccount.address);
+    });
+
+    it("approves and sets approval for all via multicall", async function() {
+      const { token, secondAccount, thirdAccount, fourthAccount } = await loadFixture(deployToken);
+
+      const tokenId = 1;
+      const salt = await prepareForPublicMinting(token, secondAccount, tokenId, { mineBlocks: 9 });
+      await mintToken(token, tokenId, secondAccount, salt);
+
+      const calls = [
+        token.interface.encodeFunctionData("approve", [thirdAccount.address, tokenId]),
+        token.interface.encodeFunctionData("setApprovalForAll", [fourthAccount.address, true])
+      ];
+
+      await expect(
+        token.connect(secondAccount).multicall(calls)
+      ).to.emit(token, "Approval").withArgs(
+        secondAccount.address,
+        thirdAccount.address,
+        tokenId
+      ).and.to.emit(token, "ApprovalForAll").withArgs(
+        secondAccount.address,
+        fourthAccount.address,
+        true
+      );
+    });
+
+    it("does not delegate call to role restricted functions", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      const calls = [token.interface.encodeFunctionData("pause")];
+
+      await expect(
+        token.multicall(calls)
+      ).to.be.revertedWithCustomError(token, "MulticallFunctionNotSupported").withArgs(
+        token.interface.getSighash("pause")
+      );
+    });
+
+    it("does not delegate call to payable functions", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      const calls = [
+        token.interface.encodeFunctionData("publicMint", [[1], utils.hexZeroPad("0x01", 32)])
+      ];
+
+      await expect(
+        token.connect(secondAccount).multicall(calls)
+      ).to.be.revertedWithCustomError(token, "MulticallFunctionNotSupported").withArgs(
+        token.interface.getSighash("publicMint")
+      );
+    });
+
+    it("does not delegate call shorter than a selector", async function() {
+      const { token } = await loadFixture(deployToken);
 
+      await expect(
+        token.multicall(["0x23b8"])
+      ).to.be.revertedWithCustomError(token, "MulticallFunctionNotSupported").withArgs("0x00000000");
     });
   });
-});
 
+  describe("Transfer lock", function () {
+    const TransferLockMode = { None: 0, Time: 1, Blocks: 2, UntilLifted: 3 };
+
+    async function mintLockedToken(token, minter, tokenId) {
+      const salt = await prepareForPublicMinting(token, minter, tokenId, { mineBlocks: 9 });
+      await mintToken(token, tokenId, minter, salt);
+    }
+
+    it("does not lock tokens by default", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await mintLockedToken(token, secondAccount, 1);
+
+      const [mode, unlockPoint] = await token.transferUnlockPoint(1);
+      expect(mode).to.eq(TransferLockMode.None);
+      expect(unlockPoint).to.eq(0);
+
+      await expect(
+        token.connect(secondAccount).transferFrom(secondAccount.address, thirdAccount.address, 1)
+      ).to.emit(token, "Transfer");
+    });
+
+    it("reverts when setting an invalid transfer lock", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      for (const [mode, duration] of [
+        [TransferLockMode.Time, 0],
+        [TransferLockMode.Blocks, 0],
+        [TransferLockMode.None, 10],
+        [TransferLockMode.UntilLifted, 10],
+        [TransferLockMode.Time, ethers.BigNumber.from(2).pow(64)]
+      ]) {
+        await expect(token.setTransferLock(mode, duration)).to.be.revertedWithCustomError(token, "InvalidTransferLock");
+      }
+    });
+
+    it("reverts when setting the transfer lock after the first mint", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await (await token.setTransferLock(TransferLockMode.Time, 60)).wait();
+      await mintLockedToken(token, secondAccount, 1);
+
+      await expect(
+        token.setTransferLock(TransferLockMode.Time, 3600)
+      ).to.be.revertedWithCustomError(token, "TokensAlreadyMinted");
+    });
+
+    it("keeps the transfer lock of minted tokens after the sale is deactivated", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await (await token.setTransferLock(TransferLockMode.Time, 60)).wait();
+      await mintLockedToken(token, secondAccount, 1);
+      await (await token.deactivateSale()).wait();
+
+      for (const [mode, duration] of [[TransferLockMode.Blocks, 5], [TransferLockMode.UntilLifted, 0]]) {
+        await expect(
+          token.setTransferLock(mode, duration)
+        ).to.be.revertedWithCustomError(token, "TokensAlreadyMinted");
+      }
+
+      await time.increase(60);
+
+      await expect(
+        token.connect(secondAccount).transferFrom(secondAccount.address, thirdAccount.address, 1)
+      ).to.emit(token, "Transfer");
+    });
+
+    it("changes the transfer lock after the sale started as long as nothing is minted", async function() {
+      const { token } = await loadFixture(deployToken);
+
+      await (await token.activatePresale()).wait();
+
+      await expect(
+        token.setTransferLock(TransferLockMode.Blocks, 10)
+      ).to.emit(token, "TransferLockUpdated").withArgs(TransferLockMode.Blocks, 10);
+    });
+
+    it("reverts when setting the transfer lock by a non sale manager", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(secondAccount).setTransferLock(TransferLockMode.Time, 3600)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+
+      await expect(
+        token.connect(secondAccount).liftTransferLock()
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+
+    it("locks transfers for a time after mint", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.setTransferLock(TransferLockMode.Time, 3600)
+      ).to.emit(token, "TransferLockUpdated").withArgs(TransferLockMode.Time, 3600);
+
+      await mintLockedToken(token, secondAccount, 1);
+
+      const unlockTime = (await time.latest()) + 3600;
+      const [mode, unlockPoint] = await token.transferUnlockPoint(1);
+      expect(mode).to.eq(TransferLockMode.Time);
+      expect(unlockPoint).to.eq(unlockTime);
+
+      await expect(
+        token.connect(secondAccount).transferFrom(secondAccount.address, thirdAccount.address, 1)
+      ).to.be.revertedWithCustomError(token, "TransferLocked").withArgs(unlockTime);
+
+      await time.setNextBlockTimestamp(unlockTime);
+
+      await expect(
+        token.connect(secondAccount).transferFrom(secondAccount.address, thirdAccount.address, 1)
+      ).to.emit(token, "Transfer").withArgs(secondAccount.address, thirdAccount.address, 1);
+    });
+
+    it("locks multicall transfers for a number of blocks after mint", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await (await token.setTransferLock(TransferLockMode.Blocks, 20)).wait();
+      await mintLockedToken(token, secondAccount, 1);
+
+      const unlockBlock = (await ethers.provider.getBlockNumber()) + 20;
+      const calls = [
+        token.interface.encodeFunctionData("transferFrom", [secondAccount.address, thirdAccount.address, 1])
+      ];
+
+      expect((await token.transferUnlockPoint(1)).unlockPoint).to.eq(unlockBlock);
+
+      await expect(
+        token.connect(secondAccount).multicall(calls)
+      ).to.be.revertedWithCustomError(token, "TransferLocked").withArgs(unlockBlock);
+
+      await mine(unlockBlock - (await ethers.provider.getBlockNumber()) - 1);
+
+      await expect(token.connect(secondAccount).multicall(calls)).to.emit(token, "Transfer");
+    });
+
+    it("locks transfers until the lock is lifted", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await (await token.setTransferLock(TransferLockMode.UntilLifted, 0)).wait();
+      await mintLockedToken(token, secondAccount, 1);
+
+      expect((await token.transferUnlockPoint(1)).mode).to.eq(TransferLockMode.UntilLifted);
+
+      await expect(
+        token.connect(secondAccount)["safeTransferFrom(address,address,uint256)"](
+          secondAccount.address,
+          thirdAccount.address,
+          1
+        )
+      ).to.be.revertedWithCustomError(token, "TransferLocked").withArgs(0);
+
+      await expect(token.liftTransferLock()).to.emit(token, "TransferLockLifted");
+
+      expect((await token.transferUnlockPoint(1)).mode).to.eq(TransferLockMode.None);
+
+      await expect(
+        token.connect(secondAccount).transferFrom(secondAccount.address, thirdAccount.address, 1)
+      ).to.emit(token, "Transfer");
+    });
+
+    it("unlocks timed locks when the lock is lifted", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await (await token.setTransferLock(TransferLockMode.Time, 86400)).wait();
+      await mintLockedToken(token, secondAccount, 1);
+      await (await token.liftTransferLock()).wait();
+
+      await expect(
+        token.connect(secondAccount).transferFrom(secondAccount.address, thirdAccount.address, 1)
+      ).to.emit(token, "Transfer");
+    });
+  });
+
+  describe("Burning and redemptions", function () {
+    async function mintTokenTo(token, minter, tokenId) {
+      const salt = await prepareForPublicMinting(token, minter, tokenId, { mineBlocks: 9 });
+      await mintToken(token, tokenId, minter, salt);
+    }
+
+    it("burns a token of the holder", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await mintTokenTo(token, secondAccount, 1);
+
+      await expect(
+        token.connect(secondAccount).burn(1)
+      ).to.emit(token, "Transfer").withArgs(secondAccount.address, ethers.constants.AddressZero, 1);
+
+      expect(await token.balanceOf(secondAccount.address)).to.eq(0);
+      expect(await token.totalBurned()).to.eq(1);
+      expect(await token.totalMinted()).to.eq(1);
+      expect(await token.totalSupply()).to.eq(0);
+      expect(await token.remainingSupply()).to.eq(5);
+    });
+
+    it("lets an approved operator burn a token", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await mintTokenTo(token, secondAccount, 1);
+      await (await token.connect(secondAccount).approve(thirdAccount.address, 1)).wait();
+
+      await expect(token.connect(thirdAccount).burn(1)).to.emit(token, "Transfer");
+    });
+
+    it("reverts when burning a token of someone else", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await mintTokenTo(token, secondAccount, 1);
+
+      await expect(
+        token.connect(thirdAccount).burn(1)
+      ).to.be.revertedWithCustomError(token, "NotTokenOwnerOrApproved");
+    });
+
+    it("does not mint burned token IDs again", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await mintTokenTo(token, secondAccount, 1);
+      await (await token.connect(secondAccount).burn(1)).wait();
+
+      expect(await token.tokenIdsAvailability([1, 2])).to.deep.eq([false, true]);
+
+      const salt = await commitTokenIdAndMineBlocks(token, thirdAccount, 1, { mineBlocks: 9 });
+
+      await expect(
+        token.connect(thirdAccount).publicMint([1], salt, { value: utils.parseEther("1") })
+      ).to.be.revertedWithCustomError(token, "TokenIdAlreadyMinted").withArgs(1);
+    });
+
+    it("burns locked tokens and resets their royalty", async function() {
+      const { token, owner, secondAccount, developer1 } = await loadFixture(deployToken);
+
+      await (await token.setTransferLock(2, 100)).wait();
+      await mintTokenTo(token, secondAccount, 1);
+      await (await token.setTokenRoyalty(1, developer1.address, 250)).wait();
+
+      await (await token.connect(secondAccount).burn(1)).wait();
+
+      const [receiver] = await token.royaltyInfo(1, 10000);
+      expect(receiver).to.eq(owner.address);
+      expect((await token.transferUnlockPoint(1)).unlockPoint).to.eq(0);
+    });
+
+    it("keeps the sale sold out after burning", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await mintTokenTo(token, secondAccount, 1);
+
+      for (const tokenId of [2, 3, 4, 5, 6]) {
+        const salt = await commitTokenIdAndMineBlocks(token, secondAccount, tokenId, { mineBlocks: 9 });
+        await mintToken(token, tokenId, secondAccount, salt);
+      }
+
+      await (await token.connect(secondAccount).burn(6)).wait();
+
+      expect(await token.stage()).to.eq(3);
+      expect(await token.totalSupply()).to.eq(5);
+      expect(await token.remainingSupply()).to.eq(0);
+    });
+
+    it("reverts when redeeming before redemptions are open", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await mintTokenTo(token, secondAccount, 1);
+
+      await expect(
+        token.connect(secondAccount).redeem(1)
+      ).to.be.revertedWithCustomError(token, "RedemptionsClosed");
+    });
+
+    it("redeems a token by burning it", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await mintTokenTo(token, secondAccount, 1);
+
+      await expect(token.setRedemptionsOpen(true)).to.emit(token, "RedemptionsOpenUpdated").withArgs(true);
+
+      await expect(
+        token.connect(secondAccount).redeem(1)
+      ).to.emit(token, "Redeemed").withArgs(secondAccount.address, 1, secondAccount.address)
+        .and.to.emit(token, "Transfer").withArgs(secondAccount.address, ethers.constants.AddressZero, 1);
+
+      expect(await token.totalBurned()).to.eq(1);
+    });
+
+    it("records the holder as the redeemer when an operator redeems", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await mintTokenTo(token, secondAccount, 1);
+      await (await token.setRedemptionsOpen(true)).wait();
+      await (await token.connect(secondAccount).setApprovalForAll(thirdAccount.address, true)).wait();
+
+      await expect(
+        token.connect(thirdAccount).redeem(1)
+      ).to.emit(token, "Redeemed").withArgs(secondAccount.address, 1, thirdAccount.address);
+    });
+
+    it("reverts when redeeming a token of someone else", async function() {
+      const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+
+      await mintTokenTo(token, secondAccount, 1);
+      await (await token.setRedemptionsOpen(true)).wait();
+
+      await expect(
+        token.connect(thirdAccount).redeem(1)
+      ).to.be.revertedWithCustomError(token, "NotTokenOwnerOrApproved");
+    });
+
+    it("reverts when redeeming while paused", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await mintTokenTo(token, secondAccount, 1);
+      await (await token.setRedemptionsOpen(true)).wait();
+      await (await token.pause()).wait();
+
+      await expect(token.connect(secondAccount).redeem(1)).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("reverts when opening redemptions by a non sale manager", async function() {
+      const { token, secondAccount } = await loadFixture(deployToken);
+
+      await expect(
+        token.connect(secondAccount).setRedemptionsOpen(true)
+      ).to.be.revertedWith(missingRole(secondAccount, "SALE_MANAGER_ROLE"));
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployToken } = require("./fixtures");
+
+describe("Admin tasks", function () {
+  async function deployTokenWithContributor() {
+    const fixture = await deployToken();
+
+    await (await fixture.token.addContributor(fixture.secondAccount.address, 1)).wait();
+
+    return fixture;
+  }
+
+  // Runs a task and returns the lines it printed
+  async function runTask(name, args) {
+    const lines = [];
+    const log = console.log;
+
+    console.log = (...parts) => lines.push(parts.join(" "));
+
+    try {
+      await hre.run(name, args);
+    } finally {
+      console.log = log;
+    }
+
+    return lines;
+  }
+
+  async function latestBlockNumber() {
+    return (await ethers.provider.getBlock("latest")).number;
+  }
+
+  it("prints the sale state", async function () {
+    const { token, owner, whitelist } = await loadFixture(deployTokenWithContributor);
+
+    await (await token.activatePresale()).wait();
+
+    const lines = await runTask("nft:status", { address: token.address });
+
+    expect(lines).to.include.members([
+      `Address:     ${token.address}`,
+      `Owner:       ${owner.address}`,
+      "Stage:       PreSale",
+      "Minted:      0 of 6",
+      `Round 1:     ${whitelist.root} (2 of 2 tickets left)`,
+      "Shares:      1"
+    ]);
+  });
+
+  it("only simulates the call on a dry run", async function () {
+    const { token } = await loadFixture(deployTokenWithContributor);
+    const blockNumber = await latestBlockNumber();
+
+    const lines = await runTask("nft:stage", { address: token.address, stage: "presale", dryRun: true });
+
+    expect(lines).to.have.length(1);
+    expect(lines[0]).to.match(/^activatePresale\(\) from 0x[0-9a-fA-F]{40} would succeed using ~\d+ gas$/);
+    expect(await token.stage()).to.eq(0);
+    expect(await latestBlockNumber()).to.eq(blockNumber);
+  });
+
+  it("sends the transaction without asking when told so", async function () {
+    const { token } = await loadFixture(deployTokenWithContributor);
+
+    const lines = await runTask("nft:stage", { address: token.address, stage: "presale", yes: true });
+
+    expect(lines[1]).to.match(/^Sent in 0x[0-9a-f]{64} \(block \d+\)$/);
+    expect(await token.stage()).to.eq(1);
+  });
+
+  it("reports the decoded revert of a forbidden stage transition", async function () {
+    const { token } = await loadFixture(deployTokenWithContributor);
+    const blockNumber = await latestBlockNumber();
+
+    await expect(
+      runTask("nft:stage", { address: token.address, stage: "public", yes: true })
+    ).to.be.rejectedWith("This action is not available at the current sale stage");
+    expect(await latestBlockNumber()).to.eq(blockNumber);
+  });
+
+  it("rejects unknown stages", async function () {
+    const { token } = await loadFixture(deployTokenWithContributor);
+
+    await expect(
+      runTask("nft:stage", { address: token.address, stage: "sold-out", yes: true })
+    ).to.be.rejectedWith('Unknown stage "sold-out", expected one of: inactive, presale, public');
+  });
+
+  it("reports the decoded revert of a withdrawal by a non contributor", async function () {
+    const { token } = await loadFixture(deployTokenWithContributor);
+
+    await expect(
+      runTask("nft:withdraw", { address: token.address, amount: "1", yes: true })
+    ).to.be.rejectedWith("Only contributors can do this");
+  });
+});
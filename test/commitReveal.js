@@ -0,0 +1,268 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { CommitStatus, decodeContractError } = require("../utils/contract");
+const {
+  hashIdsAndSalt,
+  createMemoryCommitStore,
+  createJsonFileCommitStore,
+  createCommitRevealClient
+} = require("../utils/commitReveal");
+const { deployToken } = require("./fixtures");
+
+describe("Commit/reveal client", function () {
+  it("hashes the ids and salt the same way as the contract", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    const { commitHash, tokenIds, salt } = await client.commit([1, 2]);
+
+    expect(commitHash).to.eq(hashIdsAndSalt(token.address, secondAccount.address, tokenIds, salt));
+  });
+
+  it("reports remaining blocks until reveal", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    await client.commit(1);
+    expect(await client.remainingBlocks()).to.eq(10);
+
+    await mine(4);
+    expect(await client.remainingBlocks()).to.eq(6);
+  });
+
+  it("reveals during presale with ticket and proof", async function () {
+    const { token, secondAccount, whitelist } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    await (await token.activatePresale()).wait();
+    await client.commit(1);
+    await mine(10);
+    await client.waitForReveal();
+
+    await client.reveal(whitelist.proofs[secondAccount.address]);
+
+    expect(await token.ownerOf(1)).to.eq(secondAccount.address);
+    expect(await client.pendingCommit()).to.eq(null);
+  });
+
+  it("reveals during public sale sending the mint price", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    await (await token.activatePresale()).wait();
+    await (await token.activatePublicSale()).wait();
+    await client.commit(1);
+    await mine(10);
+
+    await client.reveal();
+
+    expect(await token.ownerOf(1)).to.eq(secondAccount.address);
+  });
+
+  it("reveals several token IDs paying the price of each", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    await (await token.activatePresale()).wait();
+    await (await token.activatePublicSale()).wait();
+    await client.commit([1, 2]);
+    await mine(10);
+
+    expect(await client.quotePrice(2)).to.eq(ethers.utils.parseEther("2"));
+
+    await client.reveal();
+
+    expect(await token.balanceOf(secondAccount.address)).to.eq(2);
+  });
+
+  it("decodes custom errors into readable messages", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    await (await token.activatePresale()).wait();
+    await (await token.activatePublicSale()).wait();
+    await client.commit(1);
+    await mine(3);
+
+    let revealError;
+
+    try {
+      await client.reveal();
+    } catch (error) {
+      revealError = error;
+    }
+
+    expect(revealError.name).to.eq("AfterCommitTimeoutForBlocks");
+    expect(revealError.message).to.eq("Token ID can be revealed after 6 more block(s)");
+  });
+
+  it("clears a stored commit once its reveal window has passed", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    await (await token.setRevealWindow(10, 20)).wait();
+    await client.commit(1);
+    await mine(20);
+
+    expect(await client.clearStaleCommit()).to.eq(null);
+    expect((await client.commitStatus()).status).to.eq(CommitStatus.Revealable);
+
+    await mine(1);
+
+    expect((await client.commitStatus()).status).to.eq(CommitStatus.Expired);
+    await expect(client.remainingBlocks()).to.be.rejectedWith(/commit the token IDs again/);
+    expect((await client.clearStaleCommit()).tokenIds).to.deep.eq(["1"]);
+    expect(await client.pendingCommit()).to.eq(null);
+  });
+
+  it("rejects committing token IDs that can not be minted", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    await (await token.activatePresale()).wait();
+    await (await token.activatePublicSale()).wait();
+    await client.commit(2);
+    await mine(10);
+    await client.reveal();
+
+    await expect(client.commit([1, 2, 7])).to.be.rejectedWith("Token IDs out of range or already minted: 2, 7");
+    await expect(client.commit([3, 3])).to.be.rejectedWith("Token ID 3 is committed more than once");
+  });
+
+  it("picks a random token ID that is not minted yet", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    await (await token.activatePresale()).wait();
+    await (await token.activatePublicSale()).wait();
+    await client.commit([1, 2, 3, 5, 6]);
+    await mine(10);
+    await client.reveal();
+
+    expect(await client.pickAvailableTokenId({ sampleSize: 1, attempts: 1 })).to.eq(4);
+  });
+
+  it("deposits the price on commit in escrow mode and reveals without sending value", async function () {
+    const { token, secondAccount, thirdAccount } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+    const expiringClient = createCommitRevealClient(token.connect(thirdAccount));
+
+    await (await token.setRevealWindow(10, 20)).wait();
+    await (await token.setEscrowMode(true)).wait();
+    await (await token.activatePresale()).wait();
+    await (await token.activatePublicSale()).wait();
+
+    await client.commit([1, 2]);
+    await expiringClient.commit(3);
+
+    expect(await token.escrowDeposits(secondAccount.address)).to.eq(ethers.utils.parseEther("2"));
+
+    await mine(10);
+
+    const { transactionHash } = await client.reveal();
+
+    expect((await ethers.provider.getTransaction(transactionHash)).value).to.eq(0);
+    expect(await token.balanceOf(secondAccount.address)).to.eq(2);
+
+    await expect(expiringClient.cancelCommit()).to.be.rejectedWith(/Commit can be cancelled after block/);
+
+    await mine(10);
+    await expiringClient.cancelCommit();
+
+    expect(await token.totalEscrowed()).to.eq(0);
+    expect(await expiringClient.pendingCommit()).to.eq(null);
+  });
+
+  it("persists commits in a JSON file store", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "commits-")), "commits.json");
+
+    const { salt } = await createCommitRevealClient(token.connect(secondAccount), {
+      store: createJsonFileCommitStore(storePath)
+    }).commit(1);
+
+    const reloadedClient = createCommitRevealClient(token.connect(secondAccount), {
+      store: createJsonFileCommitStore(storePath)
+    });
+
+    expect((await reloadedClient.pendingCommit()).salt).to.eq(salt);
+  });
+
+  it("stores the salt before the commit is sent", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const memoryStore = createMemoryCommitStore();
+    const writes = [];
+    const store = {
+      ...memoryStore,
+      async set(key, value) {
+        const [status] = await token.commitStatus(secondAccount.address);
+
+        writes.push({ ...value, status });
+        await memoryStore.set(key, value);
+      }
+    };
+
+    const { salt, blockNumber, txHash } = await createCommitRevealClient(token.connect(secondAccount), { store }).commit(1);
+
+    expect(writes[0]).to.deep.include({ salt, blockNumber: null, txHash: null, status: CommitStatus.None });
+    expect(writes[writes.length - 1]).to.deep.include({ salt, blockNumber, txHash, status: CommitStatus.Waiting });
+  });
+
+  it("keeps the earlier commit when a new commit reverts", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    const { salt } = await client.commit(1);
+
+    await (await token.pause()).wait();
+
+    await expect(client.commit(2)).to.be.rejectedWith("Pausable: paused");
+    expect((await client.pendingCommit()).salt).to.eq(salt);
+  });
+
+  it("keeps the new commit when sending it times out", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+    const store = createMemoryCommitStore();
+    const client = createCommitRevealClient(token.connect(secondAccount), { store });
+
+    await client.commit(1);
+
+    // Broadcasts the commit, then fails like a provider that stopped waiting for it
+    const timingOutSigner = Object.create(secondAccount, {
+      sendTransaction: {
+        value: async (transaction) => {
+          await secondAccount.sendTransaction(transaction);
+
+          throw Object.assign(new Error("timeout"), { code: "TIMEOUT", reason: "timeout" });
+        }
+      }
+    });
+    const timingOutClient = createCommitRevealClient(token.connect(timingOutSigner), { store });
+
+    await expect(timingOutClient.commit(2)).to.be.rejectedWith("timeout");
+
+    const { tokenIds, salt, commitHash } = await client.pendingCommit();
+
+    expect(tokenIds).to.deep.eq(["2"]);
+    expect(await token.commitStatus(secondAccount.address)).to.have.property("status", CommitStatus.Waiting);
+    expect(commitHash).to.eq(hashIdsAndSalt(token.address, secondAccount.address, tokenIds, salt));
+
+    await mine(10);
+    await (await token.activatePresale()).wait();
+    await (await token.activatePublicSale()).wait();
+    await client.reveal();
+
+    expect(await token.ownerOf(2)).to.eq(secondAccount.address);
+  });
+
+  it("decodes require reasons from the revert data", async function () {
+    const { token, secondAccount } = await loadFixture(deployToken);
+
+    const error = await token.connect(secondAccount).transferFrom(secondAccount.address, token.address, 1).catch((e) => e);
+
+    expect(decodeContractError(token.interface, error).message).to.eq("ERC721: invalid token ID");
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { buildProofs } = require("../utils/whitelist");
+const {
+  deploymentPath,
+  readDeployment,
+  writeDeployment,
+  findLiveDeployment,
+  resolveContract,
+  deployAdvancedNft
+} = require("../utils/deployments");
+
+describe("Deployments", function () {
+  let dir;
+
+  async function getAccounts() {
+    const [owner, contributor1, contributor2] = await ethers.getSigners();
+    const whitelist = buildProofs([contributor1.address, contributor2.address]);
+
+    return { owner, contributor1, contributor2, whitelist };
+  }
+
+  function deployConfig({ owner, whitelist }, contributors) {
+    return {
+      merkleRoot: whitelist.root,
+      cap: 6,
+      ticketsCount: 2,
+      contributors,
+      provenanceHash: ethers.constants.HashZero,
+      placeholderURI: "",
+      royaltyReceiver: owner.address,
+      royaltyBasisPoints: 0
+    };
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  it("writes and reads records per network", async function () {
+    expect(readDeployment("sepolia", { dir })).to.eq(null);
+
+    writeDeployment("sepolia", { address: ethers.constants.AddressZero }, { dir });
+
+    expect(deploymentPath("sepolia", { dir })).to.eq(path.join(dir, "sepolia.json"));
+    expect(readDeployment("sepolia", { dir })).to.deep.eq({ address: ethers.constants.AddressZero });
+  });
+
+  it("treats records of contracts without code as missing", async function () {
+    const { owner } = await loadFixture(getAccounts);
+
+    writeDeployment("hardhat", { address: owner.address }, { dir });
+
+    expect(await findLiveDeployment(ethers.provider, "hardhat", { dir })).to.eq(null);
+  });
+
+  it("resolves the contract of scripts from the environment", async function () {
+    const { owner, contributor1 } = await loadFixture(getAccounts);
+
+    writeDeployment("sepolia", { address: owner.address, blockNumber: 42 }, { dir });
+
+    expect(resolveContract({ NETWORK: "sepolia" }, { dir })).to.deep.eq({ address: owner.address, fromBlock: 42 });
+    expect(resolveContract({ NETWORK: "sepolia", FROM_BLOCK: "7" }, { dir })).to.deep.eq({
+      address: owner.address,
+      fromBlock: 7
+    });
+    expect(resolveContract({ NETWORK: "sepolia", CONTRACT_ADDRESS: contributor1.address }, { dir })).to.deep.eq({
+      address: contributor1.address,
+      fromBlock: 0
+    });
+    expect(() => resolveContract({ NETWORK: "mainnet" }, { dir })).to.throw(
+      "CONTRACT_ADDRESS or NETWORK with a deployment record must be provided"
+    );
+  });
+
+  it("deploys, registers contributors and records every transaction", async function () {
+    const accounts = await loadFixture(getAccounts);
+    const { contributor1, contributor2 } = accounts;
+
+    const record = await deployAdvancedNft(ethers, "hardhat", deployConfig(accounts, [
+      { address: contributor1.address, shares: 3 },
+      { address: contributor2.address, shares: 1 }
+    ]), { dir });
+
+    const token = await ethers.getContractAt("AdvancedNft", record.address);
+
+    expect(readDeployment("hardhat", { dir })).to.deep.eq(record);
+    expect(record.contributorTxs.map(({ contributor, shares }) => [contributor, shares])).to.deep.eq([
+      [contributor1.address, 3],
+      [contributor2.address, 1]
+    ]);
+    expect(await token.shares(contributor1.address)).to.eq(3);
+    expect(await token.shares(contributor2.address)).to.eq(1);
+  });
+
+  it("resumes a deployment stopped by a failed contributor transaction", async function () {
+    const accounts = await loadFixture(getAccounts);
+    const { contributor1, contributor2 } = accounts;
+
+    await expect(deployAdvancedNft(ethers, "hardhat", deployConfig(accounts, [
+      { address: contributor1.address, shares: 3 },
+      { address: contributor2.address, shares: 0 }
+    ]), { dir })).to.be.rejected;
+
+    const stopped = readDeployment("hardhat", { dir });
+
+    expect(stopped.contributorTxs).to.have.length(1);
+
+    const record = await deployAdvancedNft(ethers, "hardhat", deployConfig(accounts, [
+      { address: contributor1.address, shares: 3 },
+      { address: contributor2.address, shares: 1 }
+    ]), { dir });
+
+    const token = await ethers.getContractAt("AdvancedNft", record.address);
+
+    expect(record.address).to.eq(stopped.address);
+    expect(record.contributorTxs.map(({ contributor }) => contributor)).to.deep.eq([
+      contributor1.address,
+      contributor2.address
+    ]);
+    expect(await token.shares(contributor1.address)).to.eq(3);
+    expect(await token.shares(contributor2.address)).to.eq(1);
+  });
+});
@@ -0,0 +1,158 @@
+const http = require("http");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { buildProofs, verifyProof } = require("../utils/whitelist");
+const { createCommitRevealClient } = require("../utils/commitReveal");
+const { createEligibilityService, createEligibilityServer } = require("../utils/eligibility");
+const { deployToken } = require("./fixtures");
+
+describe("Eligibility API", function () {
+  let server;
+  let baseUrl;
+
+  async function deployPricedToken() {
+    const fixture = await deployToken({
+      allowlist: ({ secondAccount, thirdAccount }) => [secondAccount.address, { address: thirdAccount.address, allowance: 2 }]
+    });
+
+    await (await fixture.token.setPresalePrice(ethers.utils.parseEther("0.1"))).wait();
+
+    return { ...fixture, rounds: [fixture.whitelist] };
+  }
+
+  async function startServer(token, rounds) {
+    server = createEligibilityServer(createEligibilityService(token, rounds));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  // `fetch` is not available on every Node version Hardhat supports
+  function getJson(path) {
+    return new Promise((resolve, reject) => {
+      http.get(`${baseUrl}${path}`, (response) => {
+        let data = "";
+
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          data += chunk;
+        });
+        response.on("end", () => resolve({ status: response.statusCode, body: JSON.parse(data) }));
+      }).on("error", reject);
+    });
+  }
+
+  async function getEligibility(address) {
+    return getJson(`/eligibility/${address}`);
+  }
+
+  afterEach(async function () {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+  });
+
+  it("returns the ticket and a proof matching the round root", async function () {
+    const { token, thirdAccount, rounds } = await loadFixture(deployPricedToken);
+    await startServer(token, rounds);
+
+    await (await token.activatePresale()).wait();
+
+    const { status, body } = await getEligibility(thirdAccount.address.toLowerCase());
+
+    expect(status).to.eq(200);
+    expect(body).to.deep.include({
+      address: thirdAccount.address,
+      stage: "PreSale",
+      paused: false,
+      price: ethers.utils.parseEther("0.1").toString(),
+      canMint: true,
+      pendingCommit: null
+    });
+    expect(body.tickets).to.have.length(1);
+    expect(body.tickets[0]).to.include({ round: 1, ticket: 2, allowance: 2, minted: 0, used: false });
+    expect(verifyProof(rounds[0].root, thirdAccount.address, 2, 2, body.tickets[0].proof)).to.eq(true);
+  });
+
+  it("reports a pending commit with the blocks left until reveal", async function () {
+    const { token, secondAccount, rounds } = await loadFixture(deployPricedToken);
+    await startServer(token, rounds);
+
+    await (await token.activatePresale()).wait();
+    await createCommitRevealClient(token.connect(secondAccount)).commit(1);
+    await mine(4);
+
+    const { body } = await getEligibility(secondAccount.address);
+    const committedAt = (await ethers.provider.getBlockNumber()) - 4;
+
+    expect(body.pendingCommit).to.deep.eq({
+      status: "Waiting",
+      revealableFromBlock: committedAt + 10,
+      revealableUntilBlock: committedAt + 7200,
+      blocksUntilReveal: 6
+    });
+
+    await mine(6);
+
+    expect((await getEligibility(secondAccount.address)).body.pendingCommit).to.include({
+      status: "Revealable",
+      blocksUntilReveal: 0
+    });
+  });
+
+  it("marks used tickets and clears revealed commits", async function () {
+    const { token, secondAccount, rounds } = await loadFixture(deployPricedToken);
+    await startServer(token, rounds);
+
+    const client = createCommitRevealClient(token.connect(secondAccount));
+
+    await (await token.activatePresale()).wait();
+    await client.commit(1);
+    await mine(10);
+    await client.reveal(rounds[0].proofs[secondAccount.address]);
+
+    const { body } = await getEligibility(secondAccount.address);
+
+    expect(body.tickets[0].used).to.eq(true);
+    expect(body.canMint).to.eq(false);
+    expect(body.pendingCommit).to.eq(null);
+  });
+
+  it("lets addresses without a ticket mint only in the public sale", async function () {
+    const { token, fourthAccount, rounds } = await loadFixture(deployPricedToken);
+    await startServer(token, rounds);
+
+    await (await token.activatePresale()).wait();
+
+    expect((await getEligibility(fourthAccount.address)).body).to.deep.include({ canMint: false, tickets: [] });
+
+    await (await token.activatePublicSale()).wait();
+
+    expect((await getEligibility(fourthAccount.address)).body).to.include({
+      stage: "PublicSale",
+      canMint: true,
+      price: ethers.utils.parseEther("1").toString()
+    });
+  });
+
+  it("rejects invalid addresses and unknown paths", async function () {
+    const { token, rounds } = await loadFixture(deployPricedToken);
+    await startServer(token, rounds);
+
+    expect(await getEligibility("0x1234")).to.deep.eq({ status: 400, body: { error: "Invalid address: 0x1234" } });
+    expect(await getJson("/tickets")).to.deep.eq({ status: 404, body: { error: "Not found" } });
+  });
+
+  it("refuses whitelists that do not match the contract roots", async function () {
+    const { token, fourthAccount, rounds } = await loadFixture(deployPricedToken);
+
+    await expect(createEligibilityService(token, rounds).verifyRoots()).to.be.fulfilled;
+    await expect(
+      createEligibilityService(token, [buildProofs([fourthAccount.address])]).verifyRoots()
+    ).to.be.rejectedWith(/Merkle root of allowlist round 1/);
+    await expect(
+      createEligibilityService(token, [{ ...rounds[0], round: 2 }]).verifyRoots()
+    ).to.be.rejectedWith("Allowlist round 2 does not exist on the contract");
+  });
+});
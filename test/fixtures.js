@@ -0,0 +1,57 @@
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildProofs } = require("../utils/whitelist");
+const { Stages } = require("../utils/contract");
+const { createCommitRevealClient } = require("../utils/commitReveal");
+
+// Shared fixtures of the helper, task and script tests. `loadFixture` needs a
+// fixture without arguments, so tests that deploy with other options wrap
+// `deployToken` in a named fixture of their own.
+
+// Deploys AdvancedNft with a cap of 6 tokens. Allowlist round 1 holds the
+// second and third accounts, or the entries returned by `allowlist(accounts)`,
+// and as many tickets unless `ticketsCount` is given. `stage` moves the sale on
+// to the presale or the public sale.
+async function deployToken({ allowlist, ticketsCount, stage = Stages.Inactive } = {}) {
+  const [owner, secondAccount, thirdAccount, fourthAccount] = await ethers.getSigners();
+  const accounts = { owner, secondAccount, thirdAccount, fourthAccount };
+
+  const whitelist = buildProofs(allowlist ? allowlist(accounts) : [secondAccount.address, thirdAccount.address]);
+
+  const TokenFactory = await ethers.getContractFactory("AdvancedNft");
+  const token = await TokenFactory.deploy(
+    whitelist.root,
+    6,
+    ticketsCount === undefined ? whitelist.ticketsCount : ticketsCount,
+    ethers.constants.HashZero,
+    "",
+    owner.address,
+    0
+  );
+  const { blockNumber } = await token.deployTransaction.wait();
+
+  if (stage >= Stages.PreSale) {
+    await (await token.activatePresale()).wait();
+  }
+
+  if (stage >= Stages.PublicSale) {
+    await (await token.activatePublicSale()).wait();
+  }
+
+  return { ...accounts, token, whitelist, deployBlock: blockNumber };
+}
+
+// Commits `tokenIds` for `account` and reveals them once the reveal delay has
+// passed, with the presale ticket and proof in `revealArgs`
+async function commitAndReveal(token, account, tokenIds, revealArgs) {
+  const client = createCommitRevealClient(token.connect(account));
+
+  await client.commit(tokenIds);
+  await mine(10);
+
+  return client.reveal(revealArgs);
+}
+
+module.exports = {
+  deployToken,
+  commitAndReveal
+};
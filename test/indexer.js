@@ -0,0 +1,166 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { buildProofs } = require("../utils/whitelist");
+const { Stages } = require("../utils/contract");
+const { createCommitRevealClient } = require("../utils/commitReveal");
+const { createIndexer, createJsonIndexStore, createMemoryIndexStore } = require("../utils/indexer");
+const { deployToken, commitAndReveal } = require("./fixtures");
+
+describe("Event indexer", function () {
+  async function deployPresaleToken() {
+    return deployToken({ stage: Stages.PreSale });
+  }
+
+  it("indexes used tickets and mints from the deployment block", async function () {
+    const { token, secondAccount, whitelist, deployBlock } = await loadFixture(deployPresaleToken);
+
+    await commitAndReveal(token, secondAccount, 3, whitelist.proofs[secondAccount.address]);
+
+    const indexer = createIndexer(token, { fromBlock: deployBlock });
+    await indexer.sync();
+
+    expect(indexer.usedTickets().map(({ round, ticket, minter, quantity }) => [round, ticket, minter, quantity])).to.deep.eq([
+      [1, 1, secondAccount.address, 1]
+    ]);
+    expect(indexer.mints().map(({ tokenId, minter }) => [tokenId, minter])).to.deep.eq([
+      ["3", secondAccount.address]
+    ]);
+    expect(indexer.stageHistory().map(({ from, to }) => [from, to])).to.deep.eq([[0, 1]]);
+    expect(indexer.allowlistRounds()).to.deep.eq({ 1: { merkleRoot: whitelist.root, ticketsCount: 2 } });
+  });
+
+  it("reports tickets as used once their whole allowance is minted", async function () {
+    const { token, secondAccount, thirdAccount, deployBlock } = await loadFixture(deployPresaleToken);
+    const round = buildProofs([{ address: secondAccount.address, allowance: 3 }, thirdAccount.address], { round: 2 });
+
+    await (await token.addAllowlistRound(round.root, 2)).wait();
+    await commitAndReveal(token, secondAccount, 1, round.proofs[secondAccount.address]);
+
+    const indexer = createIndexer(token, { fromBlock: deployBlock });
+    await indexer.sync();
+
+    expect(indexer.usedTickets()).to.deep.eq([]);
+
+    await commitAndReveal(token, secondAccount, [2, 3], round.proofs[secondAccount.address]);
+    await indexer.sync();
+
+    expect(indexer.ticketMints().map(({ quantity, remaining }) => [quantity, remaining])).to.deep.eq([[1, 2], [2, 0]]);
+    expect(indexer.usedTickets().map(({ round, ticket, quantity }) => [round, ticket, quantity])).to.deep.eq([[2, 1, 3]]);
+  });
+
+  it("follows the root and tickets count of updated rounds", async function () {
+    const { token, owner, secondAccount, thirdAccount, whitelist, deployBlock } = await loadFixture(deployPresaleToken);
+    const fixedWhitelist = buildProofs([secondAccount.address, thirdAccount.address, owner.address]);
+
+    await (await token.updateAllowlistRoot(1, fixedWhitelist.root, fixedWhitelist.ticketsCount)).wait();
+
+    const indexer = createIndexer(token, { fromBlock: deployBlock });
+    await indexer.sync();
+
+    expect(fixedWhitelist.root).to.not.eq(whitelist.root);
+    expect(indexer.allowlistRounds()).to.deep.eq({ 1: { merkleRoot: fixedWhitelist.root, ticketsCount: 3 } });
+  });
+
+  it("reports pending commits older than the given number of blocks", async function () {
+    const { token, secondAccount, thirdAccount, whitelist, deployBlock } = await loadFixture(deployPresaleToken);
+
+    await commitAndReveal(token, secondAccount, 3, whitelist.proofs[secondAccount.address]);
+    await createCommitRevealClient(token.connect(thirdAccount)).commit(4);
+    await mine(5);
+
+    const indexer = createIndexer(token, { fromBlock: deployBlock });
+    await indexer.sync();
+
+    expect(indexer.pendingCommits().map(({ committer }) => committer)).to.deep.eq([thirdAccount.address]);
+    expect(indexer.pendingCommits({ olderThanBlocks: 5 })).to.deep.eq([]);
+
+    await mine(1);
+    await indexer.sync();
+
+    expect(indexer.pendingCommits({ olderThanBlocks: 5 }).map(({ committer }) => committer)).to.deep.eq([
+      thirdAccount.address
+    ]);
+  });
+
+  it("does not report cancelled commits as pending", async function () {
+    const { token, thirdAccount, deployBlock } = await loadFixture(deployPresaleToken);
+    const client = createCommitRevealClient(token.connect(thirdAccount));
+
+    await (await token.setRevealWindow(10, 10)).wait();
+    await (await token.setEscrowMode(true)).wait();
+    await (await token.activatePublicSale()).wait();
+    await client.commit(4);
+    await mine(11);
+    await client.cancelCommit();
+
+    const indexer = createIndexer(token, { fromBlock: deployBlock });
+    await indexer.sync();
+
+    expect(indexer.commits()[0].cancelledAtBlock).to.eq(await ethers.provider.getBlockNumber());
+    expect(indexer.pendingCommits()).to.deep.eq([]);
+  });
+
+  it("tracks the current holders of every role", async function () {
+    const { token, owner, secondAccount, thirdAccount, deployBlock } = await loadFixture(deployPresaleToken);
+    const SALE_MANAGER_ROLE = ethers.utils.id("SALE_MANAGER_ROLE");
+    const TREASURER_ROLE = ethers.utils.id("TREASURER_ROLE");
+
+    await (await token.grantRole(SALE_MANAGER_ROLE, secondAccount.address)).wait();
+    await (await token.grantRole(TREASURER_ROLE, thirdAccount.address)).wait();
+    await (await token.revokeRole(TREASURER_ROLE, owner.address)).wait();
+
+    const indexer = createIndexer(token, { fromBlock: deployBlock });
+    await indexer.sync();
+
+    const holders = indexer.roleHolders();
+
+    expect(holders[SALE_MANAGER_ROLE]).to.deep.eq([owner.address, secondAccount.address]);
+    expect(holders[TREASURER_ROLE]).to.deep.eq([thirdAccount.address]);
+    expect(holders[ethers.utils.id("METADATA_ADMIN_ROLE")]).to.deep.eq([owner.address]);
+  });
+
+  it("resumes from the last processed block stored in the index file", async function () {
+    const { token, secondAccount, thirdAccount, whitelist, deployBlock } = await loadFixture(deployPresaleToken);
+    const indexFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "index-")), "index.json");
+
+    await commitAndReveal(token, secondAccount, 3, whitelist.proofs[secondAccount.address]);
+
+    const { toBlock } = await createIndexer(token, {
+      store: createJsonIndexStore(indexFile),
+      fromBlock: deployBlock
+    }).sync();
+
+    await commitAndReveal(token, thirdAccount, 4, whitelist.proofs[thirdAccount.address]);
+
+    const indexer = createIndexer(token, { store: createJsonIndexStore(indexFile), fromBlock: deployBlock });
+    const { fromBlock } = await indexer.sync();
+
+    expect(fromBlock).to.eq(toBlock + 1);
+    expect(indexer.usedTickets().map(({ ticket }) => ticket)).to.deep.eq([1, 2]);
+  });
+
+  it("rolls back events of reorganized blocks", async function () {
+    const { token, secondAccount, thirdAccount, whitelist, deployBlock } = await loadFixture(deployPresaleToken);
+    const indexer = createIndexer(token, { store: createMemoryIndexStore(), fromBlock: deployBlock });
+
+    const snapshotId = await ethers.provider.send("evm_snapshot", []);
+
+    await commitAndReveal(token, secondAccount, 3, whitelist.proofs[secondAccount.address]);
+    await indexer.sync();
+    expect(indexer.usedTickets()).to.have.length(1);
+
+    await ethers.provider.send("evm_revert", [snapshotId]);
+    await commitAndReveal(token, thirdAccount, 4, whitelist.proofs[thirdAccount.address]);
+
+    const { rolledBackEvents } = await indexer.sync();
+
+    expect(rolledBackEvents).to.be.greaterThan(0);
+    expect(indexer.usedTickets().map(({ ticket, minter }) => [ticket, minter])).to.deep.eq([
+      [2, thirdAccount.address]
+    ]);
+    expect(Object.values(indexer.owners())).to.deep.eq([thirdAccount.address]);
+  });
+});
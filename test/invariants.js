@@ -0,0 +1,440 @@
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { buildProofs } = require("../utils/whitelist");
+const { createRandom, pick } = require("../utils/random");
+const { encodeBatch } = require("../utils/multicall");
+const { CommitStatus, Stages, decodeContractError } = require("../utils/contract");
+const { hashIdsAndSalt, randomSalt } = require("../utils/commitReveal");
+
+// Runs random sequences of sale actions across both allowlist rounds, including
+// escrowed commits, burns and redemptions, and checks the sale invariants after
+// every step. Sequences are replayed from their seed; set INVARIANT_SEEDS to a
+// comma separated list to run others, and INVARIANT_STEPS to make them longer.
+describe("Sale invariants", function () {
+  const CAP = 12;
+  const PRESALE_PRICE = ethers.utils.parseEther("0.01");
+  const PUBLIC_PRICE = ethers.utils.parseEther("0.02");
+
+  const SEEDS = (process.env.INVARIANT_SEEDS || "1,2,3").split(",").map(Number);
+  const STEPS = Number(process.env.INVARIANT_STEPS || 60);
+
+  // Reverts expected from random actions, anything else fails the run
+  const EXPECTED_ERRORS = new Set([
+    "FunctionInvalidAtThisStage",
+    "MustCommitIdBefore",
+    "AfterCommitTimeoutForBlocks",
+    "CommitExpired",
+    "TicketAlreadyUsed",
+    "AllowanceExceeded",
+    "TokenIdAlreadyMinted",
+    "ValueBelowMintPrice",
+    "NoEscrowedDeposit",
+    "CommitNotCancellable",
+    "AmountExceedsReleasable",
+    "AmountExceedsUnescrowedBalance",
+    "NotTokenOwnerOrApproved",
+    "ERC721: caller is not token owner or approved",
+    "ERC721: transfer from incorrect owner",
+    "ERC721: invalid token ID"
+  ]);
+
+  async function deployToken() {
+    const [owner, contributor1, contributor2, ...minters] = await ethers.getSigners();
+
+    // Half the allowlisted minters can mint two tokens with their ticket, and
+    // two minters hold a ticket in both rounds
+    const rounds = [minters.slice(0, 6), minters.slice(4, 9)].map((allowlisted, idx) => buildProofs(
+      allowlisted.map(({ address }, position) => ({ address, allowance: position % 2 === 0 ? 1 : 2 })),
+      { round: idx + 1 }
+    ));
+
+    const TokenFactory = await ethers.getContractFactory("AdvancedNft");
+    const token = await TokenFactory.deploy(
+      rounds[0].root,
+      CAP,
+      rounds[0].ticketsCount,
+      ethers.constants.HashZero,
+      "",
+      owner.address,
+      0
+    );
+
+    await (await token.addContributor(contributor1.address, 3)).wait();
+    await (await token.addContributor(contributor2.address, 1)).wait();
+    await (await token.setPresalePrice(PRESALE_PRICE)).wait();
+    await (await token.setPublicSalePrice(PUBLIC_PRICE)).wait();
+    await (await token.addAllowlistRound(rounds[1].root, rounds[1].ticketsCount)).wait();
+    await (await token.setEscrowMode(true)).wait();
+    await (await token.setRedemptionsOpen(true)).wait();
+    // A short window so that random block mining both reaches and passes it
+    await (await token.setRevealWindow(3, 60)).wait();
+
+    return { token, contributors: [contributor1, contributor2], minters: minters.slice(0, 10), rounds };
+  }
+
+  // Sends a transaction, returning its receipt or the name of the error it
+  // reverted with
+  async function attempt(token, send) {
+    try {
+      return { receipt: await (await send()).wait() };
+    } catch (error) {
+      const decoded = decodeContractError(token.interface, error);
+      const errorName = decoded.name === "Error" ? decoded.message : decoded.name;
+
+      if (!EXPECTED_ERRORS.has(errorName)) {
+        throw decoded;
+      }
+
+      return { errorName };
+    }
+  }
+
+  function createHarness({ token, contributors, minters, rounds }, random) {
+    const model = {
+      revenue: ethers.constants.Zero,
+      withdrawn: ethers.constants.Zero,
+      escrowed: new Map(),
+      minted: new Set(),
+      burned: new Set(),
+      ticketMints: new Map(),
+      usedTickets: new Set(),
+      commits: new Map(),
+      revealedCommits: []
+    };
+
+    function escrowedOf(address) {
+      return model.escrowed.get(address) || ethers.constants.Zero;
+    }
+
+    function totalEscrowed() {
+      return [...model.escrowed.values()].reduce((sum, deposit) => sum.add(deposit), ethers.constants.Zero);
+    }
+
+    function liveTokenIds() {
+      return [...model.minted].filter((tokenId) => !model.burned.has(tokenId));
+    }
+
+    function recordMints(receipt) {
+      for (const { event, args } of receipt.events) {
+        if (event === "Transfer" && args.from === ethers.constants.AddressZero) {
+          const tokenId = args.tokenId.toNumber();
+
+          expect(model.minted.has(tokenId), `token ${tokenId} minted twice`).to.eq(false);
+          model.minted.add(tokenId);
+        }
+
+        if (event === "TicketUsed") {
+          const key = `${args.round}:${args.ticket}`;
+          const { allowance } = rounds[args.round - 1].proofs[args.minter];
+          const minted = (model.ticketMints.get(key) || 0) + args.quantity.toNumber();
+
+          expect(model.usedTickets.has(key), `ticket ${key} used after its allowance was minted`).to.eq(false);
+          expect(minted, `ticket ${key} minted more than its allowance`).to.be.at.most(allowance);
+          expect(args.remaining.toNumber(), `ticket ${key} remaining allowance`).to.eq(allowance - minted);
+
+          model.ticketMints.set(key, minted);
+
+          if (minted === allowance) {
+            model.usedTickets.add(key);
+          }
+        }
+      }
+    }
+
+    const actions = {
+      // Public sale commits in escrow mode deposit the price, sometimes too little
+      async commit() {
+        const minter = pick(random, minters);
+        const quantity = 1 + Math.floor(random() * 2);
+        const tokenIds = Array.from({ length: quantity }, () => 1 + Math.floor(random() * CAP));
+        const salt = randomSalt();
+        const deposit = (await token.stage()) === Stages.PublicSale && random() < 0.5 ?
+          (await token.currentPrice()).mul(random() < 0.2 ? 0 : quantity) :
+          ethers.constants.Zero;
+
+        const { receipt } = await attempt(token, () =>
+          token.connect(minter).commitTokenId(hashIdsAndSalt(token.address, minter.address, tokenIds, salt), {
+            value: deposit
+          })
+        );
+
+        if (receipt) {
+          // A new commit replaces the revealed one of the same minter
+          model.revealedCommits = model.revealedCommits.filter((commit) => commit.minter !== minter);
+          model.commits.set(minter.address, { minter, tokenIds, salt });
+          model.escrowed.set(minter.address, escrowedOf(minter.address).add(deposit));
+        }
+      },
+
+      async reveal() {
+        if (model.commits.size === 0) {
+          return;
+        }
+
+        const { minter, tokenIds, salt } = pick(random, [...model.commits.values()]);
+        const stage = await token.stage();
+        const price = (await token.currentPrice()).mul(tokenIds.length);
+
+        let send;
+
+        if (stage === Stages.PreSale) {
+          const tickets = rounds.map(({ proofs }) => proofs[minter.address]).filter(Boolean);
+
+          if (tickets.length === 0) {
+            return;
+          }
+
+          const { round, ticket, allowance, proof } = pick(random, tickets);
+
+          send = () => token.connect(minter).presaleMint(
+            round, ticket, allowance, proof, tokenIds, salt, { value: price }
+          );
+        } else {
+          const deposit = escrowedOf(minter.address);
+          const value = price.gt(deposit) ? price.sub(deposit) : ethers.constants.Zero;
+
+          send = () => token.connect(minter).publicMint(tokenIds, salt, { value });
+        }
+
+        const { receipt, errorName } = await attempt(token, send);
+
+        // Expired commits can only be cancelled, stop revealing them
+        if (errorName === "CommitExpired") {
+          model.commits.delete(minter.address);
+        }
+
+        if (receipt) {
+          recordMints(receipt);
+          model.revenue = model.revenue.add(price);
+          model.commits.delete(minter.address);
+          model.revealedCommits.push({ minter, tokenIds, salt });
+
+          if (stage === Stages.PublicSale) {
+            model.escrowed.delete(minter.address);
+          }
+        }
+      },
+
+      // A revealed commit must never mint again, even after the stage changed
+      async replayRevealedCommit() {
+        if (model.revealedCommits.length === 0) {
+          return;
+        }
+
+        const { minter, tokenIds, salt } = pick(random, model.revealedCommits);
+
+        if (model.commits.has(minter.address)) {
+          return;
+        }
+
+        const price = (await token.currentPrice()).mul(tokenIds.length);
+        const { receipt } = await attempt(token, () =>
+          token.connect(minter).publicMint(tokenIds, salt, { value: price })
+        );
+
+        expect(receipt, `revealed commit of ${minter.address} was reused`).to.eq(undefined);
+      },
+
+      // Often before the reveal window has passed
+      async cancelCommit() {
+        const minter = pick(random, minters);
+        const { receipt } = await attempt(token, () => token.connect(minter).cancelCommit());
+
+        if (receipt) {
+          model.commits.delete(minter.address);
+          model.escrowed.delete(minter.address);
+        }
+      },
+
+      async mineBlocks() {
+        await mine(1 + Math.floor(random() * 12));
+      },
+
+      // Lets pending commits expire so that their deposits can be cancelled
+      async expireCommits() {
+        await mine((await token.CAN_REVEAL_UNTIL_BLOCKS()).toNumber() + 1);
+      },
+
+      async advanceStage() {
+        const stage = await token.stage();
+
+        if (stage === Stages.Inactive) {
+          await (await token.activatePresale()).wait();
+        } else if (stage === Stages.PreSale && random() < 0.2) {
+          await (await token.activatePublicSale()).wait();
+        }
+      },
+
+      async transfer() {
+        if (model.minted.size === 0) {
+          return;
+        }
+
+        // Often not sent by the token holder, or for a burned token
+        const from = pick(random, minters);
+        const to = pick(random, minters);
+        const tokenId = pick(random, [...model.minted]);
+
+        await attempt(token, () => token.connect(from).transferFrom(from.address, to.address, tokenId));
+      },
+
+      async multicall() {
+        const from = pick(random, minters);
+        const owned = [];
+
+        for (const tokenId of liveTokenIds()) {
+          if ((await token.ownerOf(tokenId)) === from.address) {
+            owned.push(tokenId);
+          }
+        }
+
+        if (owned.length === 0) {
+          return;
+        }
+
+        const operations = owned.map((tokenId) => ({
+          method: "transferFrom",
+          args: [from.address, pick(random, minters).address, tokenId]
+        }));
+
+        await attempt(token, () => token.connect(from).multicall(encodeBatch(token.interface, operations)));
+      },
+
+      // Burns or redeems a token, sometimes not held by the sender
+      async burn() {
+        const live = liveTokenIds();
+
+        if (live.length === 0) {
+          return;
+        }
+
+        const tokenId = pick(random, live);
+        const tokenOwner = await token.ownerOf(tokenId);
+        const holder = minters.find(({ address }) => address === tokenOwner);
+        const from = holder && random() < 0.75 ? holder : pick(random, minters);
+        const method = random() < 0.5 ? "burn" : "redeem";
+
+        const { receipt } = await attempt(token, () => token.connect(from)[method](tokenId));
+
+        if (receipt) {
+          model.burned.add(tokenId);
+        }
+      },
+
+      // Sometimes asks for more than is releasable
+      async withdraw() {
+        const contributor = pick(random, contributors);
+        const releasable = await token.releasable(contributor.address);
+        const amount = random() < 0.2 ? releasable.add(1) : releasable.mul(1 + Math.floor(random() * 4)).div(4);
+
+        if (amount.isZero()) {
+          return;
+        }
+
+        const { receipt } = await attempt(token, () => token.connect(contributor).withdraw(amount));
+
+        if (receipt) {
+          model.withdrawn = model.withdrawn.add(amount);
+        }
+      }
+    };
+
+    async function checkInvariants() {
+      const [totalMinted, totalSupply, remainingSupply, balance, escrowed, ticketsRemaining, stage] = await Promise.all([
+        token.totalMinted(),
+        token.totalSupply(),
+        token.remainingSupply(),
+        ethers.provider.getBalance(token.address),
+        token.totalEscrowed(),
+        Promise.all(rounds.map(({ round }) => token.ticketsRemaining(round))),
+        token.stage()
+      ]);
+
+      expect(totalMinted.toNumber(), "minted more than the cap").to.be.at.most(CAP);
+      expect(totalMinted.toNumber(), "total minted differs from minted tokens").to.eq(model.minted.size);
+      expect(totalSupply.toNumber(), "total supply differs from unburned tokens").to.eq(
+        model.minted.size - model.burned.size
+      );
+      expect(remainingSupply.toNumber(), "burns freed supply").to.eq(CAP - model.minted.size);
+      expect(escrowed, "escrowed total differs from deposits").to.eq(totalEscrowed());
+      expect(balance, "balance differs from revenue minus withdrawals plus deposits").to.eq(
+        model.revenue.sub(model.withdrawn).add(escrowed)
+      );
+
+      rounds.forEach(({ round, ticketsCount }, idx) => {
+        const used = [...model.usedTickets].filter((key) => key.startsWith(`${round}:`)).length;
+
+        expect(ticketsRemaining[idx].toNumber(), `tickets remaining in round ${round} differ from used tickets`).to.eq(
+          ticketsCount - used
+        );
+      });
+
+      if (totalMinted.toNumber() === CAP) {
+        expect(stage).to.eq(Stages.SoldOut);
+      }
+
+      for (const { minter } of model.revealedCommits) {
+        if (!model.commits.has(minter.address)) {
+          const [status] = await token.commitStatus(minter.address);
+
+          expect(status, `commit of ${minter.address} is no longer revealed`).to.eq(CommitStatus.Revealed);
+        }
+      }
+    }
+
+    return { actions, checkInvariants };
+  }
+
+  // Commits and reveals are picked more often so that sequences reach a sell out
+  const ACTION_WEIGHTS = {
+    commit: 4,
+    reveal: 4,
+    replayRevealedCommit: 1,
+    cancelCommit: 1,
+    mineBlocks: 3,
+    expireCommits: 1,
+    advanceStage: 1,
+    transfer: 1,
+    multicall: 1,
+    burn: 1,
+    withdraw: 2
+  };
+
+  function pickAction(random) {
+    const total = Object.values(ACTION_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+    let roll = random() * total;
+
+    for (const [name, weight] of Object.entries(ACTION_WEIGHTS)) {
+      roll -= weight;
+
+      if (roll < 0) {
+        return name;
+      }
+    }
+
+    return "commit";
+  }
+
+  for (const seed of SEEDS) {
+    it(`holds for ${STEPS} random actions with seed ${seed}`, async function () {
+      const deployment = await loadFixture(deployToken);
+      const random = createRandom(seed);
+      const { actions, checkInvariants } = createHarness(deployment, random);
+      const history = [];
+
+      for (let step = 0; step < STEPS; step++) {
+        const name = pickAction(random);
+
+        history.push(name);
+
+        try {
+          await actions[name]();
+          await checkInvariants();
+        } catch (error) {
+          error.message = `${error.message}\n    after actions: ${history.join(", ")}`;
+          throw error;
+        }
+      }
+    });
+  }
+});
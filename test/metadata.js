@@ -0,0 +1,64 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { utils } = require("ethers");
+const { listImages, computeProvenanceHash, writeMetadataDirectory } = require("../utils/metadata");
+
+describe("Metadata builder", function () {
+  function createImagesDir(fileNames) {
+    const imagesDir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+
+    for (const fileName of fileNames) {
+      fs.writeFileSync(path.join(imagesDir, fileName), `image ${fileName}`);
+    }
+
+    return imagesDir;
+  }
+
+  it("orders images by name in natural order and skips other files", function () {
+    const imagesDir = createImagesDir(["10.png", "2.png", "1.png", "notes.txt"]);
+
+    expect(listImages(imagesDir).map((imagePath) => path.basename(imagePath))).to.deep.eq([
+      "1.png",
+      "2.png",
+      "10.png"
+    ]);
+  });
+
+  it("writes one metadata file per token", function () {
+    const imagesDir = createImagesDir(["1.png", "2.png"]);
+    const outDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "metadata-")), "out");
+
+    const { count } = writeMetadataDirectory(imagesDir, outDir, {
+      name: "Advanced NFT",
+      description: "test",
+      imageBaseURI: "ipfs://images/"
+    });
+
+    expect(count).to.eq(2);
+    expect(JSON.parse(fs.readFileSync(path.join(outDir, "2"), "utf8"))).to.deep.eq({
+      name: "Advanced NFT #2",
+      description: "test",
+      image: "ipfs://images/2.png"
+    });
+  });
+
+  it("computes the provenance hash from image hashes in token order", function () {
+    const imagesDir = createImagesDir(["1.png", "2.png"]);
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "metadata-"));
+
+    const { provenanceHash } = writeMetadataDirectory(imagesDir, outDir, {
+      name: "Advanced NFT",
+      description: "",
+      imageBaseURI: "ipfs://images/"
+    });
+
+    const imageHashes = ["1.png", "2.png"].map(
+      (fileName) => utils.sha256(utils.toUtf8Bytes(`image ${fileName}`))
+    );
+
+    expect(provenanceHash).to.eq(computeProvenanceHash(imageHashes));
+    expect(provenanceHash).not.to.eq(computeProvenanceHash([...imageHashes].reverse()));
+  });
+});
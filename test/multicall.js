@@ -0,0 +1,68 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { Stages } = require("../utils/contract");
+const { encodeBatch, decodeBatchResults, sendBatch } = require("../utils/multicall");
+const { deployToken, commitAndReveal } = require("./fixtures");
+
+describe("Multicall helper", function () {
+  async function deployTokenWithMintedTokens() {
+    const fixture = await deployToken({ stage: Stages.PublicSale });
+
+    for (const tokenId of [1, 2, 3]) {
+      await commitAndReveal(fixture.token, fixture.secondAccount, tokenId);
+    }
+
+    return fixture;
+  }
+
+  it("encodes safeTransferFrom overloads by number of arguments", async function () {
+    const { token, secondAccount, thirdAccount } = await loadFixture(deployTokenWithMintedTokens);
+
+    const [plainCall, dataCall] = encodeBatch(token.interface, [
+      { method: "safeTransferFrom", args: [secondAccount.address, thirdAccount.address, 1] },
+      { method: "safeTransferFrom", args: [secondAccount.address, thirdAccount.address, 2, "0x"] }
+    ]);
+
+    expect(plainCall.slice(0, 10)).to.eq(
+      token.interface.getSighash("safeTransferFrom(address,address,uint256)")
+    );
+    expect(dataCall.slice(0, 10)).to.eq(
+      token.interface.getSighash("safeTransferFrom(address,address,uint256,bytes)")
+    );
+  });
+
+  it("rejects operations that can not be batched", async function () {
+    const { token } = await loadFixture(deployTokenWithMintedTokens);
+
+    expect(() => encodeBatch(token.interface, [{ method: "pause", args: [] }])).to.throw(/can not be batched/);
+    expect(() => encodeBatch(token.interface, [])).to.throw(/At least one operation/);
+  });
+
+  it("sends a batch and decodes its results", async function () {
+    const { token, secondAccount, thirdAccount } = await loadFixture(deployTokenWithMintedTokens);
+
+    const operations = [
+      { method: "transferFrom", args: [secondAccount.address, thirdAccount.address, 1] },
+      { method: "safeTransferFrom", args: [secondAccount.address, thirdAccount.address, 2] },
+      { method: "approve", args: [thirdAccount.address, 3] }
+    ];
+
+    const { results } = await sendBatch(token.connect(secondAccount), operations);
+
+    expect(results.map((result) => result.length)).to.deep.eq([0, 0, 0]);
+    expect(await token.ownerOf(1)).to.eq(thirdAccount.address);
+    expect(await token.ownerOf(2)).to.eq(thirdAccount.address);
+    expect(await token.getApproved(3)).to.eq(thirdAccount.address);
+  });
+
+  it("decodes results returned by a simulated batch", async function () {
+    const { token, secondAccount, thirdAccount } = await loadFixture(deployTokenWithMintedTokens);
+
+    const operations = [{ method: "setApprovalForAll", args: [thirdAccount.address, true] }];
+    const results = await token.connect(secondAccount).callStatic.multicall(
+      encodeBatch(token.interface, operations)
+    );
+
+    expect(decodeBatchResults(token.interface, operations, results)).to.have.lengthOf(1);
+  });
+});
@@ -0,0 +1,127 @@
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { Stages } = require("../utils/contract");
+const { createIndexer, createMemoryIndexStore } = require("../utils/indexer");
+const { createRedemptionListener } = require("../utils/redemptions");
+const { deployToken, commitAndReveal } = require("./fixtures");
+
+describe("Redemption listener", function () {
+  async function deployTokenWithMintedTokens() {
+    const fixture = await deployToken({ stage: Stages.PublicSale });
+    const { token, secondAccount, thirdAccount } = fixture;
+
+    for (const [account, tokenId] of [[secondAccount, 1], [secondAccount, 2], [thirdAccount, 3]]) {
+      await commitAndReveal(token, account, tokenId);
+    }
+
+    await (await token.setRedemptionsOpen(true)).wait();
+
+    return fixture;
+  }
+
+  function recordRedemptions(handled) {
+    return async ({ tokenId, redeemer }) => {
+      handled.push([tokenId, redeemer]);
+    };
+  }
+
+  it("handles redemptions once they are confirmed", async function () {
+    const { token, secondAccount, deployBlock } = await loadFixture(deployTokenWithMintedTokens);
+    const handled = [];
+    const listener = createRedemptionListener(token, {
+      fromBlock: deployBlock,
+      confirmations: 3,
+      onRedemption: recordRedemptions(handled)
+    });
+
+    await (await token.connect(secondAccount).redeem(2)).wait();
+
+    expect(await listener.poll()).to.deep.eq([]);
+
+    await mine(2);
+
+    const fulfilled = await listener.poll();
+
+    expect(fulfilled.map(({ tokenId }) => tokenId)).to.deep.eq(["2"]);
+    expect(handled).to.deep.eq([["2", secondAccount.address]]);
+
+    await mine(5);
+
+    expect(await listener.poll()).to.deep.eq([]);
+    expect(handled).to.have.length(1);
+  });
+
+  it("fulfills redemptions by an approved operator to the token holder", async function () {
+    const { token, secondAccount, thirdAccount, deployBlock } = await loadFixture(deployTokenWithMintedTokens);
+    const handled = [];
+    const listener = createRedemptionListener(token, {
+      fromBlock: deployBlock,
+      confirmations: 1,
+      onRedemption: async ({ tokenId, redeemer, operator }) => {
+        handled.push([tokenId, redeemer, operator]);
+      }
+    });
+
+    await (await token.connect(secondAccount).setApprovalForAll(thirdAccount.address, true)).wait();
+    await (await token.connect(thirdAccount).redeem(1)).wait();
+    await listener.poll();
+
+    expect(handled).to.deep.eq([["1", secondAccount.address, thirdAccount.address]]);
+  });
+
+  it("does not handle redemptions again after a restart", async function () {
+    const { token, secondAccount, thirdAccount, deployBlock } = await loadFixture(deployTokenWithMintedTokens);
+    const handledStore = createMemoryIndexStore();
+    const handled = [];
+    const options = { fromBlock: deployBlock, confirmations: 1, handledStore, onRedemption: recordRedemptions(handled) };
+
+    await (await token.connect(secondAccount).redeem(1)).wait();
+    await createRedemptionListener(token, options).poll();
+
+    await (await token.connect(thirdAccount).redeem(3)).wait();
+    await createRedemptionListener(token, options).poll();
+
+    expect(handled).to.deep.eq([["1", secondAccount.address], ["3", thirdAccount.address]]);
+  });
+
+  it("retries redemptions whose handler failed", async function () {
+    const { token, secondAccount, deployBlock } = await loadFixture(deployTokenWithMintedTokens);
+    let failures = 1;
+    const handled = [];
+    const listener = createRedemptionListener(token, {
+      fromBlock: deployBlock,
+      confirmations: 1,
+      onRedemption: async (redemption) => {
+        if (failures-- > 0) {
+          throw new Error("Shipping API is down");
+        }
+
+        handled.push(redemption.tokenId);
+      }
+    });
+
+    await (await token.connect(secondAccount).redeem(1)).wait();
+
+    await expect(listener.poll()).to.be.rejectedWith("Shipping API is down");
+    await listener.poll();
+
+    expect(handled).to.deep.eq(["1"]);
+  });
+
+  it("does not report burned tokens as owned", async function () {
+    const { token, secondAccount, thirdAccount, deployBlock } = await loadFixture(deployTokenWithMintedTokens);
+
+    await (await token.connect(secondAccount).burn(1)).wait();
+    await (await token.connect(thirdAccount).redeem(3)).wait();
+
+    const indexer = createIndexer(token, { fromBlock: deployBlock });
+    await indexer.sync();
+
+    expect(indexer.owners()).to.deep.eq({ 2: secondAccount.address });
+    expect(indexer.burns().map(({ tokenId, holder }) => [tokenId, holder])).to.deep.eq([
+      ["1", secondAccount.address],
+      ["3", thirdAccount.address]
+    ]);
+    expect(indexer.redemptions().map(({ tokenId }) => tokenId)).to.deep.eq(["3"]);
+  });
+});
@@ -0,0 +1,64 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { buildProofs } = require("../utils/whitelist");
+const { Stages } = require("../utils/contract");
+const { getSaleSummary, tokensOfOwner } = require("../utils/sale");
+const { deployToken, commitAndReveal } = require("./fixtures");
+
+describe("Sale views", function () {
+  async function deployPresaleToken() {
+    return deployToken({
+      allowlist: ({ secondAccount, thirdAccount }) => [{ address: secondAccount.address, allowance: 3 }, thirdAccount.address],
+      stage: Stages.PreSale
+    });
+  }
+
+  it("summarizes supply, price and tickets of the sale", async function () {
+    const { token, thirdAccount, whitelist } = await loadFixture(deployPresaleToken);
+
+    await commitAndReveal(token, thirdAccount, [2], whitelist.proofs[thirdAccount.address]);
+    await (await token.addAllowlistRound(whitelist.root, 300)).wait();
+
+    expect(await getSaleSummary(token)).to.deep.eq({
+      stage: "PreSale",
+      paused: false,
+      price: ethers.constants.Zero,
+      totalSupply: 1,
+      cap: 6,
+      remainingSupply: 5,
+      ticketsRemaining: 301,
+      rounds: [
+        { round: 1, merkleRoot: whitelist.root, ticketsCount: 2, ticketsRemaining: 1 },
+        { round: 2, merkleRoot: whitelist.root, ticketsCount: 300, ticketsRemaining: 300 }
+      ]
+    });
+  });
+
+  it("counts used tickets of a round past the first bitmap word", async function () {
+    const { token, owner, secondAccount } = await loadFixture(deployPresaleToken);
+
+    // Second account holds the 300th ticket of the new round
+    const addresses = Array.from({ length: 299 }, (_, idx) => ethers.utils.hexZeroPad(ethers.utils.hexlify(idx + 1), 20));
+    const round = buildProofs([...addresses, secondAccount.address], { round: 2 });
+
+    await (await token.connect(owner).addAllowlistRound(round.root, 300)).wait();
+    await commitAndReveal(token, secondAccount, [1], round.proofs[secondAccount.address]);
+
+    expect(await token.ticketsRemaining(2)).to.eq(299);
+    await expect(token.ticketsRemaining(3)).to.be.revertedWithCustomError(token, "UnknownAllowlistRound");
+  });
+
+  it("lists the tokens of an owner from Transfer events", async function () {
+    const { token, secondAccount, thirdAccount, whitelist, deployBlock } = await loadFixture(deployPresaleToken);
+
+    await commitAndReveal(token, secondAccount, [5, 1, 3], whitelist.proofs[secondAccount.address]);
+
+    const secondAccountToken = token.connect(secondAccount);
+
+    await (await secondAccountToken.transferFrom(secondAccount.address, thirdAccount.address, 3)).wait();
+    await (await secondAccountToken.transferFrom(secondAccount.address, secondAccount.address, 5)).wait();
+
+    expect(await tokensOfOwner(token, secondAccount.address.toLowerCase(), { fromBlock: deployBlock })).to.deep.eq([1, 5]);
+    expect(await tokensOfOwner(token, thirdAccount.address, { fromBlock: deployBlock })).to.deep.eq([3]);
+  });
+});
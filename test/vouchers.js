@@ -0,0 +1,90 @@
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { createCommitRevealClient } = require("../utils/commitReveal");
+const { voucherDomain, hashVoucher, recoverVoucherSigner, issueVouchers } = require("../utils/vouchers");
+const { deployToken } = require("./fixtures");
+
+describe("Allowlist vouchers", function () {
+  async function deployTokenWithVoucherSigner() {
+    // Ticket 2 is left out of the Merkle whitelist for vouchers
+    const fixture = await deployToken({ allowlist: ({ secondAccount }) => [secondAccount.address], ticketsCount: 3 });
+    const { token, fourthAccount: voucherSigner } = fixture;
+
+    await (await token.setVoucherSigner(voucherSigner.address)).wait();
+
+    const { chainId } = await ethers.provider.getNetwork();
+
+    return { ...fixture, voucherSigner, domain: voucherDomain(token.address, chainId) };
+  }
+
+  it("hashes vouchers the same way as the contract", async function () {
+    const { token, thirdAccount, domain } = await loadFixture(deployTokenWithVoucherSigner);
+    const voucher = { minter: thirdAccount.address, round: 1, ticket: 2, allowance: 3, expiry: 2000000000 };
+
+    expect(hashVoucher(domain, voucher)).to.eq(
+      await token.voucherDigest(voucher.minter, voucher.round, voucher.ticket, voucher.allowance, voucher.expiry)
+    );
+  });
+
+  it("issues vouchers recoverable to the signer", async function () {
+    const { thirdAccount, voucherSigner, domain } = await loadFixture(deployTokenWithVoucherSigner);
+
+    const vouchers = await issueVouchers(voucherSigner, domain, [{ minter: thirdAccount.address, ticket: 2 }], {
+      round: 1,
+      expiry: 2000000000
+    });
+
+    expect(vouchers[thirdAccount.address]).to.include({ round: 1, ticket: 2, allowance: 1 });
+    expect(recoverVoucherSigner(domain, { minter: thirdAccount.address, ...vouchers[thirdAccount.address] })).to.eq(
+      voucherSigner.address
+    );
+  });
+
+  it("rejects allocating a ticket twice", async function () {
+    const { secondAccount, thirdAccount, voucherSigner, domain } = await loadFixture(deployTokenWithVoucherSigner);
+
+    const entries = [
+      { minter: secondAccount.address, ticket: 2 },
+      { minter: thirdAccount.address, ticket: 2 }
+    ];
+
+    await expect(issueVouchers(voucherSigner, domain, entries, { round: 1, expiry: 2000000000 })).to.be.rejectedWith(
+      /Ticket 2 is allocated more than once/
+    );
+  });
+
+  it("reveals a presale commit with a voucher through the client", async function () {
+    const { token, thirdAccount, voucherSigner, domain } = await loadFixture(deployTokenWithVoucherSigner);
+
+    const vouchers = await issueVouchers(voucherSigner, domain, [{ minter: thirdAccount.address, ticket: 2 }], {
+      round: 1,
+      expiry: (await time.latest()) + 3600
+    });
+    const client = createCommitRevealClient(token.connect(thirdAccount));
+
+    await (await token.activatePresale()).wait();
+    await client.commit(1);
+    await mine(10);
+
+    await client.reveal(vouchers[thirdAccount.address]);
+
+    expect(await token.ownerOf(1)).to.eq(thirdAccount.address);
+  });
+
+  it("reports an expired voucher with a readable message", async function () {
+    const { token, thirdAccount, voucherSigner, domain } = await loadFixture(deployTokenWithVoucherSigner);
+
+    const expiry = (await time.latest()) + 60;
+    const vouchers = await issueVouchers(voucherSigner, domain, [{ minter: thirdAccount.address, ticket: 2 }], {
+      round: 1,
+      expiry
+    });
+    const client = createCommitRevealClient(token.connect(thirdAccount));
+
+    await (await token.activatePresale()).wait();
+    await client.commit(1);
+    await time.increaseTo(expiry + 1);
+
+    await expect(client.reveal(vouchers[thirdAccount.address])).to.be.rejectedWith("Allowlist voucher has expired");
+  });
+});
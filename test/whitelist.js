@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const {
+  merkleLeaf,
+  parseWhitelist,
+  buildMerkleWhitelist,
+  buildProofs,
+  findRepeatedAddresses,
+  buildRounds,
+  verifyProof
+} = require("../utils/whitelist");
+
+describe("Whitelist", function () {
+  async function whitelistedAddresses() {
+    const [, secondAccount, thirdAccount, fourthAccount] = await ethers.getSigners();
+
+    return [secondAccount.address, thirdAccount.address, fourthAccount.address];
+  }
+
+  it("assigns tickets in list order starting from 1", async function () {
+    const addresses = await whitelistedAddresses();
+    const { proofs } = buildProofs(addresses);
+
+    expect(addresses.map((address) => proofs[address].ticket)).to.deep.eq([1, 2, 3]);
+  });
+
+  it("produces proofs that verify against the root", async function () {
+    const addresses = await whitelistedAddresses();
+    const { root, proofs } = buildProofs(addresses);
+
+    for (const address of addresses) {
+      const { ticket, allowance, proof } = proofs[address];
+
+      expect(verifyProof(root, address, ticket, allowance, proof)).to.eq(true);
+    }
+  });
+
+  it("does not verify a proof with another address ticket", async function () {
+    const addresses = await whitelistedAddresses();
+    const { root, proofs } = buildProofs(addresses);
+
+    expect(verifyProof(root, addresses[0], 2, 1, proofs[addresses[0]].proof)).to.eq(false);
+  });
+
+  it("does not verify a proof with another allowance", async function () {
+    const [secondAddress, thirdAddress] = await whitelistedAddresses();
+    const { root, proofs } = buildProofs([{ address: secondAddress, allowance: 3 }, thirdAddress]);
+
+    expect(proofs[secondAddress]).to.include({ ticket: 1, allowance: 3 });
+    expect(proofs[thirdAddress]).to.include({ ticket: 2, allowance: 1 });
+    expect(verifyProof(root, secondAddress, 1, 3, proofs[secondAddress].proof)).to.eq(true);
+    expect(verifyProof(root, secondAddress, 1, 4, proofs[secondAddress].proof)).to.eq(false);
+  });
+
+  it("rejects allowances that are not positive integers", async function () {
+    const [address] = await whitelistedAddresses();
+
+    expect(() => buildProofs([{ address, allowance: 0 }])).to.throw(/Invalid allowance at position 1/);
+    expect(() => buildProofs([{ address, allowance: 1.5 }])).to.throw(/Invalid allowance at position 1/);
+  });
+
+  it("builds leaves matching the contract merkleLeaf", async function () {
+    const [owner, secondAccount] = await ethers.getSigners();
+    const { merkleTree } = buildMerkleWhitelist(await whitelistedAddresses());
+
+    const TokenFactory = await ethers.getContractFactory("AdvancedNft");
+    const token = await TokenFactory.deploy(
+      merkleTree.getHexRoot(),
+      6,
+      3,
+      ethers.constants.HashZero,
+      "",
+      owner.address,
+      0
+    );
+
+    expect(await token.connect(secondAccount).merkleLeaf(1, 2)).to.eq(
+      merkleLeaf(secondAccount.address, 1, 2)
+    );
+  });
+
+  it("rejects duplicate addresses regardless of case", async function () {
+    const [address] = await whitelistedAddresses();
+
+    expect(() => buildProofs([address, address.toLowerCase()])).to.throw(/Duplicate address/);
+  });
+
+  it("rejects invalid addresses", function () {
+    expect(() => buildProofs(["0x1234"])).to.throw(/Invalid address/);
+  });
+
+  it("parses CSV with a header and extra columns", async function () {
+    const addresses = await whitelistedAddresses();
+    const csv = `address,note\n${addresses.map((address) => `${address},vip`).join("\n")}\n`;
+
+    expect(parseWhitelist(csv, "csv")).to.deep.eq(addresses.map((address) => ({ address, allowance: 1 })));
+  });
+
+  it("keeps the first CSV row of addresses without the 0x prefix", async function () {
+    const addresses = await whitelistedAddresses();
+    const csv = `${addresses.map((address) => address.slice(2)).join("\n")}\n`;
+
+    expect(parseWhitelist(csv, "csv").map(({ address }) => address)).to.deep.eq(
+      addresses.map((address) => address.slice(2))
+    );
+    expect(buildProofs(parseWhitelist(csv, "csv")).proofs[addresses[0]].ticket).to.eq(1);
+  });
+
+  it("reads allowances from the CSV allowance column", async function () {
+    const [secondAddress, thirdAddress] = await whitelistedAddresses();
+    const csv = `address,note,allowance\n${secondAddress},vip,3\n${thirdAddress},,1\n`;
+
+    expect(parseWhitelist(csv, "csv")).to.deep.eq([
+      { address: secondAddress, allowance: 3 },
+      { address: thirdAddress, allowance: 1 }
+    ]);
+  });
+
+  it("parses JSON lists mixing addresses and allowance entries", async function () {
+    const [secondAddress, thirdAddress] = await whitelistedAddresses();
+    const json = JSON.stringify([secondAddress, { address: thirdAddress, allowance: 2 }]);
+
+    expect(parseWhitelist(json, "json")).to.deep.eq([
+      { address: secondAddress, allowance: 1 },
+      { address: thirdAddress, allowance: 2 }
+    ]);
+  });
+
+  it("builds consecutive rounds with their own tickets", async function () {
+    const [secondAddress, thirdAddress, fourthAddress] = await whitelistedAddresses();
+
+    const rounds = buildRounds([[secondAddress, thirdAddress], [fourthAddress]], { firstRound: 2 });
+
+    expect(rounds.map(({ round, ticketsCount }) => [round, ticketsCount])).to.deep.eq([[2, 2], [3, 1]]);
+    expect(rounds[1].proofs[fourthAddress]).to.include({ round: 3, ticket: 1 });
+  });
+
+  it("rejects an address allocated in more than one round", async function () {
+    const [secondAddress, thirdAddress] = await whitelistedAddresses();
+
+    expect(() => buildRounds([[secondAddress, thirdAddress], [thirdAddress.toLowerCase()]])).to.throw(
+      `Addresses allocated in more than one round: ${thirdAddress} (rounds 1, 2)`
+    );
+  });
+
+  it("allows repeating the addresses listed as intended", async function () {
+    const [secondAddress, thirdAddress] = await whitelistedAddresses();
+    const addressLists = [[secondAddress, thirdAddress], [thirdAddress]];
+
+    expect(findRepeatedAddresses([
+      { round: 1, addresses: addressLists[0] },
+      { round: 2, addresses: addressLists[1] }
+    ])).to.deep.eq([{ address: thirdAddress, rounds: [1, 2] }]);
+    expect(buildRounds(addressLists, { allowRepeated: [thirdAddress] })).to.have.length(2);
+  });
+});
@@ -0,0 +1,380 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { BigNumber, utils } = require("ethers");
+const { Stages, CommitStatus, findRevertData, decodeContractError } = require("./contract");
+
+// Matches `_hashedIdsAndSalt` in the contract:
+// keccak256(abi.encodePacked(address(this), msg.sender, tokenIds, salt))
+function hashIdsAndSalt(contractAddress, minterAddress, tokenIds, salt) {
+  return utils.solidityKeccak256(
+    ["address", "address", "uint256[]", "bytes32"],
+    [contractAddress, minterAddress, tokenIds, salt]
+  );
+}
+
+function randomSalt() {
+  return utils.hexlify(utils.randomBytes(32));
+}
+
+// Token IDs checked per `tokenIdsAvailability` call when scanning the whole range
+const AVAILABILITY_SCAN_SIZE = 500;
+
+// Commit stores keep pending commits between sessions. Any object exposing
+// async `get`, `set` and `delete` methods can be used instead.
+function createMemoryCommitStore() {
+  const commits = new Map();
+
+  return {
+    async get(key) {
+      return commits.get(key) || null;
+    },
+    async set(key, value) {
+      commits.set(key, value);
+    },
+    async delete(key) {
+      commits.delete(key);
+    }
+  };
+}
+
+function createJsonFileCommitStore(filePath) {
+  function readAll() {
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  function writeAll(commits) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(commits, null, 2)}\n`);
+  }
+
+  return {
+    async get(key) {
+      return readAll()[key] || null;
+    },
+    async set(key, value) {
+      writeAll({ ...readAll(), [key]: value });
+    },
+    async delete(key) {
+      const commits = readAll();
+
+      delete commits[key];
+      writeAll(commits);
+    }
+  };
+}
+
+// Whether sending a transaction failed before it was broadcast: it reverted
+// while being estimated or the wallet declined to sign it. Nodes that throw
+// their own errors, like the Hardhat network, leave out the ethers code.
+function isRejectedBeforeSending(error) {
+  if (error.code === "UNPREDICTABLE_GAS_LIMIT" || error.code === undefined) {
+    return findRevertData(error) !== null;
+  }
+
+  return error.code === "CALL_EXCEPTION" || error.code === "ACTION_REJECTED";
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Wraps a signer-connected AdvancedNft contract and drives the commit/reveal
+// cycle of a single minter.
+function createCommitRevealClient(contract, options = {}) {
+  const store = options.store || createMemoryCommitStore();
+  const provider = contract.provider;
+
+  async function storeKey() {
+    const { chainId } = await provider.getNetwork();
+    const minter = await contract.signer.getAddress();
+
+    return `${chainId}:${contract.address}:${minter}`.toLowerCase();
+  }
+
+  async function withDecodedErrors(action) {
+    try {
+      return await action();
+    } catch (error) {
+      throw decodeContractError(contract.interface, error);
+    }
+  }
+
+  async function pendingCommit() {
+    return store.get(await storeKey());
+  }
+
+  // Whether each of `tokenIds` is within [1, cap] and not minted yet
+  async function checkAvailability(tokenIds) {
+    return contract.tokenIdsAvailability(tokenIds);
+  }
+
+  // Picks a random token ID that is not minted yet. Random samples of
+  // `sampleSize` IDs are checked first; once `attempts` samples found nothing,
+  // the whole range is scanned for the few IDs left.
+  async function pickAvailableTokenId({ sampleSize = 20, attempts = 5 } = {}) {
+    const cap = (await contract.cap()).toNumber();
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const candidates = Array.from({ length: Math.min(sampleSize, cap) }, () => crypto.randomInt(1, cap + 1));
+      const available = await checkAvailability(candidates);
+      const tokenId = candidates.find((_, idx) => available[idx]);
+
+      if (tokenId !== undefined) {
+        return tokenId;
+      }
+    }
+
+    const remaining = [];
+
+    for (let start = 1; start <= cap; start += AVAILABILITY_SCAN_SIZE) {
+      const tokenIds = Array.from({ length: Math.min(AVAILABILITY_SCAN_SIZE, cap - start + 1) }, (_, idx) => start + idx);
+      const available = await checkAvailability(tokenIds);
+
+      remaining.push(...tokenIds.filter((_, idx) => available[idx]));
+    }
+
+    if (remaining.length === 0) {
+      throw new Error("All token IDs have been minted");
+    }
+
+    return remaining[crypto.randomInt(remaining.length)];
+  }
+
+  // Part of `price` not covered by the minter's escrowed deposit
+  async function priceAfterDeposit(price) {
+    const deposit = await contract.escrowDeposits(await contract.signer.getAddress());
+
+    return price.gt(deposit) ? price.sub(deposit) : BigNumber.from(0);
+  }
+
+  // Commits a single token ID or an array of token IDs minted by one reveal.
+  // IDs out of range or already minted are rejected before committing. In
+  // escrow mode a public sale commit deposits the current price of the token
+  // IDs, minus any earlier deposit, unless `deposit` is given. The salt is
+  // stored before the commit is sent; its block number and transaction hash
+  // are filled in once it is mined.
+  async function commit(tokenIdOrIds, { deposit } = {}) {
+    const tokenIds = (Array.isArray(tokenIdOrIds) ? tokenIdOrIds : [tokenIdOrIds]).map((id) => id.toString());
+
+    if (tokenIds.length === 0) {
+      throw new Error("At least one token ID must be committed");
+    }
+
+    const repeated = tokenIds.find((id, idx) => tokenIds.indexOf(id) !== idx);
+
+    if (repeated !== undefined) {
+      throw new Error(`Token ID ${repeated} is committed more than once`);
+    }
+
+    const available = await checkAvailability(tokenIds);
+    const unavailable = tokenIds.filter((_, idx) => !available[idx]);
+
+    if (unavailable.length > 0) {
+      throw new Error(`Token IDs out of range or already minted: ${unavailable.join(", ")}`);
+    }
+
+    const escrowed = (await contract.escrowEnabled()) && (await contract.stage()) === Stages.PublicSale;
+    const value = deposit !== undefined || !escrowed ?
+      deposit || 0 :
+      await priceAfterDeposit(await quotePrice(tokenIds.length));
+
+    const minter = await contract.signer.getAddress();
+    const salt = randomSalt();
+    const commitHash = hashIdsAndSalt(contract.address, minter, tokenIds, salt);
+    const key = await storeKey();
+    const previous = await store.get(key);
+    const record = { tokenIds, salt, commitHash, blockNumber: null, txHash: null };
+
+    // Saved before sending, so that the salt survives a crash or a timeout
+    // while the commit is pending and the commit can still be revealed
+    await store.set(key, record);
+
+    // A reverted or cancelled commit never replaced the earlier one on-chain
+    async function restorePreviousCommit() {
+      await (previous ? store.set(key, previous) : store.delete(key));
+    }
+
+    let tx;
+
+    try {
+      tx = await contract.commitTokenId(commitHash, { value });
+    } catch (error) {
+      // Other errors, e.g. a timeout, can come after the commit was broadcast,
+      // so its salt is kept
+      if (isRejectedBeforeSending(error)) {
+        await restorePreviousCommit();
+      }
+
+      throw decodeContractError(contract.interface, error);
+    }
+
+    record.txHash = tx.hash;
+    await store.set(key, record);
+
+    let receipt;
+
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      // A sped up commit with the same data was mined by its replacement
+      if (error.code === "TRANSACTION_REPLACED" && !error.cancelled) {
+        receipt = error.receipt;
+      } else {
+        if (error.code === "CALL_EXCEPTION" || error.code === "TRANSACTION_REPLACED") {
+          await restorePreviousCommit();
+        }
+
+        throw decodeContractError(contract.interface, error);
+      }
+    }
+
+    record.blockNumber = receipt.blockNumber;
+    record.txHash = receipt.transactionHash;
+    await store.set(key, record);
+
+    return record;
+  }
+
+  async function requirePendingCommit() {
+    const record = await pendingCommit();
+
+    if (!record) {
+      throw new Error("No pending commit found for this minter");
+    }
+
+    return record;
+  }
+
+  // On-chain status of the minter's latest commit with the first and last
+  // blocks it can be revealed in
+  async function commitStatus() {
+    const minter = await contract.signer.getAddress();
+    const { status, revealableFromBlock, revealableUntilBlock } = await contract.commitStatus(minter);
+
+    return {
+      status,
+      revealableFromBlock: revealableFromBlock.toNumber(),
+      revealableUntilBlock: revealableUntilBlock.toNumber()
+    };
+  }
+
+  async function remainingBlocks() {
+    await requirePendingCommit();
+
+    const { status, revealableFromBlock, revealableUntilBlock } = await commitStatus();
+
+    if (status === CommitStatus.Expired) {
+      throw new Error(`Commit could be revealed only until block ${revealableUntilBlock}, commit the token IDs again`);
+    }
+
+    const remaining = revealableFromBlock - (await provider.getBlockNumber());
+
+    return remaining > 0 ? remaining : 0;
+  }
+
+  async function waitForReveal({ pollInterval = 4000 } = {}) {
+    while ((await remainingBlocks()) > 0) {
+      await sleep(pollInterval);
+    }
+  }
+
+  // Drops the stored commit once it can no longer be revealed, because its
+  // reveal window has passed or it was revealed from another client. Returns
+  // the dropped record, or null.
+  async function clearStaleCommit() {
+    const record = await pendingCommit();
+
+    if (!record) {
+      return null;
+    }
+
+    const { status } = await commitStatus();
+
+    if (status !== CommitStatus.Expired && status !== CommitStatus.Revealed) {
+      return null;
+    }
+
+    await store.delete(await storeKey());
+
+    return record;
+  }
+
+  // Price of minting `quantity` tokens at the current stage
+  async function quotePrice(quantity = 1) {
+    return (await contract.currentPrice()).mul(quantity);
+  }
+
+  // Mints all committed token IDs with the function matching the current
+  // stage. Presale reveals need the minter's allowlist `round`, `ticket` and
+  // `allowance` with either the Merkle `proof` or the `expiry` and `signature`
+  // of an allowlist voucher. The current price of all tokens, minus the
+  // escrowed deposit in the public sale, is sent unless `value` is given;
+  // anything above the price at mint time is refunded by the contract, which
+  // covers a decaying Dutch auction price.
+  async function reveal({ round, ticket, allowance, proof, expiry, signature, value } = {}) {
+    const { tokenIds, salt } = await requirePendingCommit();
+
+    const receipt = await withDecodedErrors(async () => {
+      const stage = await contract.stage();
+      const price = await quotePrice(tokenIds.length);
+      const defaultValue = stage === Stages.PublicSale ? await priceAfterDeposit(price) : price;
+      const overrides = { value: value === undefined ? defaultValue : value };
+      const presaleArgs = [round || 0, ticket || 0, allowance || 0];
+
+      if (stage === Stages.PreSale && signature !== undefined) {
+        return (await contract.voucherPresaleMint(...presaleArgs, expiry, signature, tokenIds, salt, overrides)).wait();
+      }
+
+      if (stage === Stages.PreSale) {
+        return (await contract.presaleMint(...presaleArgs, proof || [], tokenIds, salt, overrides)).wait();
+      }
+
+      if (stage === Stages.PublicSale) {
+        return (await contract.publicMint(tokenIds, salt, overrides)).wait();
+      }
+
+      throw new Error("Minting is not available at the current sale stage");
+    });
+
+    await store.delete(await storeKey());
+
+    return receipt;
+  }
+
+  // Refunds the escrowed deposit of a commit that expired or can no longer be
+  // revealed because the sale sold out, and drops the stored commit
+  async function cancelCommit() {
+    const receipt = await withDecodedErrors(async () => (await contract.cancelCommit()).wait());
+
+    await store.delete(await storeKey());
+
+    return receipt;
+  }
+
+  return {
+    pendingCommit,
+    commit,
+    checkAvailability,
+    pickAvailableTokenId,
+    commitStatus,
+    remainingBlocks,
+    waitForReveal,
+    clearStaleCommit,
+    cancelCommit,
+    quotePrice,
+    reveal
+  };
+}
+
+module.exports = {
+  hashIdsAndSalt,
+  randomSalt,
+  createMemoryCommitStore,
+  createJsonFileCommitStore,
+  createCommitRevealClient
+};
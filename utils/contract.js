@@ -0,0 +1,165 @@
+const { utils } = require("ethers");
+
+// AdvancedNft enums and errors as seen from JS, used by the helpers, scripts
+// and tasks.
+
+// Mirrors `Stages` in the contract
+const Stages = {
+  Inactive: 0,
+  PreSale: 1,
+  PublicSale: 2,
+  SoldOut: 3
+};
+
+// Mirrors `CommitStatus` in the contract
+const CommitStatus = {
+  None: 0,
+  Waiting: 1,
+  Revealable: 2,
+  Expired: 3,
+  Revealed: 4
+};
+
+// Mirrors `TransferLockMode` in the contract
+const TransferLockMode = {
+  None: 0,
+  Time: 1,
+  Blocks: 2,
+  UntilLifted: 3
+};
+
+const ERROR_MESSAGES = {
+  FunctionInvalidAtThisStage: () => "This action is not available at the current sale stage",
+  IdAndSaltDoesNotMatchCommitted: () => "Token ID and salt do not match the committed ones",
+  TokenIdsNotProvided: () => "At least one token ID must be minted",
+  TokenIdOutOfRange: ({ cap }) => `Token ID must be between 1 and ${cap}`,
+  TokenIdAlreadyMinted: ({ tokenId }) => `Token ID ${tokenId} has already been minted, commit another one`,
+  MustCommitIdBefore: () => "A token ID must be committed before minting",
+  AfterCommitTimeoutForBlocks: ({ remainingBlocks }) =>
+    `Token ID can be revealed after ${remainingBlocks} more block(s)`,
+  CommitExpired: ({ expiredAfterBlock }) =>
+    `Commit could be revealed only until block ${expiredAfterBlock}, commit the token IDs again`,
+  InvalidRevealWindow: () =>
+    "Reveal delay must be at least one block and the reveal window must not end before it",
+  DepositNotAccepted: () => "Deposits are accepted only by public sale commits in escrow mode",
+  NoEscrowedDeposit: () => "There is no escrowed deposit to refund",
+  CommitNotCancellable: ({ cancellableAfterBlock }) =>
+    `Commit can be cancelled after block ${cancellableAfterBlock} or once the sale sells out`,
+  AmountExceedsUnescrowedBalance: ({ unescrowedBalance }) =>
+    `Amount exceeds the ${utils.formatEther(unescrowedBalance)} ETH not held in escrow`,
+  UnknownAllowlistRound: () => "Allowlist round does not exist",
+  MerkleRootNotProvided: () => "Merkle root must not be empty",
+  TicketNotProvided: () => "Presale ticket was not provided",
+  TicketOutOfRange: ({ ticketsCount }) => `Presale ticket must be between 1 and ${ticketsCount}`,
+  TicketsCountBelowUsed: ({ usedTickets }) => `Tickets count must not be below the ${usedTickets} tickets already used`,
+  ProofNotProvided: () => "Whitelist proof was not provided",
+  InvalidProof: () => "Address is not whitelisted for this ticket",
+  TicketAlreadyUsed: () => "Presale ticket has already been used",
+  AllowanceExceeded: ({ remaining }) => `Presale ticket allows minting only ${remaining} more token(s)`,
+  WalletLimitExceeded: ({ remaining }) => `Wallet can mint only ${remaining} more token(s) in this sale`,
+  VoucherExpired: () => "Allowlist voucher has expired",
+  InvalidVoucherSignature: () => "Allowlist voucher is not signed by the voucher signer for this minter and ticket",
+  ValueBelowMintPrice: ({ price }) => `Sent value is below the ${utils.formatEther(price)} ETH mint price`,
+  InvalidDutchAuction: () => "Dutch auction start price must be above the floor and duration must be positive",
+  MulticallFunctionNotSupported: ({ selector }) => `Function ${selector} can not be batched with multicall`,
+  CallsMustBePresent: () => "At least one call must be batched",
+  InvalidTransferLock: () => "Time and block transfer locks need a duration, other modes must not have one",
+  TransferLocked: ({ unlockPoint }) => unlockPoint.isZero() ?
+    "Token transfers are locked until the lock is lifted" :
+    `Token can not be transferred before ${unlockPoint}, a timestamp or block number following the transfer lock mode`,
+  NotTokenOwnerOrApproved: () => "Only the token owner or an approved operator can do this",
+  RedemptionsClosed: () => "Redemptions are not open",
+  TokensAlreadyMinted: () => "Transfer lock can be changed only before the first mint",
+  InvalidContributorAddress: () => "Contributor address must not be the zero address",
+  OnlyAllowedForContributors: () => "Only contributors can do this",
+  SharesMustBePositive: () => "Contributor shares must be greater than zero",
+  ContributorAlreadyAdded: () => "Address is already a contributor",
+  AmountExceedsReleasable: ({ releasable }) =>
+    `Amount exceeds the ${utils.formatEther(releasable)} ETH releasable to this contributor`,
+  MetadataAlreadyRevealed: () => "Metadata has already been revealed",
+  BaseURINotProvided: () => "Base URI must not be empty",
+  InvalidRoyaltyReceiver: () => "Royalty receiver must not be the zero address",
+  RoyaltyTooHigh: ({ maxBasisPoints }) => `Royalty must not exceed ${maxBasisPoints.toNumber() / 100}%`
+};
+
+function findRevertData(error) {
+  let current = error;
+
+  while (current) {
+    // `callStatic` errors carry an empty "0x" and the revert data in `error`
+    if (typeof current.data === "string" && current.data.startsWith("0x") && current.data !== "0x") {
+      return current.data;
+    }
+
+    if (current.data && typeof current.data.data === "string") {
+      return current.data.data;
+    }
+
+    current = current.error;
+  }
+
+  return null;
+}
+
+// Selector of the `Error(string)` data of `require` and `revert` reasons
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+function findRevertReason(error, data) {
+  if (data && data.startsWith(ERROR_STRING_SELECTOR)) {
+    return utils.defaultAbiCoder.decode(["string"], utils.hexDataSlice(data, 4))[0];
+  }
+
+  for (let current = error; current; current = current.error) {
+    if (typeof current.reason === "string") {
+      return current.reason;
+    }
+  }
+
+  return null;
+}
+
+// Turns a custom error or revert string into an Error with a readable
+// message. The original error is kept as `cause`; other errors are returned
+// unchanged.
+function decodeContractError(contractInterface, error) {
+  const data = findRevertData(error);
+
+  let parsed;
+
+  try {
+    parsed = data && contractInterface.parseError(data);
+  } catch (_) {
+    parsed = null;
+  }
+
+  if (!parsed) {
+    const reason = findRevertReason(error, data);
+
+    if (!reason) {
+      return error;
+    }
+
+    const decoded = new Error(reason);
+
+    decoded.cause = error;
+
+    return decoded;
+  }
+
+  const formatMessage = ERROR_MESSAGES[parsed.name];
+  const decoded = new Error(formatMessage ? formatMessage(parsed.args) : parsed.name);
+
+  decoded.name = parsed.name;
+  decoded.args = parsed.args;
+  decoded.cause = error;
+
+  return decoded;
+}
+
+module.exports = {
+  Stages,
+  CommitStatus,
+  TransferLockMode,
+  findRevertData,
+  decodeContractError
+};
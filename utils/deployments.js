@@ -0,0 +1,131 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+function deploymentPath(networkName, { dir = DEPLOYMENTS_DIR } = {}) {
+  return path.join(dir, `${networkName}.json`);
+}
+
+function readDeployment(networkName, options = {}) {
+  const recordPath = deploymentPath(networkName, options);
+
+  if (!fs.existsSync(recordPath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(recordPath, "utf8"));
+}
+
+function writeDeployment(networkName, record, options = {}) {
+  const recordPath = deploymentPath(networkName, options);
+
+  fs.mkdirSync(path.dirname(recordPath), { recursive: true });
+  fs.writeFileSync(recordPath, `${JSON.stringify(record, null, 2)}\n`);
+}
+
+// Returns the record only when the contract it points to still has code, so
+// records left behind by a restarted local node are treated as missing.
+async function findLiveDeployment(provider, networkName, options = {}) {
+  const record = readDeployment(networkName, options);
+
+  if (!record) {
+    return null;
+  }
+
+  const code = await provider.getCode(record.address);
+
+  return code === "0x" ? null : record;
+}
+
+// Resolves the contract the standalone scripts work with from their
+// environment: CONTRACT_ADDRESS, or the deployment record of NETWORK. Events are
+// read from FROM_BLOCK, or from the deployment block when the recorded contract
+// is used.
+function resolveContract(env = process.env, options = {}) {
+  const record = env.NETWORK ? readDeployment(env.NETWORK, options) : null;
+  const address = env.CONTRACT_ADDRESS || (record && record.address);
+
+  if (!address) {
+    throw new Error("CONTRACT_ADDRESS or NETWORK with a deployment record must be provided");
+  }
+
+  const fromBlock = env.FROM_BLOCK ?
+    Number(env.FROM_BLOCK) :
+    (record && record.address === address ? record.blockNumber : 0);
+
+  return { address, fromBlock };
+}
+
+// Deploys AdvancedNft with the given config and registers its contributors.
+// The record is written right after the deployment and updated after every
+// contributor, so a run interrupted by a failed transaction is resumed on the
+// next one: the live deployment is reused and contributors that already have
+// shares are skipped.
+async function deployAdvancedNft(ethers, networkName, config, options = {}) {
+  const log = options.log || (() => {});
+  const { merkleRoot, cap, ticketsCount, contributors, provenanceHash, placeholderURI } = config;
+
+  let record = await findLiveDeployment(ethers.provider, networkName, options);
+  let token;
+
+  if (record) {
+    token = await ethers.getContractAt("AdvancedNft", record.address);
+    log(`AdvancedNft is already deployed on ${networkName} at ${record.address} (block ${record.blockNumber})`);
+  } else {
+    const TokenFactory = await ethers.getContractFactory("AdvancedNft");
+
+    token = await TokenFactory.deploy(
+      merkleRoot,
+      cap,
+      ticketsCount,
+      provenanceHash,
+      placeholderURI,
+      config.royaltyReceiver,
+      config.royaltyBasisPoints
+    );
+
+    const deployReceipt = await token.deployTransaction.wait();
+
+    record = {
+      network: networkName,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      address: token.address,
+      deployer: deployReceipt.from,
+      merkleRoot,
+      provenanceHash,
+      cap,
+      ticketsCount,
+      blockNumber: deployReceipt.blockNumber,
+      deployTxHash: deployReceipt.transactionHash,
+      contributorTxs: []
+    };
+
+    writeDeployment(networkName, record, options);
+    log(`AdvancedNft deployed to ${token.address} with merkle root ${merkleRoot}`);
+  }
+
+  for (const { address, shares } of contributors) {
+    if ((await token.shares(address)).gt(0)) {
+      log(`Contributor ${address} is already added, skipping`);
+      continue;
+    }
+
+    const receipt = await (await token.addContributor(address, shares)).wait();
+
+    record.contributorTxs.push({ contributor: address, shares, txHash: receipt.transactionHash });
+    writeDeployment(networkName, record, options);
+    log(`Added contributor ${address} with ${shares} shares`);
+  }
+
+  return record;
+}
+
+module.exports = {
+  deploymentPath,
+  readDeployment,
+  writeDeployment,
+  findLiveDeployment,
+  resolveContract,
+  deployAdvancedNft
+};
@@ -0,0 +1,137 @@
+const http = require("http");
+const { utils } = require("ethers");
+const { CommitStatus, Stages } = require("./contract");
+
+function nameOf(values, value) {
+  return Object.keys(values).find((name) => values[name] === value);
+}
+
+// Answers whether an address can mint right now from the allowlist rounds
+// built with `buildProofs` (or `buildRounds`) and the live contract state.
+// Rounds must be the ones the contract was set up with, see `verifyRoots`.
+function createEligibilityService(contract, rounds) {
+  const provider = contract.provider;
+
+  function ticketsOf(address) {
+    return rounds.map(({ proofs }) => proofs[address]).filter(Boolean);
+  }
+
+  // Rejects rounds whose Merkle root is not the one set on the contract, so
+  // that stale whitelists are not served
+  async function verifyRoots() {
+    const roundsCount = (await contract.allowlistRoundsCount()).toNumber();
+
+    for (const { round, root } of rounds) {
+      if (round > roundsCount) {
+        throw new Error(`Allowlist round ${round} does not exist on the contract`);
+      }
+
+      const { merkleRoot } = await contract.allowlistRounds(round);
+
+      if (merkleRoot !== root) {
+        throw new Error(`Merkle root of allowlist round ${round} is ${merkleRoot} on the contract, not ${root}`);
+      }
+    }
+  }
+
+  async function pendingCommitOf(address, blockNumber) {
+    const { status, revealableFromBlock, revealableUntilBlock } = await contract.commitStatus(address, {
+      blockTag: blockNumber
+    });
+
+    if (status === CommitStatus.None || status === CommitStatus.Revealed) {
+      return null;
+    }
+
+    return {
+      status: nameOf(CommitStatus, status),
+      revealableFromBlock: revealableFromBlock.toNumber(),
+      revealableUntilBlock: revealableUntilBlock.toNumber(),
+      blocksUntilReveal: Math.max(revealableFromBlock.toNumber() - blockNumber, 0)
+    };
+  }
+
+  // Everything is read at the same block so that the answer is consistent.
+  // `getBlockNumber` is cached by ethers and may lag behind the chain.
+  async function eligibility(addressInput) {
+    const address = utils.getAddress(addressInput);
+    const { number: blockNumber } = await provider.getBlock("latest");
+    const overrides = { blockTag: blockNumber };
+
+    const [stage, paused, price, tickets, pendingCommit] = await Promise.all([
+      contract.stage(overrides),
+      contract.paused(overrides),
+      contract.currentPrice(overrides),
+      Promise.all(
+        ticketsOf(address).map(async ({ round, ticket, allowance, proof }) => ({
+          round,
+          ticket,
+          allowance,
+          proof,
+          minted: (await contract.ticketMints(round, ticket, overrides)).toNumber(),
+          used: await contract.isTicketUsed(round, ticket, overrides)
+        }))
+      ),
+      pendingCommitOf(address, blockNumber)
+    ]);
+
+    const canMint = !paused && (
+      stage === Stages.PublicSale ||
+      (stage === Stages.PreSale && tickets.some(({ used }) => !used))
+    );
+
+    return {
+      address,
+      blockNumber,
+      stage: nameOf(Stages, stage),
+      paused,
+      price: price.toString(),
+      canMint,
+      tickets,
+      pendingCommit
+    };
+  }
+
+  return {
+    verifyRoots,
+    eligibility
+  };
+}
+
+function sendJson(response, statusCode, body, allowOrigin) {
+  response.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": allowOrigin
+  });
+  response.end(JSON.stringify(body));
+}
+
+// Serves `GET /eligibility/<address>` from the service. Responses are JSON,
+// errors are `{ error }` objects.
+function createEligibilityServer(service, { allowOrigin = "*" } = {}) {
+  return http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    const match = pathname.match(/^\/eligibility\/([^/]+)\/?$/);
+
+    if (request.method !== "GET" || !match) {
+      sendJson(response, 404, { error: "Not found" }, allowOrigin);
+      return;
+    }
+
+    if (!utils.isAddress(match[1])) {
+      sendJson(response, 400, { error: `Invalid address: ${match[1]}` }, allowOrigin);
+      return;
+    }
+
+    try {
+      sendJson(response, 200, await service.eligibility(match[1]), allowOrigin);
+    } catch (error) {
+      sendJson(response, 500, { error: error.message }, allowOrigin);
+    }
+  });
+}
+
+module.exports = {
+  createEligibilityService,
+  createEligibilityServer
+};
@@ -0,0 +1,417 @@
+const fs = require("fs");
+const path = require("path");
+const { constants } = require("ethers");
+
+const INDEXED_EVENTS = [
+  "TokenIdCommitted",
+  "CommitCancelled",
+  "TicketUsed",
+  "AllowlistRoundAdded",
+  "AllowlistRootUpdated",
+  "StageTransition",
+  "ContributorAdded",
+  "ContributorSharesUpdated",
+  "ContributorRemoved",
+  "RoleGranted",
+  "RoleRevoked",
+  "Redeemed",
+  "Transfer"
+];
+
+// Index stores hold the raw events and the hashes of recently processed
+// blocks. Any object exposing async `load` and `save` methods can be used.
+function createMemoryIndexStore() {
+  let state = null;
+
+  return {
+    async load() {
+      return state;
+    },
+    async save(newState) {
+      state = JSON.parse(JSON.stringify(newState));
+    }
+  };
+}
+
+function createJsonIndexStore(filePath) {
+  return {
+    async load() {
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    },
+    async save(state) {
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+      fs.writeFileSync(filePath, `${JSON.stringify(state, null, 2)}\n`);
+    }
+  };
+}
+
+function serializeArgs(eventFragment, args) {
+  const serialized = {};
+
+  eventFragment.inputs.forEach((input, idx) => {
+    const value = args[idx];
+
+    serialized[input.name] = value._isBigNumber ? value.toString() : value;
+  });
+
+  return serialized;
+}
+
+function compareEvents(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+// Replays AdvancedNft logs from `fromBlock` (the deployment block) into the
+// store. Sync resumes from the last processed block; blocks deeper than
+// `reorgDepth` are treated as final, more recent ones are checked for reorgs.
+function createIndexer(contract, options = {}) {
+  const store = options.store || createMemoryIndexStore();
+  const fromBlock = options.fromBlock || 0;
+  const batchSize = options.batchSize || 2000;
+  const reorgDepth = options.reorgDepth || 12;
+  const provider = contract.provider;
+
+  const topics = [INDEXED_EVENTS.map((name) => contract.interface.getEventTopic(name))];
+
+  let state = null;
+
+  async function loadState() {
+    if (!state) {
+      state = (await store.load()) || {
+        address: contract.address,
+        lastProcessedBlock: fromBlock - 1,
+        blockHashes: {},
+        events: []
+      };
+    }
+
+    return state;
+  }
+
+  // Finds the latest stored block still on the canonical chain and drops
+  // everything indexed after it
+  async function rollBackReorgedBlocks() {
+    const storedBlocks = Object.keys(state.blockHashes).map(Number).sort((a, b) => b - a);
+
+    let commonBlock = null;
+
+    for (const blockNumber of storedBlocks) {
+      const block = await provider.getBlock(blockNumber);
+
+      if (block && block.hash === state.blockHashes[blockNumber]) {
+        commonBlock = blockNumber;
+        break;
+      }
+    }
+
+    if (commonBlock === state.lastProcessedBlock) {
+      return 0;
+    }
+
+    if (commonBlock === null) {
+      commonBlock = storedBlocks.length > 0 ? storedBlocks[storedBlocks.length - 1] - 1 : fromBlock - 1;
+    }
+
+    const eventsBefore = state.events.length;
+
+    state.events = state.events.filter(({ blockNumber }) => blockNumber <= commonBlock);
+    state.lastProcessedBlock = commonBlock;
+
+    for (const blockNumber of storedBlocks) {
+      if (blockNumber > commonBlock) {
+        delete state.blockHashes[blockNumber];
+      }
+    }
+
+    return eventsBefore - state.events.length;
+  }
+
+  async function rememberBlockHashes(toBlock) {
+    const firstTrackedBlock = Math.max(fromBlock, toBlock - reorgDepth + 1);
+
+    for (let blockNumber = firstTrackedBlock; blockNumber <= toBlock; blockNumber++) {
+      if (!state.blockHashes[blockNumber]) {
+        state.blockHashes[blockNumber] = (await provider.getBlock(blockNumber)).hash;
+      }
+    }
+
+    for (const blockNumber of Object.keys(state.blockHashes).map(Number)) {
+      if (blockNumber < firstTrackedBlock) {
+        delete state.blockHashes[blockNumber];
+      }
+    }
+  }
+
+  async function fetchEvents(startBlock, endBlock) {
+    const logs = await provider.getLogs({
+      address: contract.address,
+      topics,
+      fromBlock: startBlock,
+      toBlock: endBlock
+    });
+
+    return logs.map((log) => {
+      const parsed = contract.interface.parseLog(log);
+
+      return {
+        name: parsed.name,
+        args: serializeArgs(parsed.eventFragment, parsed.args),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex
+      };
+    });
+  }
+
+  async function sync() {
+    await loadState();
+
+    const rolledBackEvents = await rollBackReorgedBlocks();
+    // ethers never reports a lower block number than it has already seen,
+    // which hides chains that got shorter after a reorg
+    const { number: latestBlock } = await provider.getBlock("latest");
+    const startBlock = state.lastProcessedBlock + 1;
+
+    for (let batchStart = startBlock; batchStart <= latestBlock; batchStart += batchSize) {
+      const batchEnd = Math.min(batchStart + batchSize - 1, latestBlock);
+
+      state.events.push(...(await fetchEvents(batchStart, batchEnd)));
+      state.events.sort(compareEvents);
+      state.lastProcessedBlock = batchEnd;
+    }
+
+    await rememberBlockHashes(state.lastProcessedBlock);
+    await store.save(state);
+
+    return {
+      fromBlock: startBlock,
+      toBlock: state.lastProcessedBlock,
+      rolledBackEvents
+    };
+  }
+
+  function eventsNamed(name) {
+    return state.events.filter((event) => event.name === name);
+  }
+
+  function requireSynced() {
+    if (!state) {
+      throw new Error("Indexer must be synced before querying");
+    }
+  }
+
+  // Latest commit of every address, with the block of the mint revealing it or
+  // of its cancellation
+  function commits() {
+    requireSynced();
+
+    const byCommitter = new Map();
+
+    for (const event of state.events) {
+      if (event.name === "TokenIdCommitted") {
+        byCommitter.set(event.args.sender, {
+          committer: event.args.sender,
+          commitHash: event.args.dataHash,
+          blockNumber: Number(event.args.blockNumber),
+          revealedAtBlock: null,
+          cancelledAtBlock: null
+        });
+      }
+
+      if (event.name === "CommitCancelled" && byCommitter.has(event.args.minter)) {
+        byCommitter.get(event.args.minter).cancelledAtBlock = event.blockNumber;
+      }
+
+      if (event.name === "Transfer" && event.args.from === constants.AddressZero) {
+        const commit = byCommitter.get(event.args.to);
+
+        if (commit && commit.revealedAtBlock === null) {
+          commit.revealedAtBlock = event.blockNumber;
+        }
+      }
+    }
+
+    return [...byCommitter.values()];
+  }
+
+  function pendingCommits({ olderThanBlocks = 0 } = {}) {
+    const referenceBlock = state ? state.lastProcessedBlock : 0;
+
+    return commits().filter(({ blockNumber, revealedAtBlock, cancelledAtBlock }) =>
+      revealedAtBlock === null && cancelledAtBlock === null && referenceBlock - blockNumber > olderThanBlocks
+    );
+  }
+
+  // Every presale mint with a ticket, with the allowance left on the ticket
+  function ticketMints() {
+    requireSynced();
+
+    return eventsNamed("TicketUsed").map(({ args, blockNumber }) => ({
+      round: Number(args.round),
+      ticket: Number(args.ticket),
+      minter: args.minter,
+      quantity: Number(args.quantity),
+      remaining: Number(args.remaining),
+      blockNumber
+    }));
+  }
+
+  // Tickets whose whole allowance has been minted, matching `isTicketUsed`,
+  // with the total quantity and the block of their last mint
+  function usedTickets() {
+    const byTicket = new Map();
+
+    for (const { round, ticket, minter, quantity, remaining, blockNumber } of ticketMints()) {
+      const key = `${round}:${ticket}`;
+      const minted = (byTicket.has(key) ? byTicket.get(key).quantity : 0) + quantity;
+
+      byTicket.set(key, { round, ticket, minter, quantity: minted, remaining, blockNumber });
+    }
+
+    return [...byTicket.values()]
+      .filter(({ remaining }) => remaining === 0)
+      .map(({ remaining, ...used }) => used);
+  }
+
+  // Current merkle root and tickets count of every allowlist round
+  function allowlistRounds() {
+    requireSynced();
+
+    const rounds = {};
+
+    for (const { name, args } of state.events) {
+      if (name === "AllowlistRoundAdded") {
+        rounds[args.round] = { merkleRoot: args.merkleRoot, ticketsCount: Number(args.ticketsCount) };
+      }
+
+      if (name === "AllowlistRootUpdated") {
+        rounds[args.round] = { merkleRoot: args.merkleRoot, ticketsCount: Number(args.ticketsCount) };
+      }
+    }
+
+    return rounds;
+  }
+
+  function mints() {
+    requireSynced();
+
+    return eventsNamed("Transfer")
+      .filter(({ args }) => args.from === constants.AddressZero)
+      .map(({ args, blockNumber }) => ({ tokenId: args.tokenId, minter: args.to, blockNumber }));
+  }
+
+  function owners() {
+    requireSynced();
+
+    const ownerOf = {};
+
+    for (const { args } of eventsNamed("Transfer")) {
+      if (args.to === constants.AddressZero) {
+        delete ownerOf[args.tokenId];
+      } else {
+        ownerOf[args.tokenId] = args.to;
+      }
+    }
+
+    return ownerOf;
+  }
+
+  function burns() {
+    requireSynced();
+
+    return eventsNamed("Transfer")
+      .filter(({ args }) => args.to === constants.AddressZero)
+      .map(({ args, blockNumber }) => ({ tokenId: args.tokenId, holder: args.from, blockNumber }));
+  }
+
+  // Redemptions with the holder of the token as `redeemer` and the account
+  // that sent the redemption as `operator`
+  function redemptions() {
+    requireSynced();
+
+    return eventsNamed("Redeemed").map(({ args, blockNumber, transactionHash }) => ({
+      tokenId: args.tokenId,
+      redeemer: args.redeemer,
+      operator: args.operator,
+      blockNumber,
+      transactionHash
+    }));
+  }
+
+  function stageHistory() {
+    requireSynced();
+
+    return eventsNamed("StageTransition").map(({ args, blockNumber }) => ({
+      from: Number(args.from),
+      to: Number(args.to),
+      blockNumber
+    }));
+  }
+
+  function contributors() {
+    requireSynced();
+
+    const sharesOf = {};
+
+    for (const { name, args } of state.events) {
+      if (name === "ContributorAdded" || name === "ContributorSharesUpdated") {
+        sharesOf[args.contributor] = args.shares;
+      }
+
+      if (name === "ContributorRemoved") {
+        delete sharesOf[args.contributor];
+      }
+    }
+
+    return sharesOf;
+  }
+
+  // Current holders of every role granted since the deployment block, keyed
+  // by role hash
+  function roleHolders() {
+    requireSynced();
+
+    const holdersOf = {};
+
+    for (const { name, args } of state.events) {
+      if (name === "RoleGranted") {
+        holdersOf[args.role] = [...new Set([...(holdersOf[args.role] || []), args.account])];
+      }
+
+      if (name === "RoleRevoked" && holdersOf[args.role]) {
+        holdersOf[args.role] = holdersOf[args.role].filter((account) => account !== args.account);
+      }
+    }
+
+    return holdersOf;
+  }
+
+  return {
+    sync,
+    commits,
+    pendingCommits,
+    ticketMints,
+    usedTickets,
+    allowlistRounds,
+    mints,
+    owners,
+    burns,
+    redemptions,
+    stageHistory,
+    contributors,
+    roleHolders,
+    lastProcessedBlock: () => (state ? state.lastProcessedBlock : null)
+  };
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  createMemoryIndexStore,
+  createJsonIndexStore,
+  createIndexer
+};
@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+const { utils } = require("ethers");
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp"];
+
+// Images are ordered by file name using natural order ("2.png" before
+// "10.png"); image N in that order becomes token N + 1.
+function listImages(imagesDir) {
+  return fs.readdirSync(imagesDir)
+    .filter((fileName) => IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map((fileName) => path.join(imagesDir, fileName));
+}
+
+// sha256 of the concatenated sha256 hashes of the images in token order
+function computeProvenanceHash(imageHashes) {
+  return utils.sha256(utils.concat(imageHashes));
+}
+
+function hashImage(imagePath) {
+  return utils.sha256(fs.readFileSync(imagePath));
+}
+
+// Builds one metadata document per image, keyed by token ID
+function buildMetadata(imagePaths, { name, description, imageBaseURI }) {
+  return imagePaths.map((imagePath, idx) => {
+    const tokenId = idx + 1;
+
+    return {
+      tokenId,
+      imageHash: hashImage(imagePath),
+      metadata: {
+        name: `${name} #${tokenId}`,
+        description,
+        image: `${imageBaseURI}${path.basename(imagePath)}`
+      }
+    };
+  });
+}
+
+// Writes `<outDir>/<tokenId>` files, so that the contract base URI can point
+// at the directory, and returns the provenance hash of the ordered images.
+function writeMetadataDirectory(imagesDir, outDir, options) {
+  const tokens = buildMetadata(listImages(imagesDir), options);
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  for (const { tokenId, metadata } of tokens) {
+    fs.writeFileSync(path.join(outDir, `${tokenId}`), `${JSON.stringify(metadata, null, 2)}\n`);
+  }
+
+  return {
+    count: tokens.length,
+    provenanceHash: computeProvenanceHash(tokens.map(({ imageHash }) => imageHash))
+  };
+}
+
+module.exports = {
+  listImages,
+  computeProvenanceHash,
+  hashImage,
+  buildMetadata,
+  writeMetadataDirectory
+};
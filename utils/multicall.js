@@ -0,0 +1,54 @@
+// Functions `multicall` accepts. `safeTransferFrom` is picked by the number of
+// arguments: three for the plain overload, four when `data` is passed.
+const BATCHABLE_FUNCTIONS = {
+  transferFrom: () => "transferFrom(address,address,uint256)",
+  safeTransferFrom: (args) => args.length === 4 ?
+    "safeTransferFrom(address,address,uint256,bytes)" :
+    "safeTransferFrom(address,address,uint256)",
+  approve: () => "approve(address,uint256)",
+  setApprovalForAll: () => "setApprovalForAll(address,bool)"
+};
+
+function functionSignature({ method, args }) {
+  const signature = BATCHABLE_FUNCTIONS[method];
+
+  if (!signature) {
+    throw new Error(`${method} can not be batched with multicall`);
+  }
+
+  return signature(args);
+}
+
+// Encodes `{ method, args }` operations into the `calls` argument of `multicall`
+function encodeBatch(contractInterface, operations) {
+  if (operations.length === 0) {
+    throw new Error("At least one operation must be provided");
+  }
+
+  return operations.map((operation) =>
+    contractInterface.encodeFunctionData(functionSignature(operation), operation.args)
+  );
+}
+
+// Decodes the `results` returned by `multicall` for the same operations
+function decodeBatchResults(contractInterface, operations, results) {
+  return operations.map((operation, idx) =>
+    contractInterface.decodeFunctionResult(functionSignature(operation), results[idx])
+  );
+}
+
+// Simulates the batch to get its results, then sends it
+async function sendBatch(contract, operations) {
+  const calls = encodeBatch(contract.interface, operations);
+  const results = await contract.callStatic.multicall(calls);
+
+  const receipt = await (await contract.multicall(calls)).wait();
+
+  return { receipt, results: decodeBatchResults(contract.interface, operations, results) };
+}
+
+module.exports = {
+  encodeBatch,
+  decodeBatchResults,
+  sendBatch
+};
@@ -0,0 +1,41 @@
+// Seeded pseudo-random numbers for simulations and randomized tests, so that a
+// seed replays the same sequence of picks.
+
+// mulberry32, returns numbers in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+
+    let t = state;
+
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+// Fisher-Yates shuffle of a copy of `items`
+function shuffle(random, items) {
+  const shuffled = [...items];
+
+  for (let idx = shuffled.length - 1; idx > 0; idx--) {
+    const swapIdx = Math.floor(random() * (idx + 1));
+
+    [shuffled[idx], shuffled[swapIdx]] = [shuffled[swapIdx], shuffled[idx]];
+  }
+
+  return shuffled;
+}
+
+module.exports = {
+  createRandom,
+  pick,
+  shuffle
+};
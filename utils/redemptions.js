@@ -0,0 +1,101 @@
+const { createIndexer, createMemoryIndexStore } = require("./indexer");
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Hands every `Redeemed` event to `onRedemption` once it has `confirmations`
+// blocks, e.g. to ship merch or airdrop a follow-up token to the `redeemer`,
+// who held the token, rather than to the `operator` that sent the redemption.
+// Redemptions are keyed by token ID, which can not be redeemed twice since
+// burned IDs are never minted again. Handled token IDs are saved to `handledStore` (any
+// object exposing async `load` and `save`) after every redemption, so that a
+// restarted listener does not fulfill them again; a redemption whose handler
+// throws is retried on the next poll.
+function createRedemptionListener(contract, options = {}) {
+  const { onRedemption } = options;
+  const confirmations = options.confirmations || 12;
+  const pollInterval = options.pollInterval || 15000;
+  const handledStore = options.handledStore || createMemoryIndexStore();
+  const onError = options.onError || ((error) => console.error(error));
+  const indexer = options.indexer || createIndexer(contract, {
+    store: options.store,
+    fromBlock: options.fromBlock,
+    reorgDepth: confirmations
+  });
+
+  if (typeof onRedemption !== "function") {
+    throw new Error("onRedemption handler must be provided");
+  }
+
+  let handled = null;
+  let running = false;
+
+  async function loadHandled() {
+    if (!handled) {
+      const state = await handledStore.load();
+
+      handled = new Set(state ? state.handledTokenIds : []);
+    }
+
+    return handled;
+  }
+
+  // Redemptions deep enough to not be reorganized away and not handled yet
+  function confirmedRedemptions() {
+    const confirmedBlock = indexer.lastProcessedBlock() - confirmations + 1;
+
+    return indexer.redemptions().filter(({ tokenId, blockNumber }) =>
+      blockNumber <= confirmedBlock && !handled.has(tokenId)
+    );
+  }
+
+  async function poll() {
+    await loadHandled();
+    await indexer.sync();
+
+    const fulfilled = [];
+
+    for (const redemption of confirmedRedemptions()) {
+      await onRedemption(redemption);
+
+      handled.add(redemption.tokenId);
+      await handledStore.save({ handledTokenIds: [...handled] });
+      fulfilled.push(redemption);
+    }
+
+    return fulfilled;
+  }
+
+  // Polls until `stop` is called. Errors are reported to `onError` and do not
+  // stop the listener.
+  async function start() {
+    running = true;
+
+    while (running) {
+      try {
+        await poll();
+      } catch (error) {
+        onError(error);
+      }
+
+      if (running) {
+        await sleep(pollInterval);
+      }
+    }
+  }
+
+  function stop() {
+    running = false;
+  }
+
+  return {
+    poll,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createRedemptionListener
+};
@@ -0,0 +1,81 @@
+const { utils } = require("ethers");
+const { Stages } = require("./contract");
+
+function stageName(stage) {
+  return Object.keys(Stages).find((name) => Stages[name] === stage);
+}
+
+// Everything the mint page shows about the sale, read in parallel. Counts are
+// numbers and prices BigNumbers in wei.
+async function getSaleSummary(contract) {
+  const [stage, paused, price, totalSupply, cap, remainingSupply, roundsCount] = await Promise.all([
+    contract.stage(),
+    contract.paused(),
+    contract.currentPrice(),
+    contract.totalSupply(),
+    contract.cap(),
+    contract.remainingSupply(),
+    contract.allowlistRoundsCount()
+  ]);
+
+  const rounds = await Promise.all(
+    Array.from({ length: roundsCount.toNumber() }, async (_, idx) => {
+      const round = idx + 1;
+      const [{ merkleRoot, ticketsCount }, ticketsRemaining] = await Promise.all([
+        contract.allowlistRounds(round),
+        contract.ticketsRemaining(round)
+      ]);
+
+      return {
+        round,
+        merkleRoot,
+        ticketsCount: ticketsCount.toNumber(),
+        ticketsRemaining: ticketsRemaining.toNumber()
+      };
+    })
+  );
+
+  return {
+    stage: stageName(stage),
+    paused,
+    price,
+    totalSupply: totalSupply.toNumber(),
+    cap: cap.toNumber(),
+    remainingSupply: remainingSupply.toNumber(),
+    ticketsRemaining: rounds.reduce((sum, { ticketsRemaining }) => sum + ticketsRemaining, 0),
+    rounds
+  };
+}
+
+// Token IDs currently held by `owner`, replayed from the `Transfer` events to
+// and from it since `fromBlock` (the deployment block). Sorted ascending.
+async function tokensOfOwner(contract, ownerAddress, { fromBlock = 0 } = {}) {
+  const owner = utils.getAddress(ownerAddress);
+  const [received, sent] = await Promise.all([
+    contract.queryFilter(contract.filters.Transfer(null, owner), fromBlock),
+    contract.queryFilter(contract.filters.Transfer(owner, null), fromBlock)
+  ]);
+
+  // Transfers to self are returned by both queries
+  const transfers = new Map([...received, ...sent].map((event) => [`${event.transactionHash}:${event.logIndex}`, event]));
+  const owned = new Set();
+
+  const ordered = [...transfers.values()].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  for (const { args } of ordered) {
+    const tokenId = args.tokenId.toNumber();
+
+    if (args.to === owner) {
+      owned.add(tokenId);
+    } else {
+      owned.delete(tokenId);
+    }
+  }
+
+  return [...owned].sort((a, b) => a - b);
+}
+
+module.exports = {
+  getSaleSummary,
+  tokensOfOwner
+};
@@ -0,0 +1,107 @@
+const { utils } = require("ethers");
+
+// Mirrors the EIP712 domain and `VOUCHER_TYPEHASH` in the contract
+const VOUCHER_DOMAIN_NAME = "Advanced NFT";
+const VOUCHER_DOMAIN_VERSION = "1";
+
+const VOUCHER_TYPES = {
+  AllowlistVoucher: [
+    { name: "minter", type: "address" },
+    { name: "round", type: "uint256" },
+    { name: "ticket", type: "uint256" },
+    { name: "allowance", type: "uint256" },
+    { name: "expiry", type: "uint256" }
+  ]
+};
+
+function voucherDomain(contractAddress, chainId) {
+  return {
+    name: VOUCHER_DOMAIN_NAME,
+    version: VOUCHER_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: contractAddress
+  };
+}
+
+function normalizeVoucher({ minter, round, ticket, allowance = 1, expiry }) {
+  if (!utils.isAddress(minter)) {
+    throw new Error(`Invalid address: ${minter}`);
+  }
+
+  if (!(Number(round) > 0)) {
+    throw new Error(`Allowlist round of ${minter} must be a positive number`);
+  }
+
+  if (!(Number(ticket) > 0)) {
+    throw new Error(`Ticket of ${minter} must be a positive number`);
+  }
+
+  if (!Number.isInteger(Number(allowance)) || Number(allowance) < 1) {
+    throw new Error(`Allowance of ${minter} must be a positive integer`);
+  }
+
+  if (!(Number(expiry) > 0)) {
+    throw new Error(`Expiry of ${minter} must be a unix timestamp`);
+  }
+
+  return {
+    minter: utils.getAddress(minter),
+    round: Number(round),
+    ticket: Number(ticket),
+    allowance: Number(allowance),
+    expiry: Number(expiry)
+  };
+}
+
+// Matches `voucherDigest` in the contract
+function hashVoucher(domain, voucher) {
+  return utils._TypedDataEncoder.hash(domain, VOUCHER_TYPES, normalizeVoucher(voucher));
+}
+
+async function signVoucher(signer, domain, voucher) {
+  const normalized = normalizeVoucher(voucher);
+  const signature = await signer._signTypedData(domain, VOUCHER_TYPES, normalized);
+
+  return { ...normalized, signature };
+}
+
+function recoverVoucherSigner(domain, { signature, ...voucher }) {
+  return utils.verifyTypedData(domain, VOUCHER_TYPES, normalizeVoucher(voucher), signature);
+}
+
+// Signs a voucher for every `{ minter, ticket, allowance }` entry of allowlist
+// round `round`, all expiring at `expiry`. Allowances default to 1. Tickets are shared with the round's Merkle
+// whitelist, so they must not be allocated to another address in it.
+async function issueVouchers(signer, domain, entries, { round, expiry }) {
+  const seenTickets = new Set();
+  const vouchers = {};
+
+  for (const entry of entries) {
+    const voucher = normalizeVoucher({ ...entry, round, expiry });
+
+    if (seenTickets.has(voucher.ticket)) {
+      throw new Error(`Ticket ${voucher.ticket} is allocated more than once`);
+    }
+
+    if (vouchers[voucher.minter]) {
+      throw new Error(`Duplicate address: ${voucher.minter}`);
+    }
+
+    seenTickets.add(voucher.ticket);
+
+    const { ticket, allowance, signature } = await signVoucher(signer, domain, voucher);
+
+    vouchers[voucher.minter] = { round: voucher.round, ticket, allowance, expiry: voucher.expiry, signature };
+  }
+
+  return vouchers;
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  voucherDomain,
+  hashVoucher,
+  signVoucher,
+  recoverVoucherSigner,
+  issueVouchers
+};
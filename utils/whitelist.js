@@ -0,0 +1,167 @@
+const fs = require("fs");
+const path = require("path");
+const { MerkleTree } = require("merkletreejs");
+const { utils } = require("ethers");
+
+// Matches `merkleLeaf` in the contract: keccak256(abi.encode(address, ticket, allowance))
+function merkleLeaf(address, ticket, allowance) {
+  return utils.keccak256(
+    utils.defaultAbiCoder.encode(["address", "uint256", "uint256"], [address, ticket, allowance])
+  );
+}
+
+// Checksums the addresses, rejecting invalid and duplicate ones
+function normalizeAddresses(addresses) {
+  const seen = new Set();
+
+  return addresses.map((address, idx) => {
+    if (!utils.isAddress(address)) {
+      throw new Error(`Invalid address at position ${idx + 1}: ${address}`);
+    }
+
+    const checksummed = utils.getAddress(address);
+
+    if (seen.has(checksummed)) {
+      throw new Error(`Duplicate address at position ${idx + 1}: ${checksummed}`);
+    }
+
+    seen.add(checksummed);
+
+    return checksummed;
+  });
+}
+
+// Whitelist entries are addresses, or `{ address, allowance }` objects for
+// tickets minting more than one token. Returns `{ address, allowance }`
+// entries with checksummed addresses, rejecting invalid and duplicate ones.
+function normalizeEntries(list) {
+  const entries = list.map((item) => (typeof item === "string" ? { address: item, allowance: 1 } : item));
+  const addresses = normalizeAddresses(entries.map(({ address }) => address));
+
+  return entries.map(({ allowance = 1 }, idx) => {
+    if (!Number.isInteger(Number(allowance)) || Number(allowance) < 1) {
+      throw new Error(`Invalid allowance at position ${idx + 1}: ${allowance}`);
+    }
+
+    return { address: addresses[idx], allowance: Number(allowance) };
+  });
+}
+
+// Accepts either a JSON array of addresses and `{ address, allowance }`
+// objects or a CSV with the address in the first column. A first CSV line whose
+// first cell is not an address is a header and is skipped; when it names an
+// `allowance` column, allowances are read from it. Allowances default to 1.
+function parseWhitelist(content, format) {
+  if (format === "json") {
+    const entries = JSON.parse(content);
+
+    if (!Array.isArray(entries)) {
+      throw new Error("JSON whitelist must be an array of addresses");
+    }
+
+    return entries.map((item) => (typeof item === "string" ? { address: item, allowance: 1 } : item));
+  }
+
+  const rows = content.split(/\r?\n/)
+    .map((line) => line.split(",").map((cell) => cell.trim()))
+    .filter((cells) => cells[0] !== "");
+
+  let allowanceColumn = -1;
+
+  if (rows.length > 0 && !utils.isAddress(rows[0][0])) {
+    allowanceColumn = rows.shift().findIndex((cell) => cell.toLowerCase() === "allowance");
+  }
+
+  return rows.map((cells) => ({
+    address: cells[0],
+    allowance: allowanceColumn === -1 ? 1 : Number(cells[allowanceColumn])
+  }));
+}
+
+function readWhitelistFile(filePath) {
+  const format = path.extname(filePath).toLowerCase() === ".json" ? "json" : "csv";
+
+  return parseWhitelist(fs.readFileSync(filePath, "utf8"), format);
+}
+
+// Ticket number = index of account in the list + 1, so appending addresses
+// to a list keeps the tickets of the existing ones.
+function buildMerkleWhitelist(list) {
+  const entries = normalizeEntries(list).map(({ address, allowance }, idx) => {
+    const ticket = idx + 1;
+
+    return { address, ticket, allowance, leaf: merkleLeaf(address, ticket, allowance) };
+  });
+
+  const leafNodes = entries.map(({ leaf }) => leaf).sort();
+  const merkleTree = new MerkleTree(leafNodes, utils.keccak256, { sortPairs: true });
+
+  return { entries, leafNodes, merkleTree };
+}
+
+// Builds the `proofs.json` content the frontend needs to call `presaleMint`
+// for allowlist round `round`
+function buildProofs(list, { round = 1 } = {}) {
+  const { entries, merkleTree } = buildMerkleWhitelist(list);
+
+  const proofs = {};
+
+  for (const { address, ticket, allowance, leaf } of entries) {
+    proofs[address] = { round, ticket, allowance, proof: merkleTree.getHexProof(leaf) };
+  }
+
+  return { round, root: merkleTree.getHexRoot(), ticketsCount: entries.length, proofs };
+}
+
+// Lists addresses present in more than one of the given `{ round, addresses }`,
+// where `addresses` holds whitelist entries
+function findRepeatedAddresses(rounds) {
+  const roundsOf = new Map();
+
+  for (const { round, addresses } of rounds) {
+    for (const { address } of normalizeEntries(addresses)) {
+      roundsOf.set(address, [...(roundsOf.get(address) || []), round]);
+    }
+  }
+
+  return [...roundsOf.entries()]
+    .filter(([, addressRounds]) => addressRounds.length > 1)
+    .map(([address, addressRounds]) => ({ address, rounds: addressRounds }));
+}
+
+// Builds the proofs of consecutive allowlist rounds, starting from
+// `firstRound`. An address may be allocated in several rounds only when it is
+// listed in `allowRepeated`.
+function buildRounds(addressLists, { firstRound = 1, allowRepeated = [] } = {}) {
+  const rounds = addressLists.map((addresses, idx) => ({ round: firstRound + idx, addresses }));
+  const allowed = new Set(normalizeAddresses(allowRepeated));
+
+  const repeated = findRepeatedAddresses(rounds).filter(({ address }) => !allowed.has(address));
+
+  if (repeated.length > 0) {
+    const details = repeated.map(({ address, rounds: addressRounds }) => `${address} (rounds ${addressRounds.join(", ")})`);
+
+    throw new Error(`Addresses allocated in more than one round: ${details.join(", ")}`);
+  }
+
+  return rounds.map(({ round, addresses }) => buildProofs(addresses, { round }));
+}
+
+function verifyProof(root, address, ticket, allowance, proof) {
+  const leaf = merkleLeaf(address, ticket, allowance);
+
+  return MerkleTree.verify(proof, leaf, root, utils.keccak256, { sortPairs: true });
+}
+
+module.exports = {
+  merkleLeaf,
+  normalizeAddresses,
+  normalizeEntries,
+  parseWhitelist,
+  readWhitelistFile,
+  buildMerkleWhitelist,
+  buildProofs,
+  findRepeatedAddresses,
+  buildRounds,
+  verifyProof
+};